@@ -33,6 +33,20 @@ module.exports = function(grunt) {
                     src: ['**/*.js'],
                     dest: 'out/tmp/traceur/test/'
                 }]
+            },
+            'translate-cli': {
+                options: {
+                    experimental: true,
+                    moduleNaming: {
+                        stripPrefix: 'out/tmp/traceur'
+                    }
+                },
+                files: [{
+                    expand: true,
+                    cwd: 'cli/',
+                    src: ['**/*.js'],
+                    dest: 'out/tmp/traceur/cli/'
+                }]
             }
         },
         karma: {
@@ -87,6 +101,18 @@ module.exports = function(grunt) {
                     'out/tmp/traceur/bootstrap_post_test/**/*.js'
                 ],
                 dest: 'out/test.js'
+            },
+            'concat-traceur-cli': {
+                options: {
+                    separator: ';'
+                },
+                src: [
+                    'out/tmp/traceur/bootstrap_pre_src/**/*.js',
+                    'out/tmp/traceur/src/**/*.js',
+                    'out/tmp/traceur/cli/**/*.js',
+                    'out/tmp/traceur/bootstrap_post_cli/**/*.js'
+                ],
+                dest: 'out/eve-cli.js'
             }
         },
         uglify: {
@@ -160,6 +186,15 @@ module.exports = function(grunt) {
         'clean:clean-tmp'
     ]);
 
+    grunt.registerTask('build-cli', [
+        'clean:clean-tmp',
+        'traceur:translate-src',
+        'traceur:translate-cli',
+        'bootstrap-get-packages:cli/**/*.js:out/tmp/traceur/bootstrap_post_cli/run_cli.js',
+        'concat:concat-traceur-cli',
+        'clean:clean-tmp'
+    ]);
+
     grunt.registerTask('test-chrome', ['build-test', 'karma:unit-chrome']);
     grunt.registerTask('test-firefox', ['build-test', 'karma:unit-firefox']);
     grunt.registerTask('test-travis', ['build-test', 'karma:unit-travis']);
@@ -0,0 +1,13 @@
+import HeadlessRunner from "src/headless/HeadlessRunner.js"
+
+// Entry point of the headless Node build, made by the 'build-cli' grunt task. Run it with --help for usage.
+let fs = require('fs');
+try {
+    process.exitCode = HeadlessRunner.main(
+        process.argv.slice(2),
+        path => fs.readFileSync(path, 'utf8'),
+        text => process.stdout.write(text));
+} catch (ex) {
+    process.stderr.write(ex.message + '\n');
+    process.exitCode = 1;
+}
@@ -1,57 +1,96 @@
-import Painter from "src/ui/Painter.js"
-import Rect from "src/math/Rect.js"
+import CircuitExecution from "src/circuit/CircuitExecution.js"
+import Complex from "src/math/Complex.js"
+import Gates from "src/math/Gates.js"
+import InferenceStrategy from "src/inference/InferenceStrategy.js"
 import Matrix from "src/math/Matrix.js"
+import NoiseChannel from "src/math/NoiseChannel.js"
+import PauliSum from "src/math/PauliSum.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+import Random from "src/base/Random.js"
+import RandomStates from "src/math/RandomStates.js"
 import { seq, Seq } from "src/base/Seq.js"
-import MathPainter from "src/ui/MathPainter.js"
+import Metrics from "src/math/Metrics.js"
 import Util from "src/base/Util.js"
 
-let redraw;
-let advanceStateFunc;
-
 let absCol = m => Math.sqrt(m.adjoint().times(m).trace().abs());
 let normalizeCol = m => m.times(1 / absCol(m));
 let normalizeDensity = m => m.times(1 / m.trace().abs());
 
-let generateUnknownState = numQubits => {
-    let buf = new Float64Array(2 << numQubits);
-    for (let i = 0; i < buf.length; i++) {
-        buf[i] = Math.random() - 0.5;
-    }
-    return normalizeCol(new Matrix(1, 1 << numQubits, buf));
-};
-
-let controlify = (matrix, controlMask) => {
-    let w = matrix.width();
-    let h = matrix.height();
-    let newBuf = matrix.rawBuffer().slice();
+/**
+ * Left-multiplies a state (column vector or density matrix), in place, by a controlled single-qubit operation.
+ * Only touches the pairs of rows that the operation mixes, instead of building the full operator matrix.
+ * @param {!Float64Array} buf
+ * @param {!int} w
+ * @param {!int} h
+ * @param {!Matrix} operation2x2
+ * @param {!int} qubitIndex
+ * @param {!int} controlMask
+ * @param {!int} desiredValueMask
+ */
+let applyQubitOperationToRows = (buf, w, h, operation2x2, qubitIndex, controlMask, desiredValueMask) => {
+    let [ar, ai, br, bi, cr, ci, dr, di] = operation2x2.rawBuffer();
+    let targetMask = 1 << qubitIndex;
     for (let r = 0; r < h; r++) {
+        if ((r & targetMask) !== 0 || (r & controlMask) !== desiredValueMask) {
+            continue;
+        }
+        let i = r*w*2;
+        let j = (r | targetMask)*w*2;
         for (let c = 0; c < w; c++) {
-            if ((controlMask & r) !== controlMask || (controlMask & c) !== controlMask) {
-                let k = (r*w + c) * 2;
-                newBuf[k] = r === c ? 1 : 0;
-                newBuf[k+1] = 0;
-            }
+            let xr = buf[i];
+            let xi = buf[i+1];
+            let yr = buf[j];
+            let yi = buf[j+1];
+            buf[i] = xr*ar - xi*ai + yr*br - yi*bi;
+            buf[i+1] = xr*ai + xi*ar + yr*bi + yi*br;
+            buf[j] = xr*cr - xi*ci + yr*dr - yi*di;
+            buf[j+1] = xr*ci + xi*cr + yr*di + yi*dr;
+            i += 2;
+            j += 2;
         }
     }
-    return new Matrix(w, h, newBuf);
 };
 
-let expandOp = (singleQubitOperationMatrix, qubitIndex, numQubits, controls=[]) => {
-    let controlMask = seq(controls).aggregate(0, (a, e) => a | (1 << e));
-    let opMatrix = new Matrix(1, 1, new Float64Array([1, 0]));
-    for (let i = 0; i < numQubits; i++) {
-        let m = i === qubitIndex ? singleQubitOperationMatrix : Matrix.identity(2);
-        opMatrix = m.tensorProduct(opMatrix);
+/**
+ * Right-multiplies a square matrix, in place, by the adjoint of a controlled single-qubit operation.
+ * Combined with applyQubitOperationToRows, this turns ρ into U ρ U† without building U.
+ * @param {!Float64Array} buf
+ * @param {!int} w
+ * @param {!int} h
+ * @param {!Matrix} operation2x2
+ * @param {!int} qubitIndex
+ * @param {!int} controlMask
+ * @param {!int} desiredValueMask
+ */
+let applyQubitOperationAdjointToCols = (buf, w, h, operation2x2, qubitIndex, controlMask, desiredValueMask) => {
+    let [ar, ai, br, bi, cr, ci, dr, di] = operation2x2.rawBuffer();
+    let targetMask = 1 << qubitIndex;
+    for (let c = 0; c < w; c++) {
+        if ((c & targetMask) !== 0 || (c & controlMask) !== desiredValueMask) {
+            continue;
+        }
+        let i = c*2;
+        let j = (c | targetMask)*2;
+        for (let r = 0; r < h; r++) {
+            let xr = buf[i];
+            let xi = buf[i+1];
+            let yr = buf[j];
+            let yi = buf[j+1];
+            buf[i] = xr*ar + xi*ai + yr*br + yi*bi;
+            buf[i+1] = xi*ar - xr*ai + yi*br - yr*bi;
+            buf[j] = xr*cr + xi*ci + yr*dr + yi*di;
+            buf[j+1] = xi*cr - xr*ci + yi*dr - yr*di;
+            i += w*2;
+            j += w*2;
+        }
     }
-    return controlify(opMatrix, controlMask);
 };
 
-let postselectCol = (col, qubitIndex, qubitValue) => {
-    let mask = 1 << qubitIndex;
+let postselectCol = (col, mask, maskedValue) => {
     let newBuf = col.rawBuffer().slice();
     let h = col.height();
     for (let i = 0; i < h; i++) {
-        if (((i & mask) !== 0) !== qubitValue) {
+        if ((i & mask) !== maskedValue) {
             newBuf[i*2] = 0;
             newBuf[i*2+1] = 0;
         }
@@ -59,44 +98,194 @@ let postselectCol = (col, qubitIndex, qubitValue) => {
     return normalizeCol(new Matrix(1, h, newBuf));
 };
 
-let postselectDensity = (densityMatrix, qubitIndex, qubitValue) => {
-    let mask = 1 << qubitIndex;
+/**
+ * Zeroes the parts of a density matrix outside of the subspace where the masked bits have the given value, without
+ * renormalizing.
+ * @param {!Matrix} densityMatrix
+ * @param {!int} mask
+ * @param {!int} maskedValue
+ * @returns {!Matrix}
+ */
+let projectDensity = (densityMatrix, mask, maskedValue) => {
     let newBuf = densityMatrix.rawBuffer().slice();
     let w = densityMatrix.width();
     let h = densityMatrix.height();
     for (let c = 0; c < w; c++) {
         for (let r = 0; r < h; r++) {
-            if (((c & mask) !== 0) !== qubitValue || ((r & mask) !== 0) !== qubitValue) {
+            if ((c & mask) !== maskedValue || (r & mask) !== maskedValue) {
                 let k = (r * w + c) * 2;
                 newBuf[k] = 0;
                 newBuf[k + 1] = 0;
             }
         }
     }
-    return normalizeDensity(new Matrix(w, h, newBuf));
+    return new Matrix(w, h, newBuf);
+};
+
+let postselectDensity = (densityMatrix, mask, maskedValue) =>
+    normalizeDensity(projectDensity(densityMatrix, mask, maskedValue));
+
+/**
+ * Returns U ρ U†, for a controlled single-qubit operation U, without modifying the given density matrix.
+ * @param {!Matrix} density
+ * @param {!Matrix} operation2x2
+ * @param {!int} qubitIndex
+ * @param {!int} controlMask
+ * @param {!int} desiredValueMask
+ * @returns {!Matrix}
+ */
+let applyQubitOperationToDensity = (density, operation2x2, qubitIndex, controlMask, desiredValueMask) => {
+    let h = density.height();
+    let buf = density.rawBuffer().slice();
+    applyQubitOperationToRows(buf, h, h, operation2x2, qubitIndex, controlMask, desiredValueMask);
+    applyQubitOperationAdjointToCols(buf, h, h, operation2x2, qubitIndex, controlMask, desiredValueMask);
+    return new Matrix(h, h, buf);
+};
+
+/**
+ * Spreads the bits of a compact value out onto the given qubit positions.
+ * @param {!int} value Bit k of this value ends up at position qubitIndices[k].
+ * @param {!Array.<!int>} qubitIndices
+ * @returns {!int}
+ */
+let scatterBits = (value, qubitIndices) =>
+    seq(qubitIndices).mapWithIndex((q, k) => ((value >> k) & 1) << q).aggregate(0, (a, e) => a | e);
+
+/**
+ * Picks an index with probability proportional to the weight at that index.
+ * @param {!Array.<!number>} weights
+ * @param {!Random} rng
+ * @returns {!int}
+ */
+let sampleIndex = (weights, rng) => {
+    let total = seq(weights).sum();
+    let r = rng.next() * total;
+    for (let i = 0; i < weights.length; i++) {
+        r -= weights[i];
+        if (r < 0) {
+            return i;
+        }
+    }
+    return seq(weights).mapWithIndex((w, i) => ({w, i})).filter(e => e.w > 0).last().i;
+};
+
+/**
+ * Half of the L1 distance between two probability distributions over the same outcomes.
+ * For a single coin flip this is just the difference in predicted heads probability.
+ * @param {!Array.<!number>} predicted
+ * @param {!Array.<!number>} actual
+ * @returns {!number}
+ */
+let totalVariationDistance = (predicted, actual) =>
+    seq(predicted).zip(actual, (p, a) => Math.abs(p - a)).sum() / 2;
+
+/**
+ * Sends one qubit of a density matrix through a noise channel, i.e. returns Σ K_k ρ K_k† with each K_k acting on
+ * just that qubit.
+ * @param {!Matrix} density
+ * @param {!NoiseChannel} channel
+ * @param {!int} qubitIndex
+ * @returns {!Matrix}
+ */
+let applyChannelToDensity = (density, channel, qubitIndex) => {
+    let h = density.height();
+    let mixedBuf = new Float64Array(h*h*2);
+    for (let k of channel.krausOperators) {
+        let buf = applyQubitOperationToDensity(density, k, qubitIndex, 0, 0).rawBuffer();
+        for (let i = 0; i < buf.length; i++) {
+            mixedBuf[i] += buf[i];
+        }
+    }
+    return new Matrix(h, h, mixedBuf);
+};
+
+/**
+ * @param {!Matrix} matrix
+ * @returns {!{width: !int, height: !int, buffer: !Array.<!number>}} A JSON-friendly copy of the matrix, which
+ * round-trips its coefficients exactly.
+ */
+let matrixToJson = matrix => ({
+    width: matrix.width(),
+    height: matrix.height(),
+    buffer: Array.from(matrix.rawBuffer())
+});
+
+/**
+ * @param {!{width: !int, height: !int, buffer: !Array.<!number>}} json
+ * @returns {!Matrix}
+ */
+let matrixFromJson = json => new Matrix(json.width, json.height, new Float64Array(json.buffer));
+
+/**
+ * The number of recent predictions kept for predictionLog, so that a long-running computer doesn't keep them all.
+ * @type {!int}
+ */
+const PREDICTION_LOG_CAPACITY = 10000;
+
+/**
+ * The single-qubit unitaries that rotate the computational basis onto named measurement bases.
+ * Column 0 is the basis state reported as false, column 1 is the one reported as true.
+ */
+const NAMED_MEASUREMENT_BASES = {
+    X: Matrix.HADAMARD,
+    Y: Matrix.square(1, 1, Complex.I, Complex.I.neg()).times(Math.sqrt(0.5)),
+    Z: Matrix.identity(2)
 };
 
 /**
  * Eve sure is nice to let us use her computer! Let's put all our secrets on it.
  */
 class EveQuantumComputer {
-    constructor(initialState) {
+    /**
+     * @param {!Matrix} initialState A column vector, or a density matrix.
+     * @param {!Random=} rng The source of randomness used when sampling measurement results and noise.
+     */
+    constructor(initialState, rng=new Random()) {
         if (!(initialState instanceof Matrix) ||
                 !Util.isPowerOf2(initialState.height()) ||
-                initialState.width() !== 1) {
-            throw new Error("Initial state must be a column matrix with power-of-2 height.");
+                (initialState.width() !== 1 && initialState.width() !== initialState.height())) {
+            throw new Error("Initial state must be a column matrix or square matrix with power-of-2 height.");
         }
+        let isDensity = initialState.width() !== 1;
+        if (isDensity && (!initialState.isApproximatelyHermitian(0.001) ||
+                !Seq.range(initialState.height()).every(i => initialState.cell(i, i).real >= -0.001))) {
+            throw new Error("Initial density matrix must be Hermitian with a non-negative diagonal.");
+        }
+        // A non-negative diagonal isn't enough: other bases (e.g. after a Hadamard) could still see negative weights.
+        if (isDensity && Metrics.eigenvalues(initialState).some(e => e < -0.001)) {
+            throw new Error("Initial density matrix must be positive semi-definite.");
+        }
+
         /**
+         * Whether the hidden state is a density matrix, instead of a pure state vector.
+         * @type {!boolean}
+         * @private
+         */
+        this._hiddenIsDensity = isDensity;
+        /**
+         * The state vector, or the density matrix when _hiddenIsDensity is set.
          * @type {!Matrix}
          * @private
          */
-        this._actualHiddenState = normalizeCol(initialState);
+        this._actualHiddenState = isDensity ? normalizeDensity(initialState) : normalizeCol(initialState);
         /**
-         * Pay no mind to this, Alice.
+         * A copy of the starting hidden state, so that the event log can be replayed from the beginning.
          * @type {!Matrix}
          * @private
          */
-        this._inferredStateDensity = normalizeDensity(Matrix.identity(initialState.height()));
+        this._initialHiddenState = matrixFromJson(matrixToJson(this._actualHiddenState));
+        /**
+         * Pay no mind to this, Alice.
+         * @type {!InferenceStrategy}
+         * @private
+         */
+        this._inference = new PostSelectionStrategy(initialState.height());
+        /**
+         * Other strategies, fed the same information as Eve's, to compare against hers.
+         * @type {!Array.<!{name: !string, strategy: !InferenceStrategy}>}
+         * @private
+         */
+        this._comparisons = [];
 
         /**
          * @type {!number}
@@ -104,28 +293,101 @@ class EveQuantumComputer {
          */
         this._operationCount = 0;
 
+        /**
+         * @type {!Random}
+         * @private
+         */
+        this._rng = rng;
+
         this._expectedIgnoranceErrors = 0;
+
+        /**
+         * Whether Eve's inferred state accounts for noise applied to the hidden state, or just ignores it.
+         * @type {!boolean}
+         * @private
+         */
+        this._eveKnowsNoise = true;
+
+        /**
+         * Everything that has been done to the computer, including sampled outcomes, in a JSON-friendly form. Undefined
+         * once logging has been disabled.
+         * @type {undefined|!Array.<!Object>}
+         * @private
+         */
+        this._eventLog = [];
+
+        /**
+         * Eve's predictions of measurement outcomes, and the actual outcomes. Only appended to (so checkpoints can
+         * share it), until it's trimmed down to the most recent PREDICTION_LOG_CAPACITY predictions by replacing it.
+         * @type {!Array.<!Prediction>}
+         * @private
+         */
+        this._predictions = [];
+
+        /**
+         * Outcomes to use, instead of sampling, while replaying logged events.
+         * @type {!Array.<!int>}
+         * @private
+         */
+        this._forcedSamples = [];
     }
 
     /**
      * Initializes the computer with the given state vector, without revealing it to Eve.
      * @param {!Matrix} column
+     * @param {!Random=} rng
+     */
+    static withInitialState(column, rng=new Random()) {
+        if (!(column instanceof Matrix) || column.width() !== 1) {
+            throw new Error("Initial state must be a column matrix.");
+        }
+        return new EveQuantumComputer(column, rng);
+    }
+
+    /**
+     * Initializes the computer with a Haar-random pure state, unknown to Eve.
+     * @param {!int} numQubits
+     * @param {!Random=} rng Used to pick the state, and afterwards by the computer. Seed it to make runs repeatable.
      */
-    static withInitialState(column) {
-        return new EveQuantumComputer(column);
+    static withRandomInitialState(numQubits, rng=new Random()) {
+        return new EveQuantumComputer(RandomStates.haarState(numQubits, rng), rng);
     }
 
     /**
-     * Initializes the computer with a random state, unknown to Eve.
+     * Initializes the computer with the given (possibly mixed) density matrix, without revealing it to Eve.
+     * The hidden state is then tracked as a density matrix, so noise applies to it exactly instead of being sampled.
+     * @param {!Matrix} density
+     * @param {!Random=} rng
+     */
+    static withInitialDensity(density, rng=new Random()) {
+        if (!(density instanceof Matrix) || density.width() !== density.height()) {
+            throw new Error("Initial density must be a square matrix.");
+        }
+        return new EveQuantumComputer(density, rng);
+    }
+
+    /**
+     * Initializes the computer with a random mixed state, unknown to Eve.
      * @param {!int} numQubits
+     * @param {!string=} ensemble The distribution to sample the density matrix from. Either 'hilbert-schmidt' (the
+     * default) or 'bures'.
+     * @param {!Random=} rng Used to pick the state, and afterwards by the computer. Seed it to make runs repeatable.
      */
-    static withRandomInitialState(numQubits) {
-        return new EveQuantumComputer(generateUnknownState(numQubits));
+    static withRandomInitialDensity(numQubits, ensemble='hilbert-schmidt', rng=new Random()) {
+        return new EveQuantumComputer(RandomStates.mixedState(numQubits, ensemble, rng), rng);
+    }
+
+    /**
+     * @returns {!int}
+     */
+    numQubits() {
+        return Math.log2(this._actualHiddenState.height());
     }
 
     /**
      * Hits the hidden state (and the inferred state) with the given matrix.
-     * The matrix should be unitary and of the correct size.
+     * The matrix should be unitary and of the correct size. Operators that have numerically drifted away from being
+     * unitary can be repaired with `closestUnitary` first.
      * @param {!Matrix} opMatrix
      */
     applyOperation(opMatrix) {
@@ -135,52 +397,896 @@ class EveQuantumComputer {
                 !opMatrix.isUnitary(0.001)) {
             throw new Error("Operation must be unitary and match the size of the state.");
         }
-        this._actualHiddenState = opMatrix.times(this._actualHiddenState);
-        this._inferredStateDensity = opMatrix.times(this._inferredStateDensity).times(opMatrix.adjoint());
+        this._actualHiddenState = this._hiddenIsDensity ?
+            opMatrix.times(this._actualHiddenState).times(opMatrix.adjoint()) :
+            opMatrix.times(this._actualHiddenState);
+        this._applyInferenceChannel(rho => opMatrix.times(rho).times(opMatrix.adjoint()));
+        this._logEvent({type: 'operation', matrix: matrixToJson(opMatrix)});
     }
 
-    measureQubit(qubitIndex) {
+    /**
+     * Evolves the hidden state (and the inferred state) under the given Hamiltonian for the given amount of time, by
+     * applying the unitary operation e^(-iHt).
+     * @param {!Matrix|!PauliSum} hamiltonian A Hermitian matrix, or a Pauli sum with real coefficients, matching the
+     * size of the state.
+     * @param {!number} time
+     */
+    evolve(hamiltonian, time) {
+        let h = this._actualHiddenState.height();
+        if (hamiltonian instanceof PauliSum) {
+            hamiltonian = hamiltonian.toMatrix();
+        }
+        if (!(hamiltonian instanceof Matrix) ||
+                hamiltonian.width() !== h ||
+                hamiltonian.height() !== h ||
+                !hamiltonian.isApproximatelyHermitian(0.001)) {
+            throw new Error("Hamiltonian must be Hermitian and match the size of the state.");
+        }
+        if (typeof time !== 'number' || !isFinite(time)) {
+            throw new Error("Evolution time must be a finite number.");
+        }
         this._operationCount++;
-        let actualOnNess = 0;
-        let predictedOnNess = 0;
+
+        let u = hamiltonian.times(new Complex(0, -time)).expm();
+        this._actualHiddenState = this._hiddenIsDensity ?
+            u.times(this._actualHiddenState).times(u.adjoint()) :
+            u.times(this._actualHiddenState);
+        this._applyInferenceChannel(rho => u.times(rho).times(u.adjoint()));
+        this._logEvent({type: 'evolve', hamiltonian: matrixToJson(hamiltonian), time});
+    }
+
+    /**
+     * Hits the hidden state (and the inferred state) with a single-qubit operation, conditioned on the given controls
+     * being on and the given anti-controls being off. Works directly on the affected amplitudes, so it takes Θ(2ⁿ) time
+     * on the hidden state and Θ(4ⁿ) time on the inferred density matrix instead of the Θ(8ⁿ) needed to build and
+     * multiply by a full operator matrix.
+     * @param {!Matrix} singleQubitOperationMatrix A 2x2 unitary matrix.
+     * @param {!int} targetQubit
+     * @param {!Array.<!int>=} qubitsUsedAsControls
+     * @param {!Array.<!int>=} qubitsUsedAsAntiControls
+     */
+    applyGate(singleQubitOperationMatrix, targetQubit, qubitsUsedAsControls=[], qubitsUsedAsAntiControls=[]) {
+        let n = Math.log2(this._actualHiddenState.height());
+        if (singleQubitOperationMatrix.width() !== 2 ||
+                singleQubitOperationMatrix.height() !== 2 ||
+                !singleQubitOperationMatrix.isUnitary(0.001)) {
+            throw new Error("Gate operation must be a 2x2 unitary matrix.");
+        }
+        if (!Number.isInteger(targetQubit) || targetQubit < 0 || targetQubit >= n) {
+            throw new Error("Target qubit out of range.");
+        }
+        let conditions = [...qubitsUsedAsControls, ...qubitsUsedAsAntiControls];
+        if (!conditions.every(q => Number.isInteger(q) && q >= 0 && q < n && q !== targetQubit) ||
+                new Set(conditions).size !== conditions.length) {
+            throw new Error("Control qubits must be in range, distinct, and distinct from the target.");
+        }
+        this._operationCount++;
+
+        let controlMask = seq(qubitsUsedAsControls).aggregate(0, (a, e) => a | (1 << e));
+        let antiControlMask = seq(qubitsUsedAsAntiControls).aggregate(0, (a, e) => a | (1 << e));
+        this._applyQubitOperation(singleQubitOperationMatrix, targetQubit, controlMask | antiControlMask, controlMask);
+        this._logEvent({
+            type: 'gate',
+            matrix: matrixToJson(singleQubitOperationMatrix),
+            target: targetQubit,
+            controls: qubitsUsedAsControls.slice(),
+            antiControls: qubitsUsedAsAntiControls.slice()
+        });
+    }
+
+    /**
+     * @param {!Matrix} operation2x2
+     * @param {!int} targetQubit
+     * @param {!int} controlMask
+     * @param {!int} desiredValueMask
+     * @private
+     */
+    _applyQubitOperation(operation2x2, targetQubit, controlMask, desiredValueMask) {
+        this._applyQubitOperationToHiddenState(operation2x2, targetQubit, controlMask, desiredValueMask);
+        this._applyInferenceChannel(rho =>
+            applyQubitOperationToDensity(rho, operation2x2, targetQubit, controlMask, desiredValueMask));
+    }
+
+    /**
+     * @param {!Matrix} operation2x2
+     * @param {!int} targetQubit
+     * @param {!int} controlMask
+     * @param {!int} desiredValueMask
+     * @private
+     */
+    _applyQubitOperationToHiddenState(operation2x2, targetQubit, controlMask, desiredValueMask) {
+        let h = this._actualHiddenState.height();
         let actualBuf = this._actualHiddenState.rawBuffer();
-        let inferredBuf = this._inferredStateDensity.rawBuffer();
-        for (let i = 0; i < actualBuf.length; i += 2) {
-            if (((i >> 1) & (1 << qubitIndex)) !== 0) {
-                let cr = actualBuf[i];
-                let ci = actualBuf[i+1];
-                actualOnNess += cr*cr + ci*ci;
-                predictedOnNess += inferredBuf[i*(actualBuf.length/2 + 1)];
+        if (this._hiddenIsDensity) {
+            applyQubitOperationToRows(actualBuf, h, h, operation2x2, targetQubit, controlMask, desiredValueMask);
+            applyQubitOperationAdjointToCols(actualBuf, h, h, operation2x2, targetQubit, controlMask, desiredValueMask);
+        } else {
+            applyQubitOperationToRows(actualBuf, 1, h, operation2x2, targetQubit, controlMask, desiredValueMask);
+        }
+    }
+
+    /**
+     * Hits the hidden state with one of several operations, picked at random, without telling Eve which one.
+     *
+     * Eve only knows the probability of each choice, so her inferred density becomes the corresponding mixture
+     * Σ p_k U_k ρ U_k†. Hidden classical randomness in Alice's program limits what Eve can learn.
+     *
+     * @param {!Array.<!Object>} choices Each choice is either a {probability, operation} with a full-size unitary
+     * operation, or a {probability, gate, target, controls} with a 2x2 unitary gate, a target qubit and optional
+     * control qubits. The probabilities must add up to 1.
+     * @returns {!int} The index of the choice that was applied. Alice can look, but don't tell Eve.
+     */
+    applyRandomOperation(choices) {
+        let h = this._actualHiddenState.height();
+        let n = Math.log2(h);
+        let isValidChoice = e => e.probability >= 0 && (e.operation !== undefined ?
+            e.operation instanceof Matrix &&
+                e.operation.width() === h &&
+                e.operation.height() === h &&
+                e.operation.isUnitary(0.001) :
+            e.gate instanceof Matrix &&
+                e.gate.width() === 2 &&
+                e.gate.height() === 2 &&
+                e.gate.isUnitary(0.001) &&
+                Number.isInteger(e.target) && e.target >= 0 && e.target < n &&
+                (e.controls || []).every(q => Number.isInteger(q) && q >= 0 && q < n && q !== e.target));
+        if (!Array.isArray(choices) ||
+                choices.length === 0 ||
+                !choices.every(isValidChoice) ||
+                Math.abs(seq(choices).map(e => e.probability).sum() - 1) > 0.001) {
+            throw new Error("Choices must be unitary operations or gates, with probabilities that add up to 1.");
+        }
+        this._operationCount++;
+
+        let controlMaskOf = e => seq(e.controls || []).aggregate(0, (a, q) => a | (1 << q));
+        let branch = this._sample(choices.map(e => e.probability));
+        let chosen = choices[branch];
+        if (chosen.operation !== undefined) {
+            this._actualHiddenState = this._hiddenIsDensity ?
+                chosen.operation.times(this._actualHiddenState).times(chosen.operation.adjoint()) :
+                chosen.operation.times(this._actualHiddenState);
+        } else {
+            let mask = controlMaskOf(chosen);
+            this._applyQubitOperationToHiddenState(chosen.gate, chosen.target, mask, mask);
+        }
+
+        this._applyInferenceChannel(rho => {
+            let mixedBuf = new Float64Array(h*h*2);
+            for (let e of choices) {
+                let mask = controlMaskOf(e);
+                let buf = e.operation !== undefined ?
+                    e.operation.times(rho).times(e.operation.adjoint()).rawBuffer() :
+                    applyQubitOperationToDensity(rho, e.gate, e.target, mask, mask).rawBuffer();
+                for (let i = 0; i < buf.length; i++) {
+                    mixedBuf[i] += buf[i] * e.probability;
+                }
+            }
+            return normalizeDensity(new Matrix(h, h, mixedBuf));
+        });
+
+        this._logEvent({
+            type: 'randomOperation',
+            choices: choices.map(e => e.operation !== undefined ?
+                {probability: e.probability, operation: matrixToJson(e.operation)} :
+                {probability: e.probability, gate: matrixToJson(e.gate), target: e.target, controls: e.controls || []}),
+            branch
+        });
+        return branch;
+    }
+
+    /**
+     * Measures a qubit in the computational basis, collapsing the hidden state and letting Eve see the result.
+     * @param {!int} qubitIndex
+     * @returns {!boolean}
+     */
+    measureQubit(qubitIndex) {
+        return this.measureQubits([qubitIndex]) === 1;
+    }
+
+    /**
+     * Measures several qubits in the computational basis, collapsing the hidden state and letting Eve see the result.
+     * @param {!Array.<!int>} qubitIndices
+     * @returns {!int} The measurement outcome, with bit k set when the qubit at qubitIndices[k] was measured as on.
+     */
+    measureQubits(qubitIndices) {
+        let n = Math.log2(this._actualHiddenState.height());
+        if (!Array.isArray(qubitIndices) ||
+                !qubitIndices.every(q => Number.isInteger(q) && q >= 0 && q < n) ||
+                seq(qubitIndices).distinct().count() !== qubitIndices.length) {
+            throw new Error("Measured qubits must be distinct and in range.");
+        }
+        let {outcome, predicted, actual} = this._measureQubitsInComputationalBasis(qubitIndices);
+        this._logEvent({type: 'measure', qubits: qubitIndices.slice(), outcome, predicted, actual});
+        return outcome;
+    }
+
+    /**
+     * @param {!Array.<!int>} qubitIndices
+     * @returns {!{outcome: !int, predicted: !Array.<!number>, actual: !Array.<!number>}}
+     * @private
+     */
+    _measureQubitsInComputationalBasis(qubitIndices) {
+        this._operationCount++;
+
+        let mask = scatterBits((1 << qubitIndices.length) - 1, qubitIndices);
+        let outcomeMasks = Seq.range(1 << qubitIndices.length).map(v => scatterBits(v, qubitIndices)).toArray();
+        let h = this._actualHiddenState.height();
+        let outcomeOfIndex = Seq.range(h).map(i => outcomeMasks.indexOf(i & mask)).toArray();
+        let measurement = {
+            probabilities: rho => {
+                let buf = rho.rawBuffer();
+                let weights = outcomeMasks.map(() => 0);
+                for (let i = 0; i < h; i++) {
+                    weights[outcomeOfIndex[i]] += buf[i*(h + 1)*2];
+                }
+                return weights;
+            },
+            collapse: (rho, outcome) => projectDensity(rho, mask, outcomeMasks[outcome])
+        };
+
+        let actualWeights;
+        if (this._hiddenIsDensity) {
+            actualWeights = measurement.probabilities(this._actualHiddenState);
+        } else {
+            let actualBuf = this._actualHiddenState.rawBuffer();
+            actualWeights = outcomeMasks.map(() => 0);
+            for (let i = 0; i < h; i++) {
+                let cr = actualBuf[i*2];
+                let ci = actualBuf[i*2+1];
+                actualWeights[outcomeOfIndex[i]] += cr*cr + ci*ci;
+            }
+        }
+        let predictedWeights = this._inference.predict(measurement);
+
+        let result = this._sample(actualWeights);
+        this._expectedIgnoranceErrors += totalVariationDistance(predictedWeights, actualWeights);
+        this._actualHiddenState = this._hiddenIsDensity ?
+            postselectDensity(this._actualHiddenState, mask, outcomeMasks[result]) :
+            postselectCol(this._actualHiddenState, mask, outcomeMasks[result]);
+        this._observeInference(measurement, result);
+        this._recordPrediction(predictedWeights, result);
+        return {outcome: result, predicted: predictedWeights, actual: actualWeights};
+    }
+
+    /**
+     * Measures a qubit along some other axis than the computational basis' Z axis.
+     * @param {!int} qubitIndex
+     * @param {!string|!Matrix} basis Either 'X', 'Y', 'Z', or a 2x2 unitary matrix whose first column is the basis
+     * state reported as false and whose second column is the basis state reported as true.
+     * @returns {!boolean}
+     */
+    measureQubitInBasis(qubitIndex, basis) {
+        let basisMatrix = NAMED_MEASUREMENT_BASES.hasOwnProperty(basis) ? NAMED_MEASUREMENT_BASES[basis] : basis;
+        if (!(basisMatrix instanceof Matrix) ||
+                basisMatrix.width() !== 2 ||
+                basisMatrix.height() !== 2 ||
+                !basisMatrix.isUnitary(0.001)) {
+            throw new Error("Measurement basis must be 'X', 'Y', 'Z', or a 2x2 unitary matrix.");
+        }
+        if (!Number.isInteger(qubitIndex) || qubitIndex < 0 || (2 << qubitIndex) > this._actualHiddenState.height()) {
+            throw new Error("Measured qubit out of range.");
+        }
+
+        // Rotate the basis onto the computational basis, measure there, then rotate back.
+        this._applyQubitOperation(basisMatrix.adjoint(), qubitIndex, 0, 0);
+        let {outcome, predicted, actual} = this._measureQubitsInComputationalBasis([qubitIndex]);
+        this._applyQubitOperation(basisMatrix, qubitIndex, 0, 0);
+        this._logEvent({
+            type: 'measureInBasis',
+            qubit: qubitIndex,
+            basis: matrixToJson(basisMatrix),
+            outcome,
+            predicted,
+            actual
+        });
+        return outcome === 1;
+    }
+
+    /**
+     * Performs a general projective measurement, collapsing the hidden state and letting Eve see the result.
+     * @param {!Array.<!Matrix>} projectors Orthogonal projectors, matching the size of the state, that sum to the
+     * identity matrix.
+     * @returns {!int} The index of the projector corresponding to the measurement outcome.
+     */
+    measureProjective(projectors) {
+        let h = this._actualHiddenState.height();
+        if (!Array.isArray(projectors) ||
+                projectors.length === 0 ||
+                !projectors.every(p => p instanceof Matrix &&
+                    p.width() === h &&
+                    p.height() === h &&
+                    p.isApproximatelyHermitian(0.001) &&
+                    p.times(p).isApproximatelyEqualTo(p, 0.001)) ||
+                !seq(projectors).fold((a, e) => a.plus(e)).isIdentity(0.001)) {
+            throw new Error("Projectors must match the size of the state, be Hermitian and idempotent, and sum to I.");
+        }
+        let {outcome, predicted, actual} = this._measureWithKrausOperators(projectors);
+        this._logEvent({type: 'projective', operators: projectors.map(matrixToJson), outcome, predicted, actual});
+        return outcome;
+    }
+
+    /**
+     * Performs a generalized measurement, collapsing the hidden state and letting Eve see the result.
+     *
+     * The outcome k happens with probability |K_k ψ|², after which the hidden state becomes K_k ψ (renormalized) and
+     * Eve's inferred density becomes K_k ρ K_k† (renormalized). Kraus operators that are close to scaled identities
+     * make for weak measurements, which only reveal a little bit of information each time.
+     *
+     * @param {!Array.<!Matrix>} krausOps Operators, matching the size of the state, satisfying Σ K_k† K_k = I.
+     * @returns {!int} The index of the Kraus operator corresponding to the measurement outcome.
+     */
+    measureWithKraus(krausOps) {
+        let h = this._actualHiddenState.height();
+        if (!Array.isArray(krausOps) ||
+                krausOps.length === 0 ||
+                !krausOps.every(k => k instanceof Matrix && k.width() === h && k.height() === h) ||
+                !seq(krausOps).map(k => k.adjoint().times(k)).fold((a, e) => a.plus(e)).isIdentity(0.001)) {
+            throw new Error("Kraus operators must match the size of the state and satisfy Σ K† K = I.");
+        }
+        let {outcome, predicted, actual} = this._measureWithKrausOperators(krausOps);
+        this._logEvent({type: 'kraus', operators: krausOps.map(matrixToJson), outcome, predicted, actual});
+        return outcome;
+    }
+
+    /**
+     * @param {!Array.<!Matrix>} krausOps
+     * @returns {!{outcome: !int, predicted: !Array.<!number>, actual: !Array.<!number>}}
+     * @private
+     */
+    _measureWithKrausOperators(krausOps) {
+        this._operationCount++;
+
+        let branches = krausOps.map(k => this._hiddenIsDensity ?
+            k.times(this._actualHiddenState).times(k.adjoint()) :
+            k.times(this._actualHiddenState));
+        let actualWeights = branches.map(b => this._hiddenIsDensity ?
+            b.trace().real :
+            b.adjoint().times(b).trace().real);
+        let measurement = {
+            probabilities: rho => krausOps.map(k => k.times(rho).times(k.adjoint()).trace().real),
+            collapse: (rho, outcome) => krausOps[outcome].times(rho).times(krausOps[outcome].adjoint())
+        };
+        let predictedWeights = this._inference.predict(measurement);
+
+        let result = this._sample(actualWeights);
+        this._expectedIgnoranceErrors += totalVariationDistance(predictedWeights, actualWeights);
+        this._actualHiddenState = this._hiddenIsDensity ?
+            normalizeDensity(branches[result]) :
+            normalizeCol(branches[result]);
+        this._observeInference(measurement, result);
+        this._recordPrediction(predictedWeights, result);
+        return {outcome: result, predicted: predictedWeights, actual: actualWeights};
+    }
+
+    /**
+     * @param {!Array.<!number>} predicted
+     * @param {!int} outcome
+     * @private
+     */
+    _recordPrediction(predicted, outcome) {
+        if (this._predictions.length >= 2 * PREDICTION_LOG_CAPACITY) {
+            this._predictions = this._predictions.slice(-PREDICTION_LOG_CAPACITY);
+        }
+        this._predictions.push({predicted, outcome});
+    }
+
+    /**
+     * @param {!Object} event
+     * @private
+     */
+    _logEvent(event) {
+        if (this._eventLog !== undefined) {
+            this._eventLog.push(event);
+        }
+    }
+
+    /**
+     * Picks an outcome with probability proportional to its weight, unless a replay is dictating the outcomes.
+     * @param {!Array.<!number>} weights
+     * @returns {!int}
+     * @private
+     */
+    _sample(weights) {
+        if (this._forcedSamples.length > 0) {
+            return this._forcedSamples.shift();
+        }
+        return sampleIndex(weights, this._rng);
+    }
+
+    /**
+     * Tells Eve's inference strategy (and the comparison strategies) about something done to the hidden state.
+     * @param {!function(!Matrix) : !Matrix} channel
+     * @private
+     */
+    _applyInferenceChannel(channel) {
+        this._inference.applyChannel(channel);
+        for (let e of this._comparisons) {
+            e.strategy.applyChannel(channel);
+        }
+    }
+
+    /**
+     * Tells Eve's inference strategy (and the comparison strategies) the outcome of a measurement.
+     * @param {!MeasurementModel} measurement
+     * @param {!int} outcome
+     * @private
+     */
+    _observeInference(measurement, outcome) {
+        this._inference.observe(measurement, outcome);
+        for (let e of this._comparisons) {
+            e.strategy.observe(measurement, outcome);
+        }
+    }
+
+    /**
+     * @param {!InferenceStrategy} strategy
+     * @private
+     */
+    _checkInferenceStrategy(strategy) {
+        if (!(strategy instanceof InferenceStrategy) ||
+                strategy.estimate().height() !== this._actualHiddenState.height()) {
+            throw new Error("Inference strategy must be an InferenceStrategy matching the size of the state.");
+        }
+    }
+
+    /**
+     * Has Eve infer the hidden state with the given strategy from now on.
+     *
+     * The strategy only learns about what happens to the computer afterwards, so this is meant to be done before
+     * anything else. It isn't recorded in the event log, and replays use the default post-selection strategy.
+     * @param {!InferenceStrategy} strategy
+     */
+    setInferenceStrategy(strategy) {
+        this._checkInferenceStrategy(strategy);
+        this._inference = strategy;
+    }
+
+    /**
+     * Runs another inference strategy alongside Eve's, fed the same information, so that strategies can be compared
+     * against the same hidden state. Comparison strategies don't affect Eve's predictions or the metrics.
+     * @param {!string} name
+     * @param {!InferenceStrategy} strategy
+     */
+    addComparisonStrategy(name, strategy) {
+        this._checkInferenceStrategy(strategy);
+        this._comparisons.push({name, strategy});
+    }
+
+    /**
+     * @returns {!Array.<!{name: !string, traceDistance: !number, fidelity: !number}>} How close each comparison
+     * strategy's estimate is to the hidden state, in the order they were added.
+     */
+    comparisonMetrics() {
+        let actual = this._actualDensity();
+        return this._comparisons.map(({name, strategy}) => ({
+            name,
+            traceDistance: Metrics.traceDistance(actual, strategy.estimate()),
+            fidelity: this._fidelityWithHiddenState(strategy.estimate())
+        }));
+    }
+
+    /**
+     * @param {!Matrix} density
+     * @returns {!number}
+     * @private
+     */
+    _fidelityWithHiddenState(density) {
+        return this._hiddenIsDensity ?
+            Metrics.fidelity(this._actualDensity(), density) :
+            Metrics.fidelityWithPureState(this._actualHiddenState, density);
+    }
+
+    /**
+     * Determines whether noise applied to the hidden state is also applied to Eve's inferred state, or whether Eve
+     * stays ignorant of it (and so keeps assuming the computer is noiseless).
+     * @param {!boolean} eveKnowsNoise
+     */
+    setEveKnowsNoise(eveKnowsNoise) {
+        this._eveKnowsNoise = eveKnowsNoise;
+        this._logEvent({type: 'eveKnowsNoise', value: eveKnowsNoise});
+    }
+
+    /**
+     * Sends a qubit of the hidden state through a noise channel.
+     *
+     * A hidden density matrix goes through the whole channel. A hidden pure state is kept pure by sampling one of the
+     * channel's Kraus operators (i.e. a quantum trajectory), and nobody is told which one happened. If Eve knows about
+     * the noise, her inferred density goes through the whole channel.
+     *
+     * @param {!NoiseChannel} channel
+     * @param {!int} qubitIndex
+     */
+    applyNoise(channel, qubitIndex) {
+        if (!(channel instanceof NoiseChannel) || !channel.isTracePreserving(0.001)) {
+            throw new Error("Noise must be a trace-preserving NoiseChannel.");
+        }
+        let h = this._actualHiddenState.height();
+        if (!Number.isInteger(qubitIndex) || qubitIndex < 0 || (2 << qubitIndex) > h) {
+            throw new Error("Noisy qubit out of range.");
+        }
+        this._operationCount++;
+
+        let branch = null;
+        if (this._hiddenIsDensity) {
+            this._actualHiddenState = applyChannelToDensity(this._actualHiddenState, channel, qubitIndex);
+        } else {
+            let branches = channel.krausOperators.map(k => {
+                let buf = this._actualHiddenState.rawBuffer().slice();
+                applyQubitOperationToRows(buf, 1, h, k, qubitIndex, 0, 0);
+                return new Matrix(1, h, buf);
+            });
+            let branchWeights = branches.map(b => b.adjoint().times(b).trace().real);
+            branch = this._sample(branchWeights);
+            this._actualHiddenState = normalizeCol(branches[branch]);
+        }
+
+        if (this._eveKnowsNoise) {
+            this._applyInferenceChannel(rho => applyChannelToDensity(rho, channel, qubitIndex));
+        }
+        this._logEvent({
+            type: 'noise',
+            name: channel.name,
+            operators: channel.krausOperators.map(matrixToJson),
+            qubit: qubitIndex,
+            branch
+        });
+    }
+
+    /**
+     * With probability p, replaces the qubit with the maximally mixed state.
+     * @param {!int} qubitIndex
+     * @param {!number} p
+     */
+    applyDepolarizing(qubitIndex, p) {
+        this.applyNoise(NoiseChannel.depolarizing(p), qubitIndex);
+    }
+
+    /**
+     * Decays the qubit towards OFF, with an ON qubit decaying with probability gamma.
+     * @param {!int} qubitIndex
+     * @param {!number} gamma
+     */
+    applyAmplitudeDamping(qubitIndex, gamma) {
+        this.applyNoise(NoiseChannel.amplitudeDamping(gamma), qubitIndex);
+    }
+
+    /**
+     * Decoheres the qubit, with the environment learning whether it is ON with probability lambda.
+     * @param {!int} qubitIndex
+     * @param {!number} lambda
+     */
+    applyPhaseDamping(qubitIndex, lambda) {
+        this.applyNoise(NoiseChannel.phaseDamping(lambda), qubitIndex);
+    }
+
+    /**
+     * With probability p, applies a NOT to the qubit.
+     * @param {!int} qubitIndex
+     * @param {!number} p
+     */
+    applyBitFlip(qubitIndex, p) {
+        this.applyNoise(NoiseChannel.bitFlip(p), qubitIndex);
+    }
+
+    /**
+     * Stops recording events, and forgets the ones recorded so far, so that a computer that runs for a long time (e.g.
+     * on the live page) doesn't use more and more memory. Afterwards, exportLog can't be used.
+     */
+    disableEventLog() {
+        this._eventLog = undefined;
+    }
+
+    /**
+     * Returns a JSON record of the initial hidden state and of every operation, measurement, and sampled outcome so
+     * far.
+     * Measurement events include Eve's predicted probabilities and the actual probabilities of each outcome.
+     * @returns {!string}
+     */
+    exportLog() {
+        if (this._eventLog === undefined) {
+            throw new Error("The event log was disabled.");
+        }
+        return JSON.stringify({
+            initialState: matrixToJson(this._initialHiddenState),
+            events: this._eventLog
+        });
+    }
+
+    /**
+     * Creates a fresh computer and re-performs every logged event on it, forcing the same outcomes, so that it goes
+     * through exactly the same hidden and inferred states as the computer that made the log.
+     * @param {!string} logJson Text returned by exportLog.
+     * @param {!Random=} rng Used for anything done to the computer after the replay.
+     * @returns {!EveQuantumComputer}
+     */
+    static replayLog(logJson, rng=new Random()) {
+        let log = JSON.parse(logJson);
+        let computer = new EveQuantumComputer(matrixFromJson(log.initialState), rng);
+        // The logged state was normalized when it was first given to a computer. Normalizing it again can change its
+        // last bits, so the replay starts from the state exactly as it was logged instead.
+        computer._actualHiddenState = matrixFromJson(log.initialState);
+        computer._initialHiddenState = matrixFromJson(log.initialState);
+        for (let event of log.events) {
+            computer.replayEvent(event);
+        }
+        return computer;
+    }
+
+    /**
+     * Re-performs a single event from a log produced by exportLog, forcing the logged outcome.
+     * @param {!Object} event
+     */
+    replayEvent(event) {
+        let forced = event.hasOwnProperty('branch') ? event.branch : event.outcome;
+        this._forcedSamples = forced === undefined || forced === null ? [] : [forced];
+        try {
+            switch (event.type) {
+                case 'operation':
+                    this.applyOperation(matrixFromJson(event.matrix));
+                    break;
+                case 'evolve':
+                    this.evolve(matrixFromJson(event.hamiltonian), event.time);
+                    break;
+                case 'gate':
+                    this.applyGate(
+                        matrixFromJson(event.matrix),
+                        event.target,
+                        event.controls,
+                        event.antiControls || []);
+                    break;
+                case 'measure':
+                    this.measureQubits(event.qubits);
+                    break;
+                case 'measureInBasis':
+                    this.measureQubitInBasis(event.qubit, matrixFromJson(event.basis));
+                    break;
+                case 'projective':
+                    this.measureProjective(event.operators.map(matrixFromJson));
+                    break;
+                case 'kraus':
+                    this.measureWithKraus(event.operators.map(matrixFromJson));
+                    break;
+                case 'randomOperation':
+                    this.applyRandomOperation(event.choices.map(e => e.operation !== undefined ?
+                        {probability: e.probability, operation: matrixFromJson(e.operation)} :
+                        {
+                            probability: e.probability,
+                            gate: matrixFromJson(e.gate),
+                            target: e.target,
+                            controls: e.controls
+                        }));
+                    break;
+                case 'noise':
+                    this.applyNoise(new NoiseChannel(event.name, event.operators.map(matrixFromJson)), event.qubit);
+                    break;
+                case 'eveKnowsNoise':
+                    this.setEveKnowsNoise(event.value);
+                    break;
+                default:
+                    throw new Error("Unrecognized logged event type: " + event.type);
             }
+        } finally {
+            this._forcedSamples = [];
+        }
+    }
+
+    /**
+     * @returns {!Matrix} The hidden state as a density matrix, whether or not it is being tracked as one.
+     * @private
+     */
+    _actualDensity() {
+        return this._hiddenIsDensity ?
+            this._actualHiddenState :
+            this._actualHiddenState.times(this._actualHiddenState.adjoint());
+    }
+
+    /**
+     * Starts running a circuit program on the computer. Call step or run on the result to make progress.
+     * @param {!CircuitProgram} program
+     * @param {!Random=} rng Source of the program's coin flips.
+     * @returns {!CircuitExecution}
+     */
+    execute(program, rng=new Random()) {
+        return new CircuitExecution(program, this, rng);
+    }
+
+    /**
+     * Captures the computer's current state for inspection, e.g. by tests, exporters and renderers.
+     *
+     * The matrices are copies, and the snapshot is frozen, so nothing done with it affects the computer (or vice
+     * versa).
+     * @returns {!{
+     *     numQubits: !int,
+     *     hiddenIsDensity: !boolean,
+     *     hiddenState: !Matrix,
+     *     actualDensity: !Matrix,
+     *     inferredDensity: !Matrix,
+     *     operationCount: !int,
+     *     accumulatedMisprediction: !number,
+     *     eveKnowsNoise: !boolean,
+     *     qubitMarginals: !Array.<!{actual: !Matrix, inferred: !Matrix}>,
+     *     comparisons: !Array.<!{name: !string, inferredDensity: !Matrix}>
+     * }} The hidden state is a column vector, unless hiddenIsDensity is set. The actual density is the hidden state
+     * as a density matrix either way. The comparisons hold each comparison strategy's estimate, in the order they were
+     * added.
+     */
+    snapshot() {
+        let copy = m => new Matrix(m.width(), m.height(), m.rawBuffer().slice());
+        return Object.freeze({
+            numQubits: this.numQubits(),
+            hiddenIsDensity: this._hiddenIsDensity,
+            hiddenState: copy(this._actualHiddenState),
+            actualDensity: copy(this._actualDensity()),
+            inferredDensity: copy(this._inference.estimate()),
+            operationCount: this._operationCount,
+            accumulatedMisprediction: this._expectedIgnoranceErrors,
+            eveKnowsNoise: this._eveKnowsNoise,
+            qubitMarginals: Object.freeze(this.qubitMarginals().map(Object.freeze)),
+            comparisons: Object.freeze(this._comparisons.map(({name, strategy}) =>
+                Object.freeze({name, inferredDensity: copy(strategy.estimate())})))
+        });
+    }
+
+    /**
+     * Compares Eve's inferred density matrix against the hidden state.
+     * @returns {!{
+     *     fidelity: !number,
+     *     traceDistance: !number,
+     *     hilbertSchmidtDistance: !number,
+     *     relativeEntropy: !number,
+     *     inferredPurity: !number,
+     *     inferredEntropy: !number
+     * }} The relative entropy is S(actual‖inferred) in bits; how surprised Eve is by the hidden state.
+     */
+    metrics() {
+        let actual = this._actualDensity();
+        let inferred = this._inference.estimate();
+        return {
+            fidelity: this._fidelityWithHiddenState(inferred),
+            traceDistance: Metrics.traceDistance(actual, inferred),
+            hilbertSchmidtDistance: Metrics.hilbertSchmidtDistance(actual, inferred),
+            relativeEntropy: Metrics.relativeEntropy(actual, inferred),
+            inferredPurity: Metrics.purity(inferred),
+            inferredEntropy: Metrics.entropy(inferred)
+        };
+    }
+
+    /**
+     * Has Eve prepare her best guess at a copy of the hidden state, the pure state her inferred density matrix is
+     * closest to, and grades it against the hidden state.
+     *
+     * Eve prepares the clone on her own, so attempting a clone doesn't disturb the hidden state (or count as an
+     * operation).
+     * @returns {!{clone: !Matrix, fidelity: !number}} The clone as a unit column vector, and its fidelity with the
+     * hidden state.
+     */
+    attemptClone() {
+        let clone = Metrics.dominantEigenvector(this._inference.estimate());
+        return {clone, fidelity: Metrics.fidelityWithPureState(clone, this._actualDensity())};
+    }
+
+    /**
+     * Returns the expected value of an observable, according to the hidden state and according to Eve's inferred state.
+     * @param {!PauliSum} observable A Pauli sum with real coefficients, over the computer's qubits.
+     * @returns {!{actual: !number, inferred: !number}}
+     */
+    expectationValues(observable) {
+        if (!(observable instanceof PauliSum) ||
+                !observable.isHermitian(0.000001) ||
+                1 << observable.numQubits() !== this._actualHiddenState.height()) {
+            throw new Error("Observable must be a Hermitian Pauli sum over the computer's qubits.");
         }
-        let result = Math.random() < actualOnNess;
-        this._expectedIgnoranceErrors += Math.abs(predictedOnNess - actualOnNess);
-        this._actualHiddenState = postselectCol(this._actualHiddenState, qubitIndex, result);
-        this._inferredStateDensity = postselectDensity(this._inferredStateDensity, qubitIndex, result);
-        return result;
+        return {
+            actual: observable.expectation(this._actualHiddenState).real,
+            inferred: observable.expectation(this._inference.estimate()).real
+        };
     }
 
     /**
      * @param {!Matrix} singleQubitOperationMatrix
      * @param {!int} targetQubit
      * @param {!Array.<!int>=} qubitsUsedAsControls
+     * @param {!Array.<!int>=} qubitsUsedAsAntiControls
      * @returns {!Matrix}
      */
-    expandOperation(singleQubitOperationMatrix, targetQubit, qubitsUsedAsControls=[]) {
+    expandOperation(singleQubitOperationMatrix, targetQubit, qubitsUsedAsControls=[], qubitsUsedAsAntiControls=[]) {
         let n = Math.log2(this._actualHiddenState.height());
-        return expandOp(singleQubitOperationMatrix, targetQubit, n, qubitsUsedAsControls)
+        return Gates.expand(
+            singleQubitOperationMatrix,
+            [targetQubit],
+            n,
+            qubitsUsedAsControls,
+            qubitsUsedAsAntiControls);
     }
 
-    drawState() {
-        redraw(this);
+    /**
+     * Captures everything that changes as the computer is used, so that it can be rewound with restore (e.g. by a
+     * debugger stepping backwards).
+     * @returns {!Object} An opaque value. Restoring it doesn't use it up, so the same checkpoint can be restored again.
+     */
+    checkpoint() {
+        let copy = m => new Matrix(m.width(), m.height(), m.rawBuffer().slice());
+        return {
+            hiddenIsDensity: this._hiddenIsDensity,
+            actualHiddenState: copy(this._actualHiddenState),
+            inference: this._inference.copy(),
+            comparisons: this._comparisons.map(({name, strategy}) => ({name, strategy: strategy.copy()})),
+            operationCount: this._operationCount,
+            expectedIgnoranceErrors: this._expectedIgnoranceErrors,
+            eveKnowsNoise: this._eveKnowsNoise,
+            // The log is only ever appended to, so remembering its length is enough.
+            eventLog: this._eventLog,
+            eventCount: this._eventLog === undefined ? 0 : this._eventLog.length,
+            // Predictions are also only appended to, until replaced.
+            predictions: this._predictions,
+            predictionCount: this._predictions.length
+        };
     }
 
-    drawLoop(func, period=100) {
-        this.drawState();
-        setInterval(() => {
-            func();
-            this.drawState();
-        }, period);
+    /**
+     * Puts the computer back into the state it was in when a checkpoint was made. Everything done since, including
+     * logged events, is forgotten.
+     * @param {!Object} checkpoint A value returned by this computer's checkpoint method.
+     */
+    restore(checkpoint) {
+        let copy = m => new Matrix(m.width(), m.height(), m.rawBuffer().slice());
+        this._hiddenIsDensity = checkpoint.hiddenIsDensity;
+        this._actualHiddenState = copy(checkpoint.actualHiddenState);
+        this._inference = checkpoint.inference.copy();
+        this._comparisons = checkpoint.comparisons.map(({name, strategy}) => ({name, strategy: strategy.copy()}));
+        this._operationCount = checkpoint.operationCount;
+        this._expectedIgnoranceErrors = checkpoint.expectedIgnoranceErrors;
+        this._eveKnowsNoise = checkpoint.eveKnowsNoise;
+        // A disabled log stays disabled.
+        this._eventLog = this._eventLog === undefined || checkpoint.eventLog === undefined ?
+            undefined :
+            checkpoint.eventLog.slice(0, checkpoint.eventCount);
+        this._predictions = checkpoint.predictions.slice(0, checkpoint.predictionCount);
+    }
+
+    /**
+     * @returns {!Array.<!number>} For each qubit, the trace distance between its actual and inferred marginal states.
+     */
+    qubitTraceDistances() {
+        return this.qubitMarginals().map(e => qubitTraceDistance(e.actual, e.inferred));
+    }
+
+    /**
+     * @returns {!Array.<!{actual: !Matrix, inferred: !Matrix}>} For each qubit, its 2x2 density matrix in the hidden
+     * state and in Eve's inferred state, with the other qubits traced out.
+     */
+    qubitMarginals() {
+        let actualDensity = this._actualDensity();
+        return Seq.range(this.numQubits()).map(k => ({
+            actual: traceQubitOutOfDensityMatrix(actualDensity, k),
+            inferred: traceQubitOutOfDensityMatrix(this._inference.estimate(), k)
+        })).toArray();
+    }
+
+    /**
+     * @returns {!int} The number of operations and measurements performed so far.
+     */
+    operationCount() {
+        return this._operationCount;
+    }
+
+    /**
+     * @returns {!number} The total, over all measurements so far, of the total variation distance between the
+     * outcome probabilities Eve predicted and the actual ones.
+     */
+    accumulatedMisprediction() {
+        return this._expectedIgnoranceErrors;
+    }
+
+    /**
+     * @returns {!Array.<!Prediction>} For each measurement so far (up to the most recent
+     * EveQuantumComputer.PREDICTION_LOG_CAPACITY of them), in order, the probability Eve assigned to each of its
+     * outcomes beforehand and the outcome that actually happened. Suitable for scoring with PredictionScores.
+     */
+    predictionLog() {
+        return this._predictions.
+            slice(-PREDICTION_LOG_CAPACITY).
+            map(e => ({predicted: e.predicted.slice(), outcome: e.outcome}));
     }
 }
 
@@ -206,61 +1312,17 @@ let traceQubitOutOfDensityMatrix = (density, qubitIndex) => {
     return new Matrix(2, 2, newBuf);
 };
 
-let estimateTraceDistance = (m1, m2) => {
-    let d = m1.minus(m2);
-    return seq(d.eigenvalueMagnitudes(0.001, 100)).map(Math.abs).sum()/2;
-};
-
 let qubitTraceDistance = (d1, d2) => {
     let [x1, y1, z1] = d1.qubitDensityMatrixToBlochVector();
     let [x2, y2, z2] = d2.qubitDensityMatrixToBlochVector();
     let [dx, dy, dz] = [x2-x1, y2-y1, z2-z1];
-    return (Math.sqrt(dx*dx + dy*dy + dz*dz) / 2).toFixed(4);
+    return Math.sqrt(dx*dx + dy*dy + dz*dz) / 2;
 };
 
-redraw = computer => {
-    let numQubits = Math.log2(computer._actualHiddenState.height());
-    let canvas = /** @type {!HTMLCanvasElement} */ document.getElementById('drawCanvas');
-    canvas.height = 1000;
-    canvas.width = 1000;
-    let painter = new Painter(canvas);
-
-    painter.fillRect(new Rect(0, 0, 150, 150), 'white');
-    painter.print('actual', 50, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
-    painter.print('inferred', 125, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
-    painter.print('distance', 200, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
-    painter.print('actual (full state)', 275+250/2, 5, 'center', 'top', 'black', '12px Helvetica', 200, 50);
-    painter.print('inferred (full state)', 550+250/2, 5, 'center', 'top', 'black', '12px Helvetica', 200, 50);
-
-    let actualDensity = computer._actualHiddenState.times(computer._actualHiddenState.adjoint());
-    for (let k = 0; k < numQubits; k++) {
-        let actualMarginalBit = traceQubitOutOfDensityMatrix(actualDensity, k);
-        let predictedMarginalBit = traceQubitOutOfDensityMatrix(computer._inferredStateDensity, k);
-        MathPainter.paintBlochSphere(painter, actualMarginalBit, new Rect(25, k*60 + 25, 50, 50));
-        MathPainter.paintBlochSphere(painter, predictedMarginalBit, new Rect(100, k*60 + 25, 50, 50));
-        let traceDistanceQubit = qubitTraceDistance(actualMarginalBit, predictedMarginalBit);
-        painter.print(traceDistanceQubit, 180, k*60+50, 'left', 'alphabetic', 'black', '12px Helvetica', 50, 50);
-    }
-    MathPainter.paintDensityMatrix(painter, actualDensity, new Rect(275, 25, 250, 250));
-    MathPainter.paintDensityMatrix(painter, computer._inferredStateDensity, new Rect(550, 25, 250, 250));
-    let probables = seq(computer._inferredStateDensity.eigenvalueMagnitudes(0.001, 100)).toArray();
-    let dw = 250/probables.length;
-    let dh = Math.ceil(250/16);
-    painter.strokeRect(new Rect(550-0.5, 280-0.5, 250+1, dh), 'black');
-    for (let k = 0; k < probables.length; k++) {
-        let h = dh*probables[k];
-        painter.fillRect(new Rect(550+dw*k, 280+dh-h-0.5, dw, h), 'green');
-    }
-    let entropy = seq(probables).map(e => e <= 0 ? 0 : -e*Math.log2(e)).sum().toFixed(2);
-    let traceDistance = estimateTraceDistance(computer._inferredStateDensity, actualDensity);
-    let entropyText = "Remaining Entropy: " + entropy + " bits";
-    let distanceText = "Trace Distance: " + (traceDistance*100).toFixed(1) + "%";
-    let stepText = "Operations Applied: " + computer._operationCount;
-    let scoreText = "Accumulated Misprediction: " + computer._expectedIgnoranceErrors.toFixed(2);
-    painter.print(entropyText, 550+250/2, 282, 'center', 'top', 'black', '12px Helvetica', 400, 50);
-    painter.print(distanceText, 550+250/2, 300, 'center', 'top', 'black', '12px Helvetica', 400, 50);
-    painter.print(stepText, 275+250/2, 282, 'center', 'top', 'black', '12px Helvetica', 400, 50);
-    painter.print(scoreText, 275+250/2, 300, 'center', 'top', 'black', '12px Helvetica', 400, 50);
-};
+/**
+ * The most predictions predictionLog returns.
+ * @type {!int}
+ */
+EveQuantumComputer.PREDICTION_LOG_CAPACITY = PREDICTION_LOG_CAPACITY;
 
 export default EveQuantumComputer;
@@ -0,0 +1,90 @@
+/**
+ * A seedable pseudo-random number generator (xoshiro128**), so that runs can be replayed exactly.
+ */
+export default class Random {
+    /**
+     * @param {!int=} seed A 32-bit integer seed. Defaults to a seed derived from Math.random.
+     */
+    constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+        if (!Number.isInteger(seed)) {
+            throw new Error("Seed must be an integer.");
+        }
+        /**
+         * The seed the generator was created with, for reproducing its output.
+         * @type {!int}
+         */
+        this.seed = seed >>> 0;
+
+        // Expand the seed into the four words of state with splitmix32, which avoids the all-zero state.
+        let x = this.seed;
+        let splitmix32 = () => {
+            x = (x + 0x9E3779B9) | 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+            z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+        /**
+         * @type {!Uint32Array}
+         * @private
+         */
+        this._state = new Uint32Array([splitmix32(), splitmix32(), splitmix32(), splitmix32()]);
+    }
+
+    /**
+     * @returns {!int} A uniformly random unsigned 32-bit integer.
+     * @private
+     */
+    _nextUint32() {
+        let s = this._state;
+        let r = Math.imul(s[1], 5);
+        r = Math.imul((r << 7) | (r >>> 25), 9);
+        let t = s[1] << 9;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = (s[3] << 11) | (s[3] >>> 21);
+        return r >>> 0;
+    }
+
+    /**
+     * @returns {!number} A uniformly random number in [0, 1), with 53 bits of precision.
+     */
+    next() {
+        let hi = this._nextUint32() >>> 5;
+        let lo = this._nextUint32() >>> 6;
+        return (hi * 0x4000000 + lo) / 0x20000000000000;
+    }
+
+    /**
+     * @param {!int} n
+     * @returns {!int} A uniformly random integer in [0, n).
+     */
+    nextInt(n) {
+        if (!Number.isInteger(n) || n <= 0) {
+            throw new Error("Range must be a positive integer.");
+        }
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * Draws a seed for a separate generator, e.g. for a part of a simulation whose randomness shouldn't line up with
+     * any other generator seeded by counting up from the same seed.
+     * @returns {!Random}
+     */
+    split() {
+        return new Random(this._nextUint32());
+    }
+
+    /**
+     * @returns {!number} A sample from the standard normal distribution.
+     */
+    nextGaussian() {
+        // Box-Muller transform.
+        let u = 1 - this.next();
+        let v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
@@ -42,4 +42,16 @@ export default class Revision {
         this.isWorkingOnCommit = false;
         return this.history[this.index];
     }
+
+    /**
+     * Forgets the oldest checkpoints, so that at most the given number are kept.
+     * @param {!int} maxLength
+     * @returns {!int} The number of checkpoints that were forgotten.
+     */
+    forgetOldest(maxLength) {
+        let excess = Math.max(0, Math.min(this.history.length - maxLength, this.index));
+        this.history.splice(0, excess);
+        this.index -= excess;
+        return excess;
+    }
 }
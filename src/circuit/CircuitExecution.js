@@ -0,0 +1,194 @@
+import CIRCUIT_GATES from "src/circuit/CircuitGates.js"
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import DetailedError from "src/base/DetailedError.js"
+import Random from "src/base/Random.js"
+
+/**
+ * Runs a circuit program on a quantum computer, one gate, measurement or coin flip at a time.
+ */
+class CircuitExecution {
+    /**
+     * @param {!CircuitProgram} program
+     * @param {!EveQuantumComputer} computer
+     * @param {!Random=} rng Source of the program's coin flips.
+     */
+    constructor(program, computer, rng = new Random()) {
+        if (!(program instanceof CircuitProgram)) {
+            throw new DetailedError("Not a circuit program.", {program});
+        }
+        if (program.numQubits > computer.numQubits()) {
+            throw new DetailedError("Program uses more qubits than the computer has.",
+                {needed: program.numQubits, available: computer.numQubits()});
+        }
+        /**
+         * @type {!CircuitProgram}
+         */
+        this.program = program;
+        /**
+         * @type {!EveQuantumComputer}
+         */
+        this.computer = computer;
+        /**
+         * @type {!Random}
+         * @private
+         */
+        this._rng = rng;
+        /**
+         * @type {!Map.<!string, !boolean>}
+         * @private
+         */
+        this._bits = new Map(program.initialBits.map(name => [name, false]));
+        /**
+         * The blocks being executed, innermost last.
+         * @type {!Array.<!{statements: !Array.<!Object>, index: !int, remaining: !number}>}
+         * @private
+         */
+        this._frames = [{statements: program.statements, index: 0, remaining: 1}];
+        /**
+         * @type {!int}
+         */
+        this.stepCount = 0;
+    }
+
+    /**
+     * @returns {!boolean}
+     */
+    isFinished() {
+        return this._nextPrimitiveStatement(false) === undefined;
+    }
+
+    /**
+     * Performs the next gate, measurement or coin flip.
+     * @returns {!boolean} False if the program had already finished.
+     */
+    step() {
+        let statement = this._nextPrimitiveStatement(true);
+        if (statement === undefined) {
+            return false;
+        }
+        switch (statement.type) {
+            case 'gate':
+                CIRCUIT_GATES.get(statement.name).apply(
+                    this.computer,
+                    statement.qubits,
+                    statement.params,
+                    statement.controls,
+                    statement.antiControls);
+                break;
+            case 'measure': {
+                let result = this.computer.measureQubit(statement.qubit);
+                if (statement.bit !== null) {
+                    this._bits.set(statement.bit, result);
+                }
+                break;
+            }
+            case 'flip':
+                this._bits.set(statement.bit, this._rng.next() < statement.probability);
+                break;
+            default:
+                throw new DetailedError("Unrecognized statement type.", {statement});
+        }
+        this.stepCount++;
+        return true;
+    }
+
+    /**
+     * Steps until the program finishes, or until the given number of steps have been taken.
+     * Programs containing a 'loop' never finish, so give them a limit.
+     * @param {!number=} maxSteps
+     * @returns {!int} The number of steps taken.
+     */
+    run(maxSteps = Infinity) {
+        let n = 0;
+        while (n < maxSteps && this.step()) {
+            n++;
+        }
+        return n;
+    }
+
+    /**
+     * @returns {!Object.<!string, !boolean>} The current value of each classical bit that has been set.
+     */
+    bits() {
+        let result = {};
+        for (let [name, value] of this._bits) {
+            result[name] = value;
+        }
+        return result;
+    }
+
+    /**
+     * Walks through control flow until reaching a statement that does something.
+     * @param {!boolean} consume Whether to advance past the returned statement, or leave the execution as it was.
+     * @returns {undefined|!Object}
+     * @private
+     */
+    _nextPrimitiveStatement(consume) {
+        let frames = consume ?
+            this._frames :
+            this._frames.map(f => ({statements: f.statements, index: f.index, remaining: f.remaining}));
+        // Bits only change when a statement does something, so a loop that makes a whole pass without reaching such a
+        // statement will never reach one.
+        let restartedFrames = new Set();
+        while (frames.length > 0) {
+            let frame = frames[frames.length - 1];
+            if (frame.index >= frame.statements.length) {
+                if (frame.remaining > 1 && !restartedFrames.has(frame)) {
+                    restartedFrames.add(frame);
+                    frame.remaining--;
+                    frame.index = 0;
+                } else {
+                    frames.pop();
+                }
+                continue;
+            }
+
+            let statement = frame.statements[frame.index];
+            if (statement.type === 'if') {
+                frame.index++;
+                let branch = this._evaluate(statement.condition, statement.line) ? statement.then : statement.otherwise;
+                frames.push({statements: branch, index: 0, remaining: 1});
+            } else if (statement.type === 'repeat') {
+                frame.index++;
+                if (statement.count > 0) {
+                    frames.push({statements: statement.body, index: 0, remaining: statement.count});
+                }
+            } else {
+                if (consume) {
+                    frame.index++;
+                }
+                return statement;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * @param {!Object} condition
+     * @param {!int} line
+     * @returns {!boolean}
+     * @private
+     */
+    _evaluate(condition, line) {
+        switch (condition.type) {
+            case 'bit':
+                if (!this._bits.has(condition.name)) {
+                    throw new DetailedError(`Bit '${condition.name}' read before being set (line ${line}).`,
+                        {condition});
+                }
+                return this._bits.get(condition.name);
+            case 'not':
+                return !this._evaluate(condition.operand, line);
+            case 'and':
+                return this._evaluate(condition.left, line) && this._evaluate(condition.right, line);
+            case 'or':
+                return this._evaluate(condition.left, line) || this._evaluate(condition.right, line);
+            case 'xor':
+                return this._evaluate(condition.left, line) !== this._evaluate(condition.right, line);
+            default:
+                throw new DetailedError("Unrecognized condition type.", {condition});
+        }
+    }
+}
+
+export default CircuitExecution;
@@ -0,0 +1,108 @@
+import Complex from "src/math/Complex.js"
+import Gates from "src/math/Gates.js"
+import Matrix from "src/math/Matrix.js"
+import { seq } from "src/base/Seq.js"
+
+/**
+ * @typedef {!{
+ *     numQubits: !int,
+ *     numParams: !int,
+ *     apply: !function(!EveQuantumComputer, !Array.<!int>, !Array.<!number>, !Array.<!int>, !Array.<!int>)
+ * }} CircuitGate
+ * A gate usable by circuit programs. A numQubits of 0 means the gate takes any positive number of qubits. The apply
+ * function receives the computer, the gate's qubits, its parameters, and any extra controls and anti-controls.
+ */
+
+let maskOf = qubits => seq(qubits).aggregate(0, (a, e) => a | (1 << e));
+
+/**
+ * A single-qubit gate, optionally preceded by some number of control qubits (e.g. cx takes a control then a target).
+ * @param {!function(...!number) : !Matrix} matrixFunc
+ * @param {!int=} numParams
+ * @param {!int=} numControls
+ * @returns {!CircuitGate}
+ */
+let singleQubitGate = (matrixFunc, numParams = 0, numControls = 0) => ({
+    numQubits: numControls + 1,
+    numParams,
+    apply: (qpu, qubits, params, controls, antiControls) => qpu.applyGate(
+        matrixFunc(...params),
+        qubits[numControls],
+        [...qubits.slice(0, numControls), ...controls],
+        antiControls)
+});
+
+/**
+ * A gate acting on several qubits, given as a function producing its full-register matrix.
+ * @param {!int} numQubits
+ * @param {!function(!int, !Array.<!int>, !Array.<!number>) : !Matrix} fullMatrixFunc
+ * @param {!int=} numParams
+ * @returns {!CircuitGate}
+ */
+let multiQubitGate = (numQubits, fullMatrixFunc, numParams = 0) => ({
+    numQubits,
+    numParams,
+    apply: (qpu, qubits, params, controls, antiControls) => qpu.applyOperation(Gates.controlify(
+        fullMatrixFunc(qpu.numQubits(), qubits, params),
+        maskOf(controls) | maskOf(antiControls),
+        maskOf(controls)))
+});
+
+let phase = phi => Matrix.square(1, 0, 0, Complex.polar(1, phi));
+let rx = theta => Matrix.fromAngleAxisPhaseRotation(theta, [1, 0, 0]);
+let ry = theta => Matrix.fromAngleAxisPhaseRotation(theta, [0, 1, 0]);
+let rz = theta => Matrix.fromAngleAxisPhaseRotation(theta, [0, 0, 1]);
+let u3 = (theta, phi, lambda) => Matrix.square(
+    Math.cos(theta/2), Complex.polar(-Math.sin(theta/2), lambda),
+    Complex.polar(Math.sin(theta/2), phi), Complex.polar(Math.cos(theta/2), phi + lambda));
+let pauliPower = axis => t => Matrix.fromAngleAxisPhaseRotation(Math.PI*t, axis, Math.PI*t/2);
+let SQRT_X = Matrix.square(
+    new Complex(0.5, 0.5), new Complex(0.5, -0.5),
+    new Complex(0.5, -0.5), new Complex(0.5, 0.5));
+let fourier = (n, qubits, inverse) => {
+    let q = Gates.qft(qubits.length);
+    return Gates.expand(inverse ? q.adjoint() : q, qubits, n);
+};
+
+/**
+ * The gates that circuit programs can refer to, by (lower case) name.
+ * @type {!Map.<!string, !CircuitGate>}
+ */
+const CIRCUIT_GATES = new Map([
+    ['i', singleQubitGate(() => Matrix.identity(2))],
+    ['x', singleQubitGate(() => Matrix.PAULI_X)],
+    ['y', singleQubitGate(() => Matrix.PAULI_Y)],
+    ['z', singleQubitGate(() => Matrix.PAULI_Z)],
+    ['h', singleQubitGate(() => Matrix.HADAMARD)],
+    ['s', singleQubitGate(() => phase(Math.PI/2))],
+    ['sdg', singleQubitGate(() => phase(-Math.PI/2))],
+    ['t', singleQubitGate(() => phase(Math.PI/4))],
+    ['tdg', singleQubitGate(() => phase(-Math.PI/4))],
+    ['rx', singleQubitGate(rx, 1)],
+    ['ry', singleQubitGate(ry, 1)],
+    ['rz', singleQubitGate(rz, 1)],
+    ['phase', singleQubitGate(phase, 1)],
+    ['u3', singleQubitGate(u3, 3)],
+    ['sx', singleQubitGate(() => SQRT_X)],
+    ['sxdg', singleQubitGate(() => SQRT_X.adjoint())],
+    ['xpow', singleQubitGate(pauliPower([1, 0, 0]), 1)],
+    ['ypow', singleQubitGate(pauliPower([0, 1, 0]), 1)],
+    ['zpow', singleQubitGate(pauliPower([0, 0, 1]), 1)],
+    ['cx', singleQubitGate(() => Matrix.PAULI_X, 0, 1)],
+    ['cnot', singleQubitGate(() => Matrix.PAULI_X, 0, 1)],
+    ['cy', singleQubitGate(() => Matrix.PAULI_Y, 0, 1)],
+    ['cz', singleQubitGate(() => Matrix.PAULI_Z, 0, 1)],
+    ['ch', singleQubitGate(() => Matrix.HADAMARD, 0, 1)],
+    ['cphase', singleQubitGate(phase, 1, 1)],
+    ['ccx', singleQubitGate(() => Matrix.PAULI_X, 0, 2)],
+    ['toffoli', singleQubitGate(() => Matrix.PAULI_X, 0, 2)],
+    ['ccz', singleQubitGate(() => Matrix.PAULI_Z, 0, 2)],
+    ['swap', multiQubitGate(2, (n, [a, b]) => Gates.swap(n, a, b))],
+    ['iswap', multiQubitGate(2, (n, [a, b]) => Gates.iSwap(n, a, b))],
+    ['cswap', multiQubitGate(3, (n, [c, a, b]) => Gates.fredkin(n, c, a, b))],
+    ['fredkin', multiQubitGate(3, (n, [c, a, b]) => Gates.fredkin(n, c, a, b))],
+    ['qft', multiQubitGate(0, (n, qubits) => fourier(n, qubits, false))],
+    ['iqft', multiQubitGate(0, (n, qubits) => fourier(n, qubits, true))]
+]);
+
+export default CIRCUIT_GATES;
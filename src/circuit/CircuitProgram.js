@@ -0,0 +1,408 @@
+import CIRCUIT_GATES from "src/circuit/CircuitGates.js"
+import DetailedError from "src/base/DetailedError.js"
+
+const TOKEN_PATTERNS = [
+    ['space', /^[ \t\r]+/],
+    ['comment', /^(#|\/\/)[^\n]*/],
+    ['newline', /^\n/],
+    ['symbol', /^->/],
+    ['number', /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/],
+    ['word', /^[a-zA-Z_][a-zA-Z0-9_]*/],
+    ['symbol', /^[(){};,!&|^+\-*/]/]
+];
+
+/**
+ * @param {!string} text
+ * @returns {!Array.<!{type: !string, value: !string, line: !int}>}
+ */
+let tokenize = text => {
+    let tokens = [];
+    let line = 1;
+    let rest = text;
+    while (rest.length > 0) {
+        let matched = TOKEN_PATTERNS.map(([type, pattern]) => ({type, match: pattern.exec(rest)})).
+            find(e => e.match !== null);
+        if (matched === undefined) {
+            throw new DetailedError(`Unexpected character on line ${line}.`, {text: rest.split("\n")[0]});
+        }
+        let value = matched.match[0];
+        if (matched.type !== 'space' && matched.type !== 'comment') {
+            tokens.push({type: matched.type, value, line});
+        }
+        if (matched.type === 'newline') {
+            line++;
+        }
+        rest = rest.substr(value.length);
+    }
+    tokens.push({type: 'end', value: '', line});
+    return tokens;
+};
+
+/**
+ * Recursive descent over the tokens of a circuit program.
+ */
+class Parser {
+    /**
+     * @param {!string} text
+     */
+    constructor(text) {
+        /**
+         * @type {!Array.<!{type: !string, value: !string, line: !int}>}
+         * @private
+         */
+        this._tokens = tokenize(text);
+        /**
+         * @type {!int}
+         * @private
+         */
+        this._index = 0;
+        /**
+         * @type {!int}
+         */
+        this.maxQubit = -1;
+    }
+
+    peek() {
+        return this._tokens[this._index];
+    }
+
+    next() {
+        let token = this._tokens[this._index];
+        if (token.type !== 'end') {
+            this._index++;
+        }
+        return token;
+    }
+
+    /**
+     * @param {!string} message
+     * @param {!{line: !int, value: !string}=} token
+     */
+    fail(message, token = this.peek()) {
+        throw new DetailedError(`${message} (line ${token.line}, at '${token.value}')`, {token});
+    }
+
+    accept(value) {
+        if (this.peek().value === value && this.peek().type !== 'end') {
+            return this.next();
+        }
+        return undefined;
+    }
+
+    expect(value) {
+        let token = this.accept(value);
+        if (token === undefined) {
+            this.fail(`Expected '${value}'.`);
+        }
+        return token;
+    }
+
+    skipNewlines() {
+        while (this.peek().type === 'newline') {
+            this.next();
+        }
+    }
+
+    /**
+     * @param {!string} terminator The closing brace, or '' for the end of the text.
+     * @returns {!Array.<!Object>}
+     */
+    parseStatements(terminator) {
+        let statements = [];
+        while (true) {
+            while (this.peek().type === 'newline' || this.peek().value === ';') {
+                this.next();
+            }
+            if (terminator === '' ? this.peek().type === 'end' : this.accept(terminator) !== undefined) {
+                return statements;
+            }
+            if (this.peek().type === 'end') {
+                this.fail(`Expected '${terminator}'.`);
+            }
+            let statement = this.parseStatement();
+            if (statement !== null) {
+                statements.push(statement);
+            }
+            let after = this.peek();
+            if (after.type !== 'newline' && after.type !== 'end' && after.value !== ';' && after.value !== '}') {
+                this.fail("Expected the end of the statement.");
+            }
+        }
+    }
+
+    /**
+     * @returns {!Array.<!Object>}
+     */
+    parseBody() {
+        this.skipNewlines();
+        if (this.accept('{') !== undefined) {
+            return this.parseStatements('}');
+        }
+        return [this.parseStatement()].filter(e => e !== null);
+    }
+
+    /**
+     * @returns {?Object} A statement, or null for declarations.
+     */
+    parseStatement() {
+        let token = this.next();
+        let line = token.line;
+        if (token.type !== 'word') {
+            this.fail("Expected a statement.", token);
+        }
+        switch (token.value) {
+            case 'qubits': {
+                // Declares the register size, in case the program doesn't touch every qubit.
+                let n = this.parseInteger();
+                this.maxQubit = Math.max(this.maxQubit, n - 1);
+                return null;
+            }
+            case 'measure': {
+                let qubit = this.parseQubit();
+                let bit = this.accept('->') !== undefined ? this.parseName() : null;
+                return {type: 'measure', qubit, bit, line};
+            }
+            case 'flip': {
+                let probability = this.parseExpression();
+                if (!(probability >= 0 && probability <= 1)) {
+                    this.fail("Flip probability must be between 0 and 1.", token);
+                }
+                this.expect('->');
+                return {type: 'flip', probability, bit: this.parseName(), line};
+            }
+            case 'if': {
+                this.expect('(');
+                let condition = this.parseCondition();
+                this.expect(')');
+                let then = this.parseBody();
+                let save = this._index;
+                this.skipNewlines();
+                let otherwise = [];
+                if (this.accept('else') !== undefined) {
+                    otherwise = this.parseBody();
+                } else {
+                    this._index = save;
+                }
+                return {type: 'if', condition, then, otherwise, line};
+            }
+            case 'repeat': {
+                let count = this.parseInteger();
+                return {type: 'repeat', count, body: this.parseBody(), line};
+            }
+            case 'loop':
+                return {type: 'repeat', count: Infinity, body: this.parseBody(), line};
+            default:
+                return this.parseGate(token);
+        }
+    }
+
+    parseGate(token) {
+        let name = token.value.toLowerCase();
+        let gate = CIRCUIT_GATES.get(name);
+        if (gate === undefined) {
+            this.fail(`Unknown gate '${token.value}'.`, token);
+        }
+
+        let params = [];
+        if (this.accept('(') !== undefined) {
+            params.push(this.parseExpression());
+            while (this.accept(',') !== undefined) {
+                params.push(this.parseExpression());
+            }
+            this.expect(')');
+        }
+        if (params.length !== gate.numParams) {
+            this.fail(`Gate '${name}' takes ${gate.numParams} parameter(s).`, token);
+        }
+
+        let qubits = [];
+        while (this.peek().type === 'number') {
+            qubits.push(this.parseQubit());
+            this.accept(',');
+        }
+        if (gate.numQubits === 0 ? qubits.length === 0 : qubits.length !== gate.numQubits) {
+            this.fail(`Gate '${name}' takes ${gate.numQubits || 'some'} qubit(s).`, token);
+        }
+
+        let controls = [];
+        let antiControls = [];
+        if (this.accept('ctrl') !== undefined) {
+            do {
+                let anti = this.accept('!') !== undefined;
+                (anti ? antiControls : controls).push(this.parseQubit());
+                this.accept(',');
+            } while (this.peek().type === 'number' || this.peek().value === '!');
+        }
+
+        let all = [...qubits, ...controls, ...antiControls];
+        if (new Set(all).size !== all.length) {
+            this.fail(`Gate '${name}' uses the same qubit more than once.`, token);
+        }
+        return {type: 'gate', name, params, qubits, controls, antiControls, line: token.line};
+    }
+
+    parseInteger() {
+        let token = this.next();
+        if (token.type !== 'number' || !/^\d+$/.test(token.value)) {
+            this.fail("Expected a non-negative integer.", token);
+        }
+        return parseInt(token.value, 10);
+    }
+
+    parseQubit() {
+        let q = this.parseInteger();
+        this.maxQubit = Math.max(this.maxQubit, q);
+        return q;
+    }
+
+    parseName() {
+        let token = this.next();
+        if (token.type !== 'word') {
+            this.fail("Expected a bit name.", token);
+        }
+        return token.value;
+    }
+
+    /**
+     * condition := operand (('&' | '|' | '^') operand)*, evaluated left to right.
+     */
+    parseCondition() {
+        let left = this.parseConditionOperand();
+        while (['&', '|', '^'].indexOf(this.peek().value) !== -1) {
+            let op = {'&': 'and', '|': 'or', '^': 'xor'}[this.next().value];
+            left = {type: op, left, right: this.parseConditionOperand()};
+        }
+        return left;
+    }
+
+    parseConditionOperand() {
+        if (this.accept('!') !== undefined) {
+            return {type: 'not', operand: this.parseConditionOperand()};
+        }
+        if (this.accept('(') !== undefined) {
+            let inner = this.parseCondition();
+            this.expect(')');
+            return inner;
+        }
+        return {type: 'bit', name: this.parseName()};
+    }
+
+    /**
+     * expression := term (('+' | '-') term)*
+     * @returns {!number}
+     */
+    parseExpression() {
+        let total = this.parseTerm();
+        while (this.peek().value === '+' || this.peek().value === '-') {
+            let sign = this.next().value === '+' ? 1 : -1;
+            total += sign * this.parseTerm();
+        }
+        return total;
+    }
+
+    /**
+     * term := factor (('*' | '/') factor)*
+     * @returns {!number}
+     */
+    parseTerm() {
+        let total = this.parseFactor();
+        while (this.peek().value === '*' || this.peek().value === '/') {
+            let isTimes = this.next().value === '*';
+            let factor = this.parseFactor();
+            total = isTimes ? total * factor : total / factor;
+        }
+        return total;
+    }
+
+    /**
+     * factor := '-' factor | number | 'pi' | '(' expression ')'
+     * @returns {!number}
+     */
+    parseFactor() {
+        if (this.accept('-') !== undefined) {
+            return -this.parseFactor();
+        }
+        if (this.accept('(') !== undefined) {
+            let inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+        let token = this.next();
+        if (token.type === 'number') {
+            return parseFloat(token.value);
+        }
+        if (token.type === 'word' && token.value.toLowerCase() === 'pi') {
+            return Math.PI;
+        }
+        return this.fail("Expected a number.", token);
+    }
+}
+
+/**
+ * A parsed circuit program, describing what Alice wants done to the quantum computer.
+ *
+ * The text format has one statement per line (or separated by semicolons):
+ *
+ *     h 0                       # gate name, then qubits
+ *     rx(pi/4) 2 ctrl 1 !0      # parameters in parens; 'ctrl' adds controls, with '!' for anti-controls
+ *     cx 2 3                    # controlled gates take their controls first
+ *     measure 3 -> result       # store a measurement result in a classical bit
+ *     flip 0.3 -> coin          # store a random bit that's on with the given probability
+ *     if (result ^ !coin) x 3   # conditions combine bits with !, &, | and ^
+ *     if (result) { ... } else { ... }
+ *     repeat 5 { ... }
+ *     loop { ... }              # repeats forever
+ *
+ * Comments start with '#' or '//'. Gate names come from CIRCUIT_GATES.
+ */
+class CircuitProgram {
+    /**
+     * @param {!Array.<!Object>} statements
+     * @param {!int} numQubits
+     * @param {!Array.<!string>=} initialBits Classical bits that start off, instead of starting unset.
+     */
+    constructor(statements, numQubits, initialBits = []) {
+        /**
+         * The parsed statements, each an object with a 'type' of 'gate', 'measure', 'flip', 'if' or 'repeat'.
+         * @type {!Array.<!Object>}
+         */
+        this.statements = statements;
+        /**
+         * The number of qubits the program needs.
+         * @type {!int}
+         */
+        this.numQubits = numQubits;
+        /**
+         * @type {!Array.<!string>}
+         */
+        this.initialBits = initialBits;
+    }
+
+    /**
+     * @param {!string} text
+     * @returns {!CircuitProgram}
+     * @throws
+     */
+    static parse(text) {
+        let parser = new Parser(text);
+        let statements = parser.parseStatements('');
+        return new CircuitProgram(statements, Math.max(parser.maxQubit + 1, 1));
+    }
+
+    /**
+     * Evaluates an arithmetic expression written the way gate parameters are, e.g. "-pi/4" or "2*(0.5 + 1)".
+     * @param {!string} text
+     * @returns {!number}
+     * @throws
+     */
+    static parseExpression(text) {
+        let parser = new Parser(text);
+        let result = parser.parseExpression();
+        if (parser.peek().type !== 'end') {
+            parser.fail("Expected the end of the expression.");
+        }
+        return result;
+    }
+}
+
+export default CircuitProgram;
@@ -0,0 +1,627 @@
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import DetailedError from "src/base/DetailedError.js"
+
+const TOKEN_PATTERNS = [
+    ['space', /^\s+/],
+    ['comment', /^\/\/[^\n]*/],
+    ['string', /^"[^"\n]*"/],
+    ['number', /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/],
+    ['word', /^[a-zA-Z_][a-zA-Z0-9_]*/],
+    ['symbol', /^(->|==|[;,()[\]{}+\-*/^])/]
+];
+
+const FUNCTIONS = {sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, sqrt: Math.sqrt};
+
+/**
+ * @param {!string} text
+ * @returns {!Array.<!{type: !string, value: !string, line: !int}>}
+ */
+let tokenize = text => {
+    let tokens = [];
+    let line = 1;
+    let rest = text;
+    while (rest.length > 0) {
+        let matched = TOKEN_PATTERNS.map(([type, pattern]) => ({type, match: pattern.exec(rest)})).
+            find(e => e.match !== null);
+        if (matched === undefined) {
+            throw new DetailedError(`Unexpected character on line ${line}.`, {text: rest.split("\n")[0]});
+        }
+        let value = matched.match[0];
+        if (matched.type !== 'space' && matched.type !== 'comment') {
+            tokens.push({type: matched.type, value, line});
+        }
+        line += value.split("\n").length - 1;
+        rest = rest.substr(value.length);
+    }
+    tokens.push({type: 'end', value: '', line});
+    return tokens;
+};
+
+/**
+ * @param {!string} name
+ * @param {!Array.<!number>} params
+ * @param {!Array.<!int>} qubits
+ * @param {!Array.<!int>=} controls
+ * @returns {!Object} A circuit program gate statement.
+ */
+let gate = (name, params, qubits, controls = []) =>
+    ({type: 'gate', name, params, qubits, controls, antiControls: [], line: 0});
+
+/**
+ * @param {!string} name
+ * @param {!int} numControls
+ * @returns {!function(!Array.<!number>, !Array.<!int>) : !Array.<!Object>}
+ */
+let controlled = (name, numControls) =>
+    (params, qubits) => [gate(name, params, qubits.slice(numControls), qubits.slice(0, numControls))];
+
+/**
+ * The gates defined by qelib1.inc (and the built-in U and CX), as circuit program statements.
+ * @type {!Object.<!string, !{numParams: !int, numQubits: !int, emit: !function(!Array.<!number>, !Array.<!int>)}>}
+ */
+const QELIB_GATES = {
+    U: {numParams: 3, numQubits: 1, emit: controlled('u3', 0)},
+    u3: {numParams: 3, numQubits: 1, emit: controlled('u3', 0)},
+    u: {numParams: 3, numQubits: 1, emit: controlled('u3', 0)},
+    u2: {numParams: 2, numQubits: 1, emit: ([phi, lambda], q) => [gate('u3', [Math.PI/2, phi, lambda], q)]},
+    u1: {numParams: 1, numQubits: 1, emit: controlled('phase', 0)},
+    p: {numParams: 1, numQubits: 1, emit: controlled('phase', 0)},
+    u0: {numParams: 1, numQubits: 1, emit: (params, q) => [gate('i', [], q)]},
+    id: {numParams: 0, numQubits: 1, emit: controlled('i', 0)},
+    x: {numParams: 0, numQubits: 1, emit: controlled('x', 0)},
+    y: {numParams: 0, numQubits: 1, emit: controlled('y', 0)},
+    z: {numParams: 0, numQubits: 1, emit: controlled('z', 0)},
+    h: {numParams: 0, numQubits: 1, emit: controlled('h', 0)},
+    s: {numParams: 0, numQubits: 1, emit: controlled('s', 0)},
+    sdg: {numParams: 0, numQubits: 1, emit: controlled('sdg', 0)},
+    t: {numParams: 0, numQubits: 1, emit: controlled('t', 0)},
+    tdg: {numParams: 0, numQubits: 1, emit: controlled('tdg', 0)},
+    sx: {numParams: 0, numQubits: 1, emit: controlled('sx', 0)},
+    sxdg: {numParams: 0, numQubits: 1, emit: controlled('sxdg', 0)},
+    rx: {numParams: 1, numQubits: 1, emit: controlled('rx', 0)},
+    ry: {numParams: 1, numQubits: 1, emit: controlled('ry', 0)},
+    rz: {numParams: 1, numQubits: 1, emit: controlled('rz', 0)},
+    CX: {numParams: 0, numQubits: 2, emit: controlled('x', 1)},
+    cx: {numParams: 0, numQubits: 2, emit: controlled('x', 1)},
+    cy: {numParams: 0, numQubits: 2, emit: controlled('y', 1)},
+    cz: {numParams: 0, numQubits: 2, emit: controlled('z', 1)},
+    ch: {numParams: 0, numQubits: 2, emit: controlled('h', 1)},
+    csx: {numParams: 0, numQubits: 2, emit: controlled('sx', 1)},
+    crx: {numParams: 1, numQubits: 2, emit: controlled('rx', 1)},
+    cry: {numParams: 1, numQubits: 2, emit: controlled('ry', 1)},
+    crz: {numParams: 1, numQubits: 2, emit: controlled('rz', 1)},
+    cu1: {numParams: 1, numQubits: 2, emit: controlled('phase', 1)},
+    cp: {numParams: 1, numQubits: 2, emit: controlled('phase', 1)},
+    cu3: {numParams: 3, numQubits: 2, emit: controlled('u3', 1)},
+    ccx: {numParams: 0, numQubits: 3, emit: controlled('x', 2)},
+    swap: {numParams: 0, numQubits: 2, emit: (params, q) => [gate('swap', [], q)]},
+    cswap: {numParams: 0, numQubits: 3, emit: (params, q) => [gate('cswap', [], q)]},
+    rzz: {numParams: 1, numQubits: 2, emit: ([theta], [a, b]) => [
+        gate('x', [], [b], [a]),
+        gate('phase', [theta], [b]),
+        gate('x', [], [b], [a])
+    ]},
+    rxx: {numParams: 1, numQubits: 2, emit: ([theta], [a, b]) => [
+        gate('u3', [Math.PI/2, theta, 0], [a]),
+        gate('h', [], [b]),
+        gate('x', [], [b], [a]),
+        gate('phase', [-theta], [b]),
+        gate('x', [], [b], [a]),
+        gate('h', [], [b]),
+        gate('u3', [Math.PI/2, -Math.PI, Math.PI - theta], [a])
+    ]}
+};
+
+/**
+ * @param {!Object} expr
+ * @param {!Object.<!string, !number>} env
+ * @returns {!number}
+ */
+let evaluate = (expr, env) => {
+    switch (expr.type) {
+        case 'number':
+            return expr.value;
+        case 'name':
+            if (!env.hasOwnProperty(expr.name)) {
+                throw new DetailedError(`Unknown parameter '${expr.name}'.`, {expr});
+            }
+            return env[expr.name];
+        case 'neg':
+            return -evaluate(expr.operand, env);
+        case 'call':
+            return FUNCTIONS[expr.name](evaluate(expr.operand, env));
+        case 'binary': {
+            let a = evaluate(expr.left, env);
+            let b = evaluate(expr.right, env);
+            switch (expr.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return a / b;
+                default: return Math.pow(a, b);
+            }
+        }
+        default:
+            throw new DetailedError("Unrecognized expression.", {expr});
+    }
+};
+
+/**
+ * Recursive descent over the tokens of an OpenQASM 2.0 file, emitting circuit program statements as it goes.
+ */
+class QasmParser {
+    /**
+     * @param {!string} text
+     */
+    constructor(text) {
+        /**
+         * @type {!Array.<!{type: !string, value: !string, line: !int}>}
+         * @private
+         */
+        this._tokens = tokenize(text);
+        /**
+         * @type {!int}
+         * @private
+         */
+        this._index = 0;
+        /**
+         * @type {!Map.<!string, !{offset: !int, size: !int}>}
+         */
+        this.qregs = new Map();
+        /**
+         * @type {!Map.<!string, !int>}
+         */
+        this.cregs = new Map();
+        /**
+         * User defined gates.
+         * @type {!Map.<!string, !{params: !Array.<!string>, args: !Array.<!string>, body: !Array.<!Object>}>}
+         */
+        this.gates = new Map();
+        /**
+         * @type {!int}
+         */
+        this.numQubits = 0;
+        /**
+         * @type {!Array.<!Object>}
+         */
+        this.statements = [];
+    }
+
+    peek() {
+        return this._tokens[this._index];
+    }
+
+    next() {
+        let token = this._tokens[this._index];
+        if (token.type !== 'end') {
+            this._index++;
+        }
+        return token;
+    }
+
+    /**
+     * @param {!string} message
+     * @param {!{line: !int, value: !string}=} token
+     */
+    fail(message, token = this.peek()) {
+        throw new DetailedError(`${message} (line ${token.line}, at '${token.value}')`, {token});
+    }
+
+    accept(value) {
+        if (this.peek().value === value && this.peek().type !== 'string') {
+            return this.next();
+        }
+        return undefined;
+    }
+
+    expect(value) {
+        let token = this.accept(value);
+        if (token === undefined) {
+            this.fail(`Expected '${value}'.`);
+        }
+        return token;
+    }
+
+    expectType(type, description) {
+        if (this.peek().type !== type) {
+            this.fail(`Expected ${description}.`);
+        }
+        return this.next();
+    }
+
+    parseInteger() {
+        let token = this.expectType('number', "an integer");
+        if (!/^\d+$/.test(token.value)) {
+            this.fail("Expected an integer.", token);
+        }
+        return parseInt(token.value, 10);
+    }
+
+    parseProgram() {
+        this.expect('OPENQASM');
+        let version = this.expectType('number', "a version number");
+        if (!/^2(\.\d+)?$/.test(version.value)) {
+            this.fail("Only OpenQASM 2 is supported.", version);
+        }
+        this.expect(';');
+        while (this.peek().type !== 'end') {
+            this.parseStatement(this.statements);
+        }
+    }
+
+    /**
+     * @param {!Array.<!Object>} out Where to put the emitted circuit program statements.
+     */
+    parseStatement(out) {
+        let token = this.peek();
+        switch (token.value) {
+            case 'include': {
+                this.next();
+                let file = this.expectType('string', "a file name");
+                if (file.value !== '"qelib1.inc"') {
+                    this.fail("Only qelib1.inc can be included.", file);
+                }
+                this.expect(';');
+                return;
+            }
+            case 'qreg':
+            case 'creg': {
+                this.next();
+                let name = this.expectType('word', "a register name").value;
+                this.expect('[');
+                let sizeToken = this.peek();
+                let size = this.parseInteger();
+                this.expect(']');
+                this.expect(';');
+                if (this.qregs.has(name) || this.cregs.has(name)) {
+                    this.fail(`Register '${name}' is already defined.`, token);
+                }
+                // Empty registers can't hold anything, and conditions on an empty creg would have no bits to check.
+                if (size === 0) {
+                    this.fail(`Register '${name}' must have at least one ${token.value === 'qreg' ? 'qubit' : 'bit'}.`,
+                        sizeToken);
+                }
+                if (token.value === 'qreg') {
+                    this.qregs.set(name, {offset: this.numQubits, size});
+                    this.numQubits += size;
+                } else {
+                    this.cregs.set(name, size);
+                }
+                return;
+            }
+            case 'gate':
+                this.next();
+                this.parseGateDefinition();
+                return;
+            case 'opaque':
+            case 'reset':
+                this.fail(`'${token.value}' is not supported.`);
+                return;
+            case 'barrier':
+                this.next();
+                this.parseArgList();
+                this.expect(';');
+                return;
+            case 'if': {
+                this.next();
+                this.expect('(');
+                let creg = this.expectType('word', "a classical register").value;
+                if (!this.cregs.has(creg)) {
+                    this.fail(`Unknown classical register '${creg}'.`);
+                }
+                this.expect('==');
+                let value = this.parseInteger();
+                this.expect(')');
+                let then = [];
+                this.parseQuantumOperation(then);
+                let condition = null;
+                for (let k = 0; k < this.cregs.get(creg); k++) {
+                    let bit = {type: 'bit', name: `${creg}[${k}]`};
+                    let literal = ((value >> k) & 1) === 1 ? bit : {type: 'not', operand: bit};
+                    condition = condition === null ? literal : {type: 'and', left: condition, right: literal};
+                }
+                out.push({type: 'if', condition, then, otherwise: [], line: token.line});
+                return;
+            }
+            default:
+                this.parseQuantumOperation(out);
+        }
+    }
+
+    /**
+     * @param {!Array.<!Object>} out
+     */
+    parseQuantumOperation(out) {
+        let token = this.peek();
+        if (this.accept('measure') !== undefined) {
+            let qubits = this.parseQuantumArg();
+            this.expect('->');
+            let bits = this.parseClassicalArg();
+            this.expect(';');
+            if (qubits.length !== bits.length) {
+                this.fail("Measured register sizes don't match.", token);
+            }
+            for (let k = 0; k < qubits.length; k++) {
+                out.push({type: 'measure', qubit: qubits[k], bit: bits[k], line: token.line});
+            }
+            return;
+        }
+
+        let {name, paramExprs, args} = this.parseGateApplication();
+        let params = paramExprs.map(e => evaluate(e, {pi: Math.PI}));
+        let registers = args.map(arg => this.resolveQuantumArg(arg, token));
+        let sizes = new Set(registers.filter(e => e.length > 1).map(e => e.length));
+        if (sizes.size > 1) {
+            this.fail("Register sizes don't match.", token);
+        }
+        let repeats = sizes.size === 0 ? 1 : Array.from(sizes)[0];
+        for (let k = 0; k < repeats; k++) {
+            let qubits = registers.map(e => e.length === 1 ? e[0] : e[k]);
+            if (new Set(qubits).size !== qubits.length) {
+                this.fail("A gate can't use the same qubit more than once.", token);
+            }
+            for (let statement of this.expandGate(name, params, qubits, token)) {
+                statement.line = token.line;
+                out.push(statement);
+            }
+        }
+    }
+
+    /**
+     * @returns {!{name: !string, paramExprs: !Array.<!Object>, args: !Array.<!{name: !string, index: ?int}>}}
+     */
+    parseGateApplication() {
+        let name = this.expectType('word', "a gate name").value;
+        let paramExprs = [];
+        if (this.accept('(') !== undefined) {
+            if (this.accept(')') === undefined) {
+                paramExprs.push(this.parseExpression());
+                while (this.accept(',') !== undefined) {
+                    paramExprs.push(this.parseExpression());
+                }
+                this.expect(')');
+            }
+        }
+        let args = this.parseArgList();
+        this.expect(';');
+        return {name, paramExprs, args};
+    }
+
+    /**
+     * @returns {!Array.<!{name: !string, index: ?int}>}
+     */
+    parseArgList() {
+        let args = [this.parseArg()];
+        while (this.accept(',') !== undefined) {
+            args.push(this.parseArg());
+        }
+        return args;
+    }
+
+    /**
+     * @returns {!{name: !string, index: ?int}}
+     */
+    parseArg() {
+        let name = this.expectType('word', "a register").value;
+        let index = null;
+        if (this.accept('[') !== undefined) {
+            index = this.parseInteger();
+            this.expect(']');
+        }
+        return {name, index};
+    }
+
+    /**
+     * @returns {!Array.<!int>}
+     */
+    parseQuantumArg() {
+        let token = this.peek();
+        return this.resolveQuantumArg(this.parseArg(), token);
+    }
+
+    /**
+     * @param {!{name: !string, index: ?int}} arg
+     * @param {!{line: !int, value: !string}} token
+     * @returns {!Array.<!int>} The global indices of the referenced qubits.
+     */
+    resolveQuantumArg(arg, token) {
+        let reg = this.qregs.get(arg.name);
+        if (reg === undefined) {
+            this.fail(`Unknown quantum register '${arg.name}'.`, token);
+        }
+        if (arg.index === null) {
+            return Array.from({length: reg.size}, (_, k) => reg.offset + k);
+        }
+        if (arg.index >= reg.size) {
+            this.fail(`Index out of range for register '${arg.name}'.`, token);
+        }
+        return [reg.offset + arg.index];
+    }
+
+    /**
+     * @returns {!Array.<!string>} The names of the referenced classical bits.
+     */
+    parseClassicalArg() {
+        let token = this.peek();
+        let {name, index} = this.parseArg();
+        let size = this.cregs.get(name);
+        if (size === undefined) {
+            this.fail(`Unknown classical register '${name}'.`, token);
+        }
+        if (index !== null && index >= size) {
+            this.fail(`Index out of range for register '${name}'.`, token);
+        }
+        return index === null ?
+            Array.from({length: size}, (_, k) => `${name}[${k}]`) :
+            [`${name}[${index}]`];
+    }
+
+    parseGateDefinition() {
+        let nameToken = this.expectType('word', "a gate name");
+        let params = [];
+        if (this.accept('(') !== undefined && this.accept(')') === undefined) {
+            params.push(this.expectType('word', "a parameter name").value);
+            while (this.accept(',') !== undefined) {
+                params.push(this.expectType('word', "a parameter name").value);
+            }
+            this.expect(')');
+        }
+        let args = this.parseArgList().map(e => e.name);
+        this.expect('{');
+        let body = [];
+        while (this.accept('}') === undefined) {
+            let token = this.peek();
+            if (token.type === 'end') {
+                this.fail("Expected '}'.");
+            }
+            if (this.accept('barrier') !== undefined) {
+                this.parseArgList();
+                this.expect(';');
+                continue;
+            }
+            let application = this.parseGateApplication();
+            if (!application.args.every(e => e.index === null && args.indexOf(e.name) !== -1)) {
+                this.fail("Gate bodies can only refer to the gate's own qubit arguments.", token);
+            }
+            application.token = token;
+            body.push(application);
+        }
+        this.gates.set(nameToken.value, {params, args, body});
+    }
+
+    /**
+     * @param {!string} name
+     * @param {!Array.<!number>} params
+     * @param {!Array.<!int>} qubits
+     * @param {!{line: !int, value: !string}} token
+     * @returns {!Array.<!Object>}
+     */
+    expandGate(name, params, qubits, token) {
+        let definition = this.gates.get(name);
+        if (definition !== undefined) {
+            if (params.length !== definition.params.length || qubits.length !== definition.args.length) {
+                this.fail(`Wrong number of parameters or qubits for gate '${name}'.`, token);
+            }
+            let env = {pi: Math.PI};
+            definition.params.forEach((p, k) => env[p] = params[k]);
+            let qubitOf = argName => qubits[definition.args.indexOf(argName)];
+            let result = [];
+            for (let application of definition.body) {
+                result.push(...this.expandGate(
+                    application.name,
+                    application.paramExprs.map(e => evaluate(e, env)),
+                    application.args.map(e => qubitOf(e.name)),
+                    application.token));
+            }
+            return result;
+        }
+
+        let builtin = QELIB_GATES.hasOwnProperty(name) ? QELIB_GATES[name] : undefined;
+        if (builtin === undefined) {
+            this.fail(`Unknown gate '${name}'.`, token);
+        }
+        if (params.length !== builtin.numParams || qubits.length !== builtin.numQubits) {
+            this.fail(`Wrong number of parameters or qubits for gate '${name}'.`, token);
+        }
+        return builtin.emit(params, qubits);
+    }
+
+    /**
+     * expression := term (('+' | '-') term)*
+     * @returns {!Object}
+     */
+    parseExpression() {
+        let left = this.parseTerm();
+        while (this.peek().value === '+' || this.peek().value === '-') {
+            let op = this.next().value;
+            left = {type: 'binary', op, left, right: this.parseTerm()};
+        }
+        return left;
+    }
+
+    /**
+     * term := power (('*' | '/') power)*
+     * @returns {!Object}
+     */
+    parseTerm() {
+        let left = this.parsePower();
+        while (this.peek().value === '*' || this.peek().value === '/') {
+            let op = this.next().value;
+            left = {type: 'binary', op, left, right: this.parsePower()};
+        }
+        return left;
+    }
+
+    /**
+     * power := unary ('^' power)?
+     * @returns {!Object}
+     */
+    parsePower() {
+        let base = this.parseUnary();
+        if (this.accept('^') !== undefined) {
+            return {type: 'binary', op: '^', left: base, right: this.parsePower()};
+        }
+        return base;
+    }
+
+    /**
+     * unary := '-' unary | number | name | function '(' expression ')' | '(' expression ')'
+     * @returns {!Object}
+     */
+    parseUnary() {
+        if (this.accept('-') !== undefined) {
+            return {type: 'neg', operand: this.parseUnary()};
+        }
+        if (this.accept('(') !== undefined) {
+            let inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+        let token = this.next();
+        if (token.type === 'number') {
+            return {type: 'number', value: parseFloat(token.value)};
+        }
+        if (token.type === 'word' && FUNCTIONS.hasOwnProperty(token.value)) {
+            this.expect('(');
+            let operand = this.parseExpression();
+            this.expect(')');
+            return {type: 'call', name: token.value, operand};
+        }
+        if (token.type === 'word') {
+            return {type: 'name', name: token.value};
+        }
+        return this.fail("Expected an expression.", token);
+    }
+}
+
+/**
+ * Converts OpenQASM 2.0 source code into circuit programs.
+ *
+ * Quantum registers are laid out one after another, in declaration order, so the first register's first qubit is
+ * qubit 0. Classical bits are named like "c[0]", and start off as in OpenQASM. Supports the gates from qelib1.inc,
+ * user gate definitions, register broadcasting, measurement, barriers (ignored), and if(creg==value). Registers must
+ * have at least one (qu)bit.
+ */
+class QasmImporter {
+    /**
+     * @param {!string} text
+     * @returns {!CircuitProgram}
+     * @throws
+     */
+    static parse(text) {
+        let parser = new QasmParser(text);
+        parser.parseProgram();
+        if (parser.numQubits === 0) {
+            throw new DetailedError("No quantum registers.", {text});
+        }
+        let bits = [];
+        for (let [name, size] of parser.cregs) {
+            for (let k = 0; k < size; k++) {
+                bits.push(`${name}[${k}]`);
+            }
+        }
+        return new CircuitProgram(parser.statements, parser.numQubits, bits);
+    }
+}
+
+export default QasmImporter;
@@ -0,0 +1,249 @@
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import DetailedError from "src/base/DetailedError.js"
+
+const FRACTIONS = {'½': 1/2, '⅓': 1/3, '¼': 1/4, '⅛': 1/8, '⅟₁₆': 1/16};
+
+/**
+ * Quirk gate ids that map directly onto a parameterless circuit gate.
+ * @type {!Object.<!string, !string>}
+ */
+const SIMPLE_GATES = {
+    'H': 'h',
+    'X': 'x',
+    'Y': 'y',
+    'Z': 'z',
+    'Z^½': 's',
+    'Z^-½': 'sdg',
+    'Z^¼': 't',
+    'Z^-¼': 'tdg',
+    'X^½': 'sx',
+    'X^-½': 'sxdg'
+};
+
+/**
+ * Quirk gate ids (with an 'arg' formula) that map onto a one-parameter circuit gate.
+ * @type {!Object.<!string, !string>}
+ */
+const FORMULA_GATES = {
+    'Rxft': 'rx',
+    'Ryft': 'ry',
+    'Rzft': 'rz',
+    'X^ft': 'xpow',
+    'Y^ft': 'ypow',
+    'Z^ft': 'zpow'
+};
+
+/**
+ * Matches Quirk gate ids whose effect changes over time, like 'X^t' and 'e^iZt'. Programs don't animate, so these
+ * have no single meaning.
+ * @type {!RegExp}
+ */
+const TIME_DEPENDENT_GATES = /^([XYZ]\^-?t|e\^-?i[XYZ]t)$/;
+
+/**
+ * Matches Quirk gate ids that don't affect the state, such as displays and spacers.
+ * @type {!RegExp}
+ */
+const IGNORED_GATES = /^(…|Bloch|Sample\d*|Chance\d*|Amps\d*|Density\d*)$/;
+
+/**
+ * The gates that prepare each of Quirk's initial states from |0⟩.
+ * @type {!Object.<!string, !Array.<!string>>}
+ */
+const INIT_GATES = {
+    '0': [],
+    '1': ['x'],
+    '+': ['h'],
+    '-': ['x', 'h'],
+    'i': ['h', 's'],
+    '-i': ['h', 'sdg']
+};
+
+/**
+ * @param {!string} name
+ * @param {!Array.<!number>} params
+ * @param {!Array.<!int>} qubits
+ * @param {!Array.<!int>} controls
+ * @param {!Array.<!int>} antiControls
+ * @returns {!Object} A circuit program gate statement.
+ */
+let gate = (name, params, qubits, controls, antiControls) =>
+    ({type: 'gate', name, params, qubits, controls, antiControls, line: 0});
+
+/**
+ * @param {*} arg A number, or a formula like "pi/2". Formulas use the circuit language's expression syntax.
+ * @param {*} entry For error messages.
+ * @returns {!number}
+ */
+let parseArg = (arg, entry) => {
+    if (typeof arg === 'number') {
+        return arg;
+    }
+    if (typeof arg !== 'string') {
+        throw new DetailedError("Gate needs a numeric 'arg'.", {entry});
+    }
+    if (/\bt\b/.test(arg)) {
+        throw new DetailedError(`Time-dependent gates are not supported (formula '${arg}' uses t).`, {entry});
+    }
+    return CircuitProgram.parseExpression(arg.replace(/π/g, 'pi'));
+};
+
+/**
+ * Converts one column of a Quirk circuit into circuit program statements.
+ * @param {!Array.<*>} col
+ * @param {!Map.<!string, !Object>} customGates Quirk's user-defined gates, by id.
+ * @param {!int} offset The row of the column's first entry.
+ * @param {!function(!int)} useQubit Called with each qubit the column touches.
+ * @param {!int} colIndex The column's index within its circuit, for error messages.
+ * @param {!Array.<!string>} expanding The ids of the custom gates whose circuits contain this column, outermost first.
+ * @returns {!Array.<!Object>}
+ */
+let convertColumn = (col, customGates, offset, useQubit, colIndex, expanding) => {
+    let controls = [];
+    let antiControls = [];
+    let swaps = [];
+    let operations = [];
+    col.forEach((entry, row) => {
+        let q = offset + row;
+        let id = typeof entry === 'object' && entry !== null ? entry.id : entry;
+        if (id === 1 || id === undefined || IGNORED_GATES.test(id)) {
+            return;
+        }
+        useQubit(q);
+        if (id === '•') {
+            controls.push(q);
+        } else if (id === '◦') {
+            antiControls.push(q);
+        } else if (id === 'Swap') {
+            swaps.push(q);
+        } else if (id === 'Measure') {
+            operations.push((c, a) => {
+                if (c.length + a.length > 0) {
+                    throw new DetailedError("Measurements can't be controlled.", {col});
+                }
+                return [{type: 'measure', qubit: q, bit: null, line: 0}];
+            });
+        } else if (SIMPLE_GATES.hasOwnProperty(id)) {
+            operations.push((c, a) => [gate(SIMPLE_GATES[id], [], [q], c, a)]);
+        } else if (FORMULA_GATES.hasOwnProperty(id)) {
+            let param = parseArg(entry.arg, entry);
+            operations.push((c, a) => [gate(FORMULA_GATES[id], [param], [q], c, a)]);
+        } else if (typeof id === 'string' && /^[XYZ]\^-?(½|⅓|¼|⅛|⅟₁₆)$/.test(id)) {
+            let t = FRACTIONS[id.replace(/^..-?/, '')] * (id[2] === '-' ? -1 : 1);
+            operations.push((c, a) => [gate(id[0].toLowerCase() + 'pow', [t], [q], c, a)]);
+        } else if (typeof id === 'string' && /^QFT†?\d+$/.test(id)) {
+            let span = parseInt(id.replace(/^QFT†?/, ''), 10);
+            let qubits = [];
+            for (let k = 0; k < span; k++) {
+                qubits.push(q + k);
+                useQubit(q + k);
+            }
+            let name = id.indexOf('†') === -1 ? 'qft' : 'iqft';
+            operations.push((c, a) => [gate(name, [], qubits, c, a)]);
+        } else if (typeof id === 'string' && TIME_DEPENDENT_GATES.test(id)) {
+            throw new DetailedError(`Time-dependent gates are not supported ('${id}').`, {entry});
+        } else if (customGates.has(id)) {
+            if (expanding.indexOf(id) !== -1) {
+                let cycle = [...expanding.slice(expanding.indexOf(id)), id].join(' → ');
+                throw new DetailedError(
+                    `Custom gate '${id}' uses itself (${cycle}), at column ${colIndex}, row ${row}` +
+                        (expanding.length > 0 ? ` of '${expanding[expanding.length - 1]}'.` : '.'),
+                    {entry});
+            }
+            let body = customGates.get(id);
+            let statements = convertColumns(body.cols, customGates, q, useQubit, [...expanding, id]);
+            operations.push((c, a) => statements.map(s => {
+                if (s.type !== 'gate' && c.length + a.length > 0) {
+                    throw new DetailedError("Measurements can't be controlled.", {id});
+                }
+                return s.type !== 'gate' ? s : gate(s.name, s.params, s.qubits,
+                    [...s.controls, ...c], [...s.antiControls, ...a]);
+            }));
+        } else {
+            throw new DetailedError(`Unsupported Quirk gate '${typeof id === 'string' ? id : JSON.stringify(id)}'.`,
+                {entry});
+        }
+    });
+
+    if (swaps.length !== 0 && swaps.length !== 2) {
+        throw new DetailedError("Swaps must come in pairs.", {col});
+    }
+    if (swaps.length === 2) {
+        operations.push((c, a) => [gate('swap', [], swaps, c, a)]);
+    }
+    let result = [];
+    for (let operation of operations) {
+        result.push(...operation(controls, antiControls));
+    }
+    return result;
+};
+
+/**
+ * @param {!Array.<!Array.<*>>} cols
+ * @param {!Map.<!string, !Object>} customGates
+ * @param {!int} offset
+ * @param {!function(!int)} useQubit
+ * @param {!Array.<!string>=} expanding The ids of the custom gates whose circuits contain these columns.
+ * @returns {!Array.<!Object>}
+ */
+let convertColumns = (cols, customGates, offset, useQubit, expanding = []) => {
+    if (!Array.isArray(cols) || !cols.every(Array.isArray)) {
+        throw new DetailedError("Expected 'cols' to be an array of arrays.", {cols});
+    }
+    let result = [];
+    cols.forEach((col, colIndex) => {
+        result.push(...convertColumn(col, customGates, offset, useQubit, colIndex, expanding));
+    });
+    return result;
+};
+
+/**
+ * Converts circuits exported from Quirk (the JSON after '#circuit=' in its URLs) into circuit programs.
+ *
+ * Row k of the Quirk circuit is qubit k. Each column becomes a run of gates sharing the column's controls (•) and
+ * anti-controls (◦). Supports Quirk's Pauli gates and their fractional powers, H, rotations with an 'arg' formula,
+ * Swap, QFT/QFT†, Measure, the 'init' states, and custom gates defined by a circuit (which can't use themselves,
+ * directly or through other custom gates). Display gates are skipped.
+ *
+ * Programs don't animate, so time-dependent gates (like 'X^t', or a rotation whose 'arg' formula uses t) are rejected.
+ * Other 'arg' formulas are parsed like circuit language expressions, so they need explicit '*' and can't use '^'.
+ */
+class QuirkImporter {
+    /**
+     * @param {!string|!Object} json The circuit's JSON text, or the already-parsed object.
+     * @returns {!CircuitProgram}
+     * @throws
+     */
+    static parse(json) {
+        let circuit = typeof json === 'string' ? JSON.parse(json) : json;
+        if (typeof circuit !== 'object' || circuit === null) {
+            throw new DetailedError("Not a Quirk circuit.", {json});
+        }
+
+        let customGates = new Map();
+        for (let custom of circuit.gates || []) {
+            if (custom.circuit === undefined) {
+                throw new DetailedError("Only custom gates defined by a circuit are supported.", {custom});
+            }
+            customGates.set(custom.id, custom.circuit);
+        }
+
+        let numQubits = 1;
+        let useQubit = q => numQubits = Math.max(numQubits, q + 1);
+        let statements = [];
+        (circuit.init || []).forEach((state, q) => {
+            let names = INIT_GATES[String(state)];
+            if (names === undefined) {
+                throw new DetailedError("Unsupported initial state.", {state});
+            }
+            if (names.length > 0) {
+                useQubit(q);
+            }
+            statements.push(...names.map(name => gate(name, [], [q], [], [])));
+        });
+        statements.push(...convertColumns(circuit.cols || [], customGates, 0, useQubit));
+        return new CircuitProgram(statements, numQubits);
+    }
+}
+
+export default QuirkImporter;
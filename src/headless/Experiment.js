@@ -0,0 +1,129 @@
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import DetailedError from "src/base/DetailedError.js"
+import HeadlessRunner from "src/headless/HeadlessRunner.js"
+import Statistics from "src/math/Statistics.js"
+
+/**
+ * @typedef {!{
+ *     mean: !Array.<!number>,
+ *     median: !Array.<!number>,
+ *     percentiles: !Object.<!string, !Array.<!number>>
+ * }} MetricCurves
+ * Statistics of a metric across trials, with one entry per step.
+ */
+
+/**
+ * @typedef {!{
+ *     steps: !Array.<!int>,
+ *     trials: !Array.<!Array.<!Object.<!string, !number>>>,
+ *     curves: !Object.<!string, !MetricCurves>
+ * }} ExperimentResult
+ * The trials hold each trial's rows, as returned by HeadlessRunner.run.
+ */
+
+/**
+ * Runs a program on many independently seeded computers, and summarizes how the metrics evolve across the trials.
+ */
+class Experiment {
+    /**
+     * @param {!{
+     *     programFactory: !function(!int) : !CircuitProgram,
+     *     numQubits: (undefined|!int),
+     *     steps: !int,
+     *     trials: !int,
+     *     seed: (undefined|!int),
+     *     initial: (undefined|!string),
+     *     strategy: (undefined|!string),
+     *     runLimit: (undefined|!int),
+     *     metrics: (undefined|!Array.<!string>),
+     *     percentiles: (undefined|!Array.<!number>)
+     * }} options The program factory is given the trial index, and its program is run once per step. Trial k is
+     * seeded with seed+k (seed defaults to 0), so experiments are repeatable. The metrics default to the trace distance
+     * and the accumulated misprediction, and the percentiles default to 10 and 90. The initial state, inference
+     * strategy and run limit (the most statements per run, for programs containing a 'loop') are passed on to
+     * HeadlessRunner.run.
+     * @returns {!ExperimentResult}
+     */
+    static run(options) {
+        let {programFactory, numQubits, steps, trials} = options;
+        let seed = options.seed === undefined ? 0 : options.seed;
+        let metrics = options.metrics || ['traceDistance', 'misprediction'];
+        let percentiles = options.percentiles || [10, 90];
+        if (typeof programFactory !== 'function') {
+            throw new DetailedError("Need a program factory.", {options});
+        }
+        if (!Number.isInteger(steps) || steps < 0 || !Number.isInteger(trials) || trials < 1) {
+            throw new DetailedError("Need a non-negative number of steps and a positive number of trials.", {options});
+        }
+        let unknown = metrics.filter(e => HeadlessRunner.COLUMNS.indexOf(e) === -1);
+        if (unknown.length > 0) {
+            throw new DetailedError("Unknown metrics.", {unknown, known: HeadlessRunner.COLUMNS});
+        }
+
+        let trialRows = [];
+        for (let trial = 0; trial < trials; trial++) {
+            let program = programFactory(trial);
+            if (!(program instanceof CircuitProgram)) {
+                throw new DetailedError("Program factory didn't return a circuit program.", {trial, program});
+            }
+            trialRows.push(HeadlessRunner.run(program, {
+                steps,
+                seed: seed + trial,
+                qubits: numQubits,
+                initial: options.initial,
+                strategy: options.strategy,
+                runLimit: options.runLimit
+            }));
+        }
+
+        let curves = {};
+        for (let metric of metrics) {
+            let samplesPerStep = trialRows[0].map((_, step) => trialRows.map(rows => rows[step][metric]));
+            let percentileCurves = {};
+            for (let p of percentiles) {
+                percentileCurves[String(p)] = samplesPerStep.map(e => Statistics.percentile(e, p));
+            }
+            curves[metric] = {
+                mean: samplesPerStep.map(Statistics.mean),
+                median: samplesPerStep.map(Statistics.median),
+                percentiles: percentileCurves
+            };
+        }
+        return {steps: trialRows[0].map(e => e.step), trials: trialRows, curves};
+    }
+
+    /**
+     * Runs an experiment for each of several parameter values.
+     * @param {!Array.<*>} parameterValues
+     * @param {!function(*) : !Object} optionsForParameter Returns the options to give Experiment.run.
+     * @returns {!Array.<!{parameter: *, result: !ExperimentResult}>}
+     */
+    static sweep(parameterValues, optionsForParameter) {
+        return parameterValues.map(parameter => ({parameter, result: Experiment.run(optionsForParameter(parameter))}));
+    }
+
+    /**
+     * Lays out an experiment's curves as a table, with one row per step and a column per metric statistic (like
+     * "traceDistance.mean" or "misprediction.p90").
+     * @param {!ExperimentResult} result
+     * @returns {!string}
+     */
+    static toCsv(result) {
+        let columns = [{name: 'step', values: result.steps}];
+        for (let metric of Object.keys(result.curves)) {
+            let curves = result.curves[metric];
+            columns.push({name: `${metric}.mean`, values: curves.mean});
+            columns.push({name: `${metric}.median`, values: curves.median});
+            for (let p of Object.keys(curves.percentiles)) {
+                columns.push({name: `${metric}.p${p}`, values: curves.percentiles[p]});
+            }
+        }
+        let lines = [columns.map(e => e.name).join(',')];
+        for (let i = 0; i < result.steps.length; i++) {
+            lines.push(columns.map(e => String(e.values[i])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+export default Experiment;
@@ -0,0 +1,332 @@
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import DetailedError from "src/base/DetailedError.js"
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import MaximumLikelihoodStrategy from "src/inference/MaximumLikelihoodStrategy.js"
+import ParticleFilterStrategy from "src/inference/ParticleFilterStrategy.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+import PredictionScores from "src/math/PredictionScores.js"
+import QasmImporter from "src/circuit/QasmImporter.js"
+import QuirkImporter from "src/circuit/QuirkImporter.js"
+import Random from "src/base/Random.js"
+
+/**
+ * The columns reported for each step, in order.
+ * @type {!Array.<!string>}
+ */
+const COLUMNS = [
+    'step',
+    'operations',
+    'fidelity',
+    'traceDistance',
+    'hilbertSchmidtDistance',
+    'relativeEntropy',
+    'inferredPurity',
+    'inferredEntropy',
+    'misprediction',
+    'logLoss',
+    'brierScore',
+    'cloneFidelity'
+];
+
+/**
+ * The columns of the calibration report, in order.
+ * @type {!Array.<!string>}
+ */
+const CALIBRATION_COLUMNS = ['low', 'high', 'count', 'meanPredicted', 'observedFrequency'];
+
+/**
+ * The inference strategies Eve can be told to use, by name.
+ * @type {!Object.<!string, !function(!int, !Random) : !InferenceStrategy>}
+ */
+const STRATEGIES = {
+    'post-selection': dimension => new PostSelectionStrategy(dimension),
+    'maximum-likelihood': dimension => new MaximumLikelihoodStrategy(dimension),
+    'particle-filter': (dimension, rng) => new ParticleFilterStrategy(dimension, 100, rng)
+};
+
+const USAGE = `Usage: node eve-cli.js <program file> [options]
+
+Runs a program (.qasm for OpenQASM 2.0, .json for Quirk circuits, anything else for the circuit language) over and
+over on a computer with a random hidden state, printing how well Eve's inferred state matches after each run.
+
+Options:
+    --steps <n>          Number of times to run the program. Default 100.
+    --seed <n>           Seed for the random hidden state and measurement results. Default random.
+    --qubits <n>         Size of the computer. Default is the number of qubits the program uses.
+    --initial <kind>     'pure' for a Haar-random state, or 'mixed' for a random density matrix. Default pure.
+    --format <format>    'csv' or 'json'. Default csv.
+    --strategy <name>    How Eve infers the hidden state: 'post-selection', 'maximum-likelihood' or 'particle-filter'.
+                         Default post-selection.
+    --report <kind>      'steps' for metrics after each run, or 'calibration' for how often outcomes Eve predicted
+                         with each probability actually happened, over all the runs. Default steps.
+    --bins <n>           Number of probability bins in the calibration report. Default 10.
+    --run-limit <n>      Most gates, measurements and coin flips performed per run, so that programs containing a
+                         'loop' still finish each run. Default 1000.
+`;
+
+/**
+ * @param {!string} name
+ * @param {!string} value
+ * @returns {!int}
+ */
+let parseNonNegativeInteger = (name, value) => {
+    if (!/^\d+$/.test(value)) {
+        throw new DetailedError(`${name} must be a non-negative integer.`, {value});
+    }
+    return parseInt(value, 10);
+};
+
+/**
+ * Runs a program repeatedly, as described by HeadlessRunner.run.
+ * @param {!CircuitProgram} program
+ * @param {!Object} options
+ * @returns {!{computer: !EveQuantumComputer, rows: !Array.<!Object.<!string, !number>>}}
+ */
+let simulate = (program, options) => {
+    let steps = options.steps === undefined ? 100 : options.steps;
+    let numQubits = options.qubits === undefined ? program.numQubits : options.qubits;
+    let initial = options.initial || 'pure';
+    let strategy = options.strategy || 'post-selection';
+    let runLimit = options.runLimit === undefined ? 1000 : options.runLimit;
+    if (numQubits < program.numQubits) {
+        throw new DetailedError("Program uses more qubits than requested.", {numQubits, program});
+    }
+    if (initial !== 'pure' && initial !== 'mixed') {
+        throw new DetailedError("Initial state must be 'pure' or 'mixed'.", {initial});
+    }
+    if (!STRATEGIES.hasOwnProperty(strategy)) {
+        throw new DetailedError("Unknown inference strategy.", {strategy, known: Object.keys(STRATEGIES)});
+    }
+
+    let rng = options.seed === undefined ? new Random() : new Random(options.seed);
+    let computer = initial === 'pure' ?
+        EveQuantumComputer.withRandomInitialState(numQubits, rng) :
+        EveQuantumComputer.withRandomInitialDensity(numQubits, 'hilbert-schmidt', rng);
+    // The strategy gets its own randomness, so that it can't see the hidden state. It's split off instead of seeded
+    // with a nearby seed, because experiments seed trials with consecutive seeds.
+    let strategyRng = rng.split();
+    computer.setInferenceStrategy(STRATEGIES[strategy](1 << numQubits, strategyRng));
+
+    let rows = [HeadlessRunner.sample(computer, 0)];
+    for (let step = 1; step <= steps; step++) {
+        computer.execute(program, rng).run(runLimit);
+        rows.push(HeadlessRunner.sample(computer, step));
+    }
+    return {computer, rows};
+};
+
+/**
+ * Runs programs on an EveQuantumComputer without drawing anything, recording metrics as it goes, so that experiments
+ * can be scripted (e.g. from the command line via the 'build-cli' grunt task).
+ */
+class HeadlessRunner {
+    /**
+     * Parses a program, picking the format based on the file's extension.
+     * @param {!string} fileName
+     * @param {!string} text
+     * @returns {!CircuitProgram}
+     */
+    static loadProgram(fileName, text) {
+        if (/\.qasm$/i.test(fileName)) {
+            return QasmImporter.parse(text);
+        }
+        if (/\.json$/i.test(fileName)) {
+            return QuirkImporter.parse(text);
+        }
+        return CircuitProgram.parse(text);
+    }
+
+    /**
+     * Runs a program repeatedly, like the draw loop does, recording metrics before the first run and after each run.
+     * @param {!CircuitProgram} program
+     * @param {!{steps: (undefined|!int), seed: (undefined|!int), qubits: (undefined|!int),
+     *     initial: (undefined|!string), strategy: (undefined|!string), runLimit: (undefined|!int)}=} options Runs
+     * 100 steps from a random pure state, with Eve using post-selection, unless told otherwise. Each run stops after
+     * runLimit (default 1000) gates, measurements and coin flips, so programs containing a 'loop' still finish.
+     * @returns {!Array.<!Object.<!string, !number>>} One row per recorded step, with the keys listed by
+     * HeadlessRunner.COLUMNS.
+     */
+    static run(program, options = {}) {
+        return simulate(program, options).rows;
+    }
+
+    /**
+     * Runs a program repeatedly, like run does, then bins Eve's predictions of every measurement's outcomes by
+     * predicted probability.
+     * @param {!CircuitProgram} program
+     * @param {!Object=} options The same options as run takes.
+     * @param {!int=} numBins
+     * @returns {!Array.<!CalibrationBin>} One row per bin, with the keys listed by
+     * HeadlessRunner.CALIBRATION_COLUMNS.
+     */
+    static calibration(program, options = {}, numBins = 10) {
+        return PredictionScores.calibration(simulate(program, options).computer.predictionLog(), numBins);
+    }
+
+    /**
+     * @param {!EveQuantumComputer} computer
+     * @param {!int} step
+     * @returns {!Object.<!string, !number>}
+     */
+    static sample(computer, step) {
+        let metrics = computer.metrics();
+        let predictions = computer.predictionLog();
+        return {
+            step,
+            operations: computer.operationCount(),
+            fidelity: metrics.fidelity,
+            traceDistance: metrics.traceDistance,
+            hilbertSchmidtDistance: metrics.hilbertSchmidtDistance,
+            relativeEntropy: metrics.relativeEntropy,
+            inferredPurity: metrics.inferredPurity,
+            inferredEntropy: metrics.inferredEntropy,
+            misprediction: computer.accumulatedMisprediction(),
+            logLoss: PredictionScores.logLoss(predictions),
+            brierScore: PredictionScores.brierScore(predictions),
+            cloneFidelity: computer.attemptClone().fidelity
+        };
+    }
+
+    /**
+     * @param {!Array.<!Object.<!string, !number>>} rows
+     * @param {!string} format 'csv' or 'json'. JSON has no infinity or NaN, so those values become null.
+     * @param {!Array.<!string>=} columns The keys of the rows, in order. Defaults to HeadlessRunner.COLUMNS.
+     * @returns {!string}
+     */
+    static format(rows, format, columns = COLUMNS) {
+        switch (format) {
+            case 'csv':
+                return [columns.join(','), ...rows.map(row => columns.map(c => String(row[c])).join(','))].
+                    join('\n') + '\n';
+            case 'json':
+                return JSON.stringify(rows, null, 2) + '\n';
+            default:
+                throw new DetailedError("Format must be 'csv' or 'json'.", {format});
+        }
+    }
+
+    /**
+     * @param {!Array.<!string>} args The command line arguments, after the script name.
+     * @returns {!{file: !string, steps: !int, seed: (undefined|!int), qubits: (undefined|!int), initial: !string,
+     *     format: !string, report: !string, bins: !int, strategy: !string, runLimit: !int}}
+     */
+    static parseArgs(args) {
+        let result = {
+            file: undefined,
+            steps: 100,
+            seed: undefined,
+            qubits: undefined,
+            initial: 'pure',
+            format: 'csv',
+            report: 'steps',
+            bins: 10,
+            strategy: 'post-selection',
+            runLimit: 1000
+        };
+        for (let i = 0; i < args.length; i++) {
+            let arg = args[i];
+            if (!arg.startsWith('--')) {
+                if (result.file !== undefined) {
+                    throw new DetailedError("Only one program file can be given.", {args});
+                }
+                result.file = arg;
+                continue;
+            }
+            let value = args[++i];
+            if (value === undefined) {
+                throw new DetailedError(`Missing value for ${arg}.`, {args});
+            }
+            switch (arg) {
+                case '--steps':
+                    result.steps = parseNonNegativeInteger(arg, value);
+                    break;
+                case '--seed':
+                    result.seed = parseNonNegativeInteger(arg, value);
+                    break;
+                case '--qubits':
+                    result.qubits = parseNonNegativeInteger(arg, value);
+                    break;
+                case '--initial':
+                    result.initial = value;
+                    break;
+                case '--format':
+                    result.format = value;
+                    break;
+                case '--report':
+                    result.report = value;
+                    break;
+                case '--bins':
+                    result.bins = parseNonNegativeInteger(arg, value);
+                    break;
+                case '--strategy':
+                    result.strategy = value;
+                    break;
+                case '--run-limit':
+                    result.runLimit = parseNonNegativeInteger(arg, value);
+                    break;
+                default:
+                    throw new DetailedError(`Unknown option ${arg}.`, {args});
+            }
+        }
+        if (result.file === undefined) {
+            throw new DetailedError("No program file given.", {args});
+        }
+        if (result.format !== 'csv' && result.format !== 'json') {
+            throw new DetailedError("Format must be 'csv' or 'json'.", {format: result.format});
+        }
+        if (result.report !== 'steps' && result.report !== 'calibration') {
+            throw new DetailedError("Report must be 'steps' or 'calibration'.", {report: result.report});
+        }
+        if (result.bins < 1) {
+            throw new DetailedError("--bins must be positive.", {bins: result.bins});
+        }
+        if (!STRATEGIES.hasOwnProperty(result.strategy)) {
+            throw new DetailedError("Unknown inference strategy.", {strategy: result.strategy});
+        }
+        if (result.runLimit < 1) {
+            throw new DetailedError("--run-limit must be positive.", {runLimit: result.runLimit});
+        }
+        return result;
+    }
+
+    /**
+     * The command line entry point.
+     * @param {!Array.<!string>} args The command line arguments, after the script name.
+     * @param {!function(!string) : !string} readFile
+     * @param {!function(!string)} write
+     * @returns {!int} The exit code.
+     */
+    static main(args, readFile, write) {
+        if (args.length === 0 || args.indexOf('--help') !== -1) {
+            write(USAGE);
+            return args.length === 0 ? 1 : 0;
+        }
+        let options = HeadlessRunner.parseArgs(args);
+        let program = HeadlessRunner.loadProgram(options.file, readFile(options.file));
+        if (options.report === 'calibration') {
+            let bins = HeadlessRunner.calibration(program, options, options.bins);
+            write(HeadlessRunner.format(bins, options.format, CALIBRATION_COLUMNS));
+        } else {
+            write(HeadlessRunner.format(HeadlessRunner.run(program, options), options.format));
+        }
+        return 0;
+    }
+}
+
+/**
+ * @type {!Array.<!string>}
+ */
+HeadlessRunner.COLUMNS = COLUMNS;
+
+/**
+ * @type {!Array.<!string>}
+ */
+HeadlessRunner.CALIBRATION_COLUMNS = CALIBRATION_COLUMNS;
+
+/**
+ * The names of the inference strategies that runs can use.
+ * @type {!Array.<!string>}
+ */
+HeadlessRunner.STRATEGIES = Object.keys(STRATEGIES);
+
+export default HeadlessRunner;
@@ -0,0 +1,62 @@
+/**
+ * @typedef {!{
+ *     probabilities: !function(!Matrix) : !Array.<!number>,
+ *     collapse: !function(!Matrix, !int) : !Matrix
+ * }} MeasurementModel
+ * How a measurement acts on density matrices: the probability of each outcome, and the (unnormalized) state left
+ * behind by each outcome, i.e. K ρ K† for the outcome's Kraus operator K. Neither function modifies its argument.
+ */
+
+/**
+ * A way for Eve to keep track of what she knows about the hidden state, as she watches what's done to it.
+ *
+ * Strategies are told about every operation that Eve knows was done to the hidden state (as a channel) and about every
+ * measurement (before the outcome, to predict it, and after, to learn from it). Subclasses override every method.
+ */
+export default class InferenceStrategy {
+    /**
+     * @returns {!Matrix} The strategy's current estimate of the hidden state, as a density matrix. Don't modify it.
+     */
+    estimate() {
+        throw new Error("Not implemented: InferenceStrategy.estimate");
+    }
+
+    /**
+     * Accounts for something done to the hidden state.
+     * @param {!function(!Matrix) : !Matrix} channel A linear trace-preserving map on density matrices, which returns a
+     * new matrix instead of modifying its argument.
+     */
+    applyChannel(channel) {
+        throw new Error("Not implemented: InferenceStrategy.applyChannel");
+    }
+
+    /**
+     * @param {!MeasurementModel} measurement
+     * @returns {!Array.<!number>} The probability the strategy assigns to each outcome of the measurement.
+     */
+    predict(measurement) {
+        throw new Error("Not implemented: InferenceStrategy.predict");
+    }
+
+    /**
+     * Learns from the outcome of a measurement of the hidden state.
+     * @param {!MeasurementModel} measurement
+     * @param {!int} outcome
+     */
+    observe(measurement, outcome) {
+        throw new Error("Not implemented: InferenceStrategy.observe");
+    }
+
+    /**
+     * @returns {!InferenceStrategy} An independent copy of the strategy, in its current state.
+     */
+    copy() {
+        throw new Error("Not implemented: InferenceStrategy.copy");
+    }
+}
+
+/**
+ * Outcomes that a strategy predicted with less than this probability are considered to have refuted its model.
+ * @type {!number}
+ */
+InferenceStrategy.REFUTED_PREDICTION_THRESHOLD = 0.000000001;
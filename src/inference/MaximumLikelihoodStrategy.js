@@ -0,0 +1,137 @@
+import InferenceStrategy from "src/inference/InferenceStrategy.js"
+import Matrix from "src/math/Matrix.js"
+
+/**
+ * @param {!int} dimension
+ * @returns {!Array.<!Matrix>} The matrix units |a⟩⟨b|, indexed by a*dimension + b.
+ */
+let matrixUnits = dimension => {
+    let result = [];
+    for (let a = 0; a < dimension; a++) {
+        for (let b = 0; b < dimension; b++) {
+            result.push(Matrix.generate(dimension, dimension, (r, c) => r === a && c === b ? 1 : 0));
+        }
+    }
+    return result;
+};
+
+/**
+ * Returns the operator Π whose expectation Tr(Π ρ) is the likelihood of the whole measurement record, had the
+ * hidden state started as ρ.
+ * @param {!Array.<!Matrix>} images The record's (unnormalized) images of the matrix units.
+ * @param {!int} dimension
+ * @returns {!Matrix}
+ */
+let likelihoodOperator = (images, dimension) =>
+    Matrix.generate(dimension, dimension, (r, c) => images[c*dimension + r].trace());
+
+/**
+ * Eigenvalues of Π within this fraction of its largest eigenvalue count as tied for the largest.
+ * @type {!number}
+ */
+const DEGENERACY_TOLERANCE = 0.000000001;
+
+/**
+ * Maximizes the likelihood Tr(Π ρ) over starting states ρ. Any state supported on Π's top eigenspace does that, and
+ * this returns the most cautious one: the normalized projector onto the whole eigenspace.
+ * @param {!Matrix} likelihood The operator Π.
+ * @returns {!Matrix}
+ */
+let maximizeLikelihood = likelihood => {
+    let d = likelihood.height();
+    let decomposition = likelihood.hermitianEigenDecomposition();
+    let top = decomposition[decomposition.length - 1].val;
+    let tied = decomposition.filter(e => e.val >= top - Math.abs(top) * DEGENERACY_TOLERANCE);
+    return tied.
+        map(e => e.vec.times(e.vec.adjoint())).
+        reduce((a, e) => a.plus(e), Matrix.zero(d, d)).
+        times(1 / tied.length);
+};
+
+/**
+ * Estimates the hidden state with maximum-likelihood tomography: find the starting state that best explains the
+ * measurement record, then push it through the record.
+ *
+ * Eve tracks how the record transforms each matrix unit |a⟩⟨b| of the starting state. Everything she sees acts
+ * linearly, so the likelihood of the record is Tr(Π ρ) for the starting state ρ and the operator Π given by the traces
+ * of the transformed units. Because every measurement was made on the same (single) copy of the state, the record is
+ * one joint outcome with one effect Π, so the maximum is found directly from Π's eigenvectors instead of with an
+ * iterative algorithm (like RρR) meant for many effects. When states are tied for most likely (including when there
+ * is no data at all), the estimate is an even mixture of them.
+ *
+ * Tracking d² matrix units makes every operation and measurement cost d² times as much as for post-selection (O(d⁵)
+ * per measurement for a d-dimensional state), so this is only practical for a few qubits. With little data the
+ * maximum is a confident guess, so it tends to mispredict more than post-selection does. When the record becomes
+ * impossible (e.g. because Eve ignores noise), she forgets the record and starts over.
+ */
+export default class MaximumLikelihoodStrategy extends InferenceStrategy {
+    /**
+     * @param {!int} dimension The size of the hidden state (2ⁿ for n qubits).
+     */
+    constructor(dimension) {
+        super();
+        /**
+         * @type {!int}
+         * @private
+         */
+        this._dimension = dimension;
+        /**
+         * Each matrix unit of the starting state, after everything Eve has seen. Scaled so that Π has trace 1, which
+         * keeps long records from underflowing.
+         * @type {!Array.<!Matrix>}
+         * @private
+         */
+        this._images = matrixUnits(dimension);
+        /**
+         * @type {undefined|!Matrix}
+         * @private
+         */
+        this._cachedEstimate = undefined;
+    }
+
+    estimate() {
+        if (this._cachedEstimate === undefined) {
+            let d = this._dimension;
+            let startDensity = maximizeLikelihood(likelihoodOperator(this._images, d));
+            let total = Matrix.zero(d, d);
+            for (let a = 0; a < d; a++) {
+                for (let b = 0; b < d; b++) {
+                    total = total.plus(this._images[a*d + b].times(startDensity.cell(b, a)));
+                }
+            }
+            this._cachedEstimate = total.times(1 / total.trace().abs());
+        }
+        return this._cachedEstimate;
+    }
+
+    applyChannel(channel) {
+        this._images = this._images.map(channel);
+        this._cachedEstimate = undefined;
+    }
+
+    predict(measurement) {
+        return measurement.probabilities(this.estimate());
+    }
+
+    observe(measurement, outcome) {
+        let d = this._dimension;
+        let images = this._images.map(e => measurement.collapse(e, outcome));
+        // Π is positive semi-definite, so its trace only vanishes when every starting state is refuted.
+        let scale = likelihoodOperator(images, d).trace().abs();
+        if (scale < InferenceStrategy.REFUTED_PREDICTION_THRESHOLD) {
+            images = matrixUnits(d).map(e => measurement.collapse(e, outcome));
+            scale = likelihoodOperator(images, d).trace().abs();
+        }
+        this._images = images.map(e => e.times(1 / scale));
+        this._cachedEstimate = undefined;
+    }
+
+    copy() {
+        // Skip the constructor, which would build matrix units that are about to be replaced.
+        let result = Object.create(MaximumLikelihoodStrategy.prototype);
+        result._dimension = this._dimension;
+        result._images = this._images;
+        result._cachedEstimate = this._cachedEstimate;
+        return result;
+    }
+}
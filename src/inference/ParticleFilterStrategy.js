@@ -0,0 +1,160 @@
+import InferenceStrategy from "src/inference/InferenceStrategy.js"
+import Matrix from "src/math/Matrix.js"
+import Random from "src/base/Random.js"
+import RandomStates from "src/math/RandomStates.js"
+
+let normalizeDensity = m => m.times(1 / m.trace().abs());
+
+/**
+ * @param {!int} dimension
+ * @param {!Random} rng
+ * @returns {!Matrix} A Haar-random pure state, as a density matrix.
+ */
+let randomParticle = (dimension, rng) => {
+    let col = RandomStates.haarState(Math.log2(dimension), rng);
+    return col.times(col.adjoint());
+};
+
+/**
+ * Estimates the hidden state with the weighted mean of a cloud of sampled guesses (particles), starting from
+ * Haar-random pure states.
+ *
+ * Each measurement re-weights the particles by how likely they said the outcome was, then conditions them on it. When
+ * the weight piles up on too few particles, the cloud is resampled (without any jitter, so duplicates stay together).
+ * Because conditioning the maximally mixed state is already the exact Bayesian mean for a Haar-random prior, the
+ * particle filter approaches post-selection as the number of particles grows. With few particles, it shows what
+ * sampling error costs.
+ */
+export default class ParticleFilterStrategy extends InferenceStrategy {
+    /**
+     * @param {!int} dimension The size of the hidden state (2ⁿ for n qubits).
+     * @param {!int=} numParticles
+     * @param {!Random=} rng Used to sample and resample particles. Don't share it with the computer, or the particles
+     * will be correlated with the hidden state.
+     */
+    constructor(dimension, numParticles = 100, rng = new Random()) {
+        super();
+        if (!Number.isInteger(numParticles) || numParticles < 1) {
+            throw new Error("Need a positive number of particles.");
+        }
+        /**
+         * @type {!Random}
+         * @private
+         */
+        this._rng = rng;
+        /**
+         * @type {!Array.<!Matrix>}
+         * @private
+         */
+        this._particles = [];
+        for (let i = 0; i < numParticles; i++) {
+            this._particles.push(randomParticle(dimension, rng));
+        }
+        /**
+         * @type {!Array.<!number>}
+         * @private
+         */
+        this._weights = this._particles.map(() => 1 / numParticles);
+        /**
+         * @type {undefined|!Matrix}
+         * @private
+         */
+        this._cachedEstimate = undefined;
+    }
+
+    estimate() {
+        if (this._cachedEstimate === undefined) {
+            let d = this._particles[0].height();
+            this._cachedEstimate = this._particles.
+                map((p, i) => p.times(this._weights[i])).
+                reduce((a, e) => a.plus(e), Matrix.zero(d, d));
+        }
+        return this._cachedEstimate;
+    }
+
+    applyChannel(channel) {
+        this._particles = this._particles.map(channel);
+        this._cachedEstimate = undefined;
+    }
+
+    predict(measurement) {
+        let result = undefined;
+        for (let i = 0; i < this._particles.length; i++) {
+            let probabilities = measurement.probabilities(this._particles[i]).map(p => p * this._weights[i]);
+            result = result === undefined ? probabilities : result.map((e, k) => e + probabilities[k]);
+        }
+        return result;
+    }
+
+    /**
+     * When every particle said the outcome was impossible (e.g. because Eve is ignoring noise), the cloud has been
+     * refuted and is replaced by fresh particles before conditioning. If the fresh particles can't explain the outcome
+     * either, they're kept unconditioned with equal weights.
+     * @param {!MeasurementModel} measurement
+     * @param {!int} outcome
+     */
+    observe(measurement, outcome) {
+        let likelihoods = this._particles.map(p => measurement.probabilities(p)[outcome]);
+        let weights = this._weights.map((w, i) => w * likelihoods[i]);
+        let total = weights.reduce((a, e) => a + e, 0);
+        if (total < InferenceStrategy.REFUTED_PREDICTION_THRESHOLD) {
+            let d = this._particles[0].height();
+            this._particles = this._particles.map(() => randomParticle(d, this._rng));
+            likelihoods = this._particles.map(p => measurement.probabilities(p)[outcome]);
+            weights = likelihoods.slice();
+            total = weights.reduce((a, e) => a + e, 0);
+        }
+        if (!(total > 0) || !isFinite(total)) {
+            // Not even fresh particles can explain the outcome, so there's nothing to condition on. Keep them as they
+            // are, equally weighted.
+            this._weights = this._particles.map(() => 1 / this._particles.length);
+            this._cachedEstimate = undefined;
+            return;
+        }
+
+        // Particles that ruled the outcome out have no weight left, and nothing sensible to collapse to.
+        this._particles = this._particles.map((p, i) => weights[i] > 0 ?
+            normalizeDensity(measurement.collapse(p, outcome)) :
+            p);
+        this._weights = weights.map(w => w / total);
+        this._cachedEstimate = undefined;
+
+        let effectiveCount = 1 / this._weights.reduce((a, w) => a + w*w, 0);
+        if (effectiveCount < this._particles.length / 2) {
+            this._resample();
+        }
+    }
+
+    /**
+     * Replaces the particles with a sample (with replacement) from the weighted particles, and evens out the weights.
+     * @private
+     */
+    _resample() {
+        let n = this._particles.length;
+        let cumulative = [];
+        let total = 0;
+        for (let w of this._weights) {
+            total += w;
+            cumulative.push(total);
+        }
+        let resampled = [];
+        for (let i = 0; i < n; i++) {
+            let r = this._rng.next() * total;
+            let k = cumulative.findIndex(c => c > r);
+            // Rounding can leave r at the total, which belongs to the last particle with any weight.
+            resampled.push(this._particles[k === -1 ? cumulative.indexOf(total) : k]);
+        }
+        this._particles = resampled;
+        this._weights = resampled.map(() => 1 / n);
+    }
+
+    copy() {
+        // Skip the constructor, which would sample particles that are about to be replaced.
+        let result = Object.create(ParticleFilterStrategy.prototype);
+        result._rng = this._rng;
+        result._particles = this._particles.slice();
+        result._weights = this._weights.slice();
+        result._cachedEstimate = this._cachedEstimate;
+        return result;
+    }
+}
@@ -0,0 +1,57 @@
+import InferenceStrategy from "src/inference/InferenceStrategy.js"
+import Matrix from "src/math/Matrix.js"
+
+let normalizeDensity = m => m.times(1 / m.trace().abs());
+
+/**
+ * Eve's original strategy: start from the maximally mixed state, push it through everything done to the hidden state,
+ * and condition it on every measurement outcome.
+ *
+ * Conditioning the maximally mixed state is exactly the Bayesian mean estimate for any unitarily invariant prior over
+ * hidden states (e.g. Haar-random pure states), so nothing makes better predictions when the prior is right.
+ */
+export default class PostSelectionStrategy extends InferenceStrategy {
+    /**
+     * @param {!int} dimension The size of the hidden state (2ⁿ for n qubits).
+     */
+    constructor(dimension) {
+        super();
+        /**
+         * @type {!Matrix}
+         * @private
+         */
+        this._density = normalizeDensity(Matrix.identity(dimension));
+    }
+
+    estimate() {
+        return this._density;
+    }
+
+    applyChannel(channel) {
+        this._density = channel(this._density);
+    }
+
+    predict(measurement) {
+        return measurement.probabilities(this._density);
+    }
+
+    /**
+     * When the strategy said the outcome was impossible (e.g. because Eve is ignoring noise), its model has been
+     * refuted and it falls back to total ignorance before conditioning.
+     * @param {!MeasurementModel} measurement
+     * @param {!int} outcome
+     */
+    observe(measurement, outcome) {
+        let predicted = measurement.probabilities(this._density)[outcome];
+        let prior = predicted < InferenceStrategy.REFUTED_PREDICTION_THRESHOLD ?
+            Matrix.identity(this._density.height()) :
+            this._density;
+        this._density = normalizeDensity(measurement.collapse(prior, outcome));
+    }
+
+    copy() {
+        let result = new PostSelectionStrategy(this._density.height());
+        result._density = this._density;
+        return result;
+    }
+}
@@ -1,47 +1,37 @@
-import Matrix from "src/math/Matrix.js"
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import ComputerView from "src/ui/ComputerView.js"
 import EveQuantumComputer from "src/EveQuantumComputer.js"
+import MaximumLikelihoodStrategy from "src/inference/MaximumLikelihoodStrategy.js"
+import ParticleFilterStrategy from "src/inference/ParticleFilterStrategy.js"
+import Random from "src/base/Random.js"
 
-let numQubits = 4;
-let qpu = EveQuantumComputer.withRandomInitialState(numQubits);
+// Alice's program is embedded in the page, so that it can be changed without rebuilding.
+let program = CircuitProgram.parse(document.getElementById('program').textContent);
 
-// Pre-compute matrices for operations.
-let X0 = qpu.expandOperation(Matrix.PAULI_X, 0); // X gate on qubit 0.
-let X1 = qpu.expandOperation(Matrix.PAULI_X, 1);
-let X2 = qpu.expandOperation(Matrix.PAULI_X, 2);
-let X3 = qpu.expandOperation(Matrix.PAULI_X, 3);
-let H0 = qpu.expandOperation(Matrix.HADAMARD, 0);
-let H1 = qpu.expandOperation(Matrix.HADAMARD, 1);
-let H2 = qpu.expandOperation(Matrix.HADAMARD, 2);
-let H3 = qpu.expandOperation(Matrix.HADAMARD, 3);
-let CNOT_2_ONTO_3 = qpu.expandOperation(Matrix.PAULI_X, 3, [2]);
-let SMALL_Y_ROT_1 = qpu.expandOperation(
-    Matrix.fromAngleAxisPhaseRotation(Math.PI/3, [0, 1, 0]),
-    1);
-let SMALL_X_ROT_2_WHEN_1 = qpu.expandOperation(
-    Matrix.fromAngleAxisPhaseRotation(Math.PI/4, [1, 0, 0]),
-    2,
-    [1]);
-let CONFOUNDING_X3 = qpu.expandOperation(
-    Matrix.fromAngleAxisPhaseRotation(Math.PI/2 + 0.4, [1, 0, 0]),
-    3);
+let rng = new Random(); // Pass a seed to replay a run exactly.
+let qpu = EveQuantumComputer.withRandomInitialState(program.numQubits, rng);
+// The page runs forever, so don't keep a log of everything for exportLog.
+qpu.disableEventLog();
 
-// Start churning.
-qpu.drawLoop(() => {
-    let generatedEntropy = qpu.measureQubit(0);
-    if (Math.random() < 0.3) {
-        generatedEntropy = !generatedEntropy; // Mix it up some more.
-    }
-    if (generatedEntropy) {
-        qpu.applyOperation(SMALL_Y_ROT_1);
-        qpu.applyOperation(X0);
-    }
-    qpu.applyOperation(H0);
+// Set to track the same hidden state with other inference strategies, to chart against Eve's. They redo all of Eve's
+// work (maximum likelihood d² times over, the particle filter once per particle), so they're off by default.
+const COMPARE_STRATEGIES = false;
+if (COMPARE_STRATEGIES) {
+    let dimension = 1 << program.numQubits;
+    qpu.addComparisonStrategy('maximum likelihood', new MaximumLikelihoodStrategy(dimension));
+    qpu.addComparisonStrategy('particle filter', new ParticleFilterStrategy(dimension, 100, rng.split()));
+}
 
-    qpu.applyOperation(SMALL_X_ROT_2_WHEN_1);
-    qpu.applyOperation(CNOT_2_ONTO_3);
-    qpu.applyOperation(CONFOUNDING_X3);
-    let measureResult = qpu.measureQubit(3);
-    if (measureResult) {
-        qpu.applyOperation(X3); // Clear.
+// Programs containing a 'loop' never finish, so each frame only performs a limited number of statements. The program
+// picks up where it left off on the next frame, and starts over once it has finished.
+const MAX_STEPS_PER_FRAME = 1000;
+let execution = qpu.execute(program, rng);
+
+// Start churning.
+let view = new ComputerView(qpu, document.getElementById('drawCanvas'));
+view.drawLoop(() => {
+    if (execution.isFinished()) {
+        execution = qpu.execute(program, rng);
     }
+    execution.run(MAX_STEPS_PER_FRAME);
 });
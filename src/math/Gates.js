@@ -0,0 +1,199 @@
+import Complex from "src/math/Complex.js"
+import DetailedError from "src/base/DetailedError.js"
+import Matrix from "src/math/Matrix.js"
+import { seq, Seq } from "src/base/Seq.js"
+
+/**
+ * @param {!Array.<!int>} qubits
+ * @returns {!int}
+ */
+let maskOf = qubits => seq(qubits).aggregate(0, (a, e) => a | (1 << e));
+
+/**
+ * Gathers the bits at the given qubit positions into a compact value.
+ * @param {!int} value
+ * @param {!Array.<!int>} qubitIndices Bit qubitIndices[k] of the value ends up at position k.
+ * @returns {!int}
+ */
+let gatherBits = (value, qubitIndices) =>
+    seq(qubitIndices).mapWithIndex((q, k) => ((value >> q) & 1) << k).aggregate(0, (a, e) => a | e);
+
+/**
+ * Builders for operations on a register of qubits, as full 2ⁿ by 2ⁿ matrices that can be given to applyOperation.
+ *
+ * Qubit k corresponds to bit k of the matrix's row and column indices. Controls condition an operation on qubits
+ * being |1⟩, whereas anti-controls condition it on qubits being |0⟩.
+ */
+class Gates {
+    /**
+     * Restricts an operation to only apply when the control qubits have the desired values, leaving other states
+     * untouched.
+     * @param {!Matrix} matrix
+     * @param {!int} controlMask The qubits that condition the operation.
+     * @param {!int=} desiredValueMask The values the conditioning qubits must have. Defaults to all of them being on.
+     * @returns {!Matrix}
+     */
+    static controlify(matrix, controlMask, desiredValueMask = controlMask) {
+        let w = matrix.width();
+        let h = matrix.height();
+        let newBuf = matrix.rawBuffer().slice();
+        for (let r = 0; r < h; r++) {
+            for (let c = 0; c < w; c++) {
+                if ((controlMask & r) !== desiredValueMask || (controlMask & c) !== desiredValueMask) {
+                    let k = (r*w + c) * 2;
+                    newBuf[k] = r === c ? 1 : 0;
+                    newBuf[k+1] = 0;
+                }
+            }
+        }
+        return new Matrix(w, h, newBuf);
+    }
+
+    /**
+     * Expands an operation on a few qubits into an operation on the whole register.
+     * @param {!Matrix} operation A 2ᵏ by 2ᵏ matrix. Bit j of its indices corresponds to targetQubits[j].
+     * @param {!Array.<!int>} targetQubits
+     * @param {!int} numQubits
+     * @param {!Array.<!int>=} controls
+     * @param {!Array.<!int>=} antiControls
+     * @returns {!Matrix}
+     */
+    static expand(operation, targetQubits, numQubits, controls = [], antiControls = []) {
+        let all = [...targetQubits, ...controls, ...antiControls];
+        if (operation.width() !== 1 << targetQubits.length || operation.height() !== 1 << targetQubits.length) {
+            throw new DetailedError("Operation doesn't match the number of target qubits.", {operation, targetQubits});
+        }
+        if (!all.every(q => Number.isInteger(q) && q >= 0 && q < numQubits) || new Set(all).size !== all.length) {
+            throw new DetailedError("Qubits must be distinct and in range.",
+                {targetQubits, controls, antiControls, numQubits});
+        }
+        let targetMask = maskOf(targetQubits);
+        let size = 1 << numQubits;
+        let opBuf = operation.rawBuffer();
+        let opSize = operation.width();
+        let buf = new Float64Array(size*size*2);
+        for (let r = 0; r < size; r++) {
+            let opRow = gatherBits(r, targetQubits);
+            let rest = r & ~targetMask;
+            for (let opCol = 0; opCol < opSize; opCol++) {
+                let c = rest;
+                for (let j = 0; j < targetQubits.length; j++) {
+                    c |= ((opCol >> j) & 1) << targetQubits[j];
+                }
+                let i = (r*size + c)*2;
+                let k = (opRow*opSize + opCol)*2;
+                buf[i] = opBuf[k];
+                buf[i+1] = opBuf[k+1];
+            }
+        }
+        return Gates.controlify(new Matrix(size, size, buf), maskOf(controls) | maskOf(antiControls), maskOf(controls));
+    }
+
+    /**
+     * Exchanges the states of two qubits.
+     * @param {!int} numQubits
+     * @param {!int} qubit1
+     * @param {!int} qubit2
+     * @param {!Array.<!int>=} controls
+     * @param {!Array.<!int>=} antiControls
+     * @returns {!Matrix}
+     */
+    static swap(numQubits, qubit1, qubit2, controls = [], antiControls = []) {
+        let all = [qubit1, qubit2, ...controls, ...antiControls];
+        if (!all.every(q => Number.isInteger(q) && q >= 0 && q < numQubits) || new Set(all).size !== all.length) {
+            throw new DetailedError("Qubits must be distinct and in range.",
+                {qubit1, qubit2, controls, antiControls, numQubits});
+        }
+        return Gates.controlify(
+            Matrix.fromWireSwap(numQubits, qubit1, qubit2),
+            maskOf(controls) | maskOf(antiControls),
+            maskOf(controls));
+    }
+
+    /**
+     * Swaps two qubits while phasing the states where they differ by i.
+     * @param {!int} numQubits
+     * @param {!int} qubit1
+     * @param {!int} qubit2
+     * @returns {!Matrix}
+     */
+    static iSwap(numQubits, qubit1, qubit2) {
+        return Gates.expand(Gates.I_SWAP, [qubit1, qubit2], numQubits);
+    }
+
+    /**
+     * Flips the target qubit when both control qubits are on.
+     * @param {!int} numQubits
+     * @param {!int} control1
+     * @param {!int} control2
+     * @param {!int} target
+     * @returns {!Matrix}
+     */
+    static toffoli(numQubits, control1, control2, target) {
+        return Gates.expand(Matrix.PAULI_X, [target], numQubits, [control1, control2]);
+    }
+
+    /**
+     * Swaps two qubits when the control qubit is on.
+     * @param {!int} numQubits
+     * @param {!int} control
+     * @param {!int} qubit1
+     * @param {!int} qubit2
+     * @returns {!Matrix}
+     */
+    static fredkin(numQubits, control, qubit1, qubit2) {
+        return Gates.swap(numQubits, qubit1, qubit2, [control]);
+    }
+
+    /**
+     * Phases the states where both qubits are on by e^(iφ). The operation is symmetric in the two qubits.
+     * @param {!int} numQubits
+     * @param {!int} qubit1
+     * @param {!int} qubit2
+     * @param {!number=} phi Defaults to π, i.e. a controlled-Z.
+     * @returns {!Matrix}
+     */
+    static controlledPhase(numQubits, qubit1, qubit2, phi = Math.PI) {
+        return Gates.expand(Matrix.square(1, 0, 0, Complex.polar(1, phi)), [qubit2], numQubits, [qubit1]);
+    }
+
+    /**
+     * Returns the quantum Fourier transform over a contiguous range of qubits, treating the first qubit of the range
+     * as the least significant bit.
+     * @param {!int} numQubits
+     * @param {!int=} firstQubit
+     * @param {!int=} length Defaults to the rest of the register.
+     * @returns {!Matrix}
+     */
+    static qft(numQubits, firstQubit = 0, length = numQubits - firstQubit) {
+        if (!Number.isInteger(length) || length < 1) {
+            throw new DetailedError("QFT needs at least one qubit.", {numQubits, firstQubit, length});
+        }
+        let n = 1 << length;
+        let s = 1 / Math.sqrt(n);
+        let fourier = Matrix.generate(n, n, (r, c) => Complex.polar(s, 2*Math.PI*((r*c) % n)/n));
+        return Gates.expand(fourier, Seq.range(length).map(k => firstQubit + k).toArray(), numQubits);
+    }
+
+    /**
+     * Returns the inverse of the quantum Fourier transform returned by Gates.qft with the same arguments.
+     * @param {!int} numQubits
+     * @param {!int=} firstQubit
+     * @param {!int=} length
+     * @returns {!Matrix}
+     */
+    static inverseQft(numQubits, firstQubit = 0, length = numQubits - firstQubit) {
+        return Gates.qft(numQubits, firstQubit, length).adjoint();
+    }
+}
+
+/**
+ * @type {!Matrix}
+ */
+Gates.I_SWAP = Matrix.square(
+    1, 0, 0, 0,
+    0, 0, Complex.I, 0,
+    0, Complex.I, 0, 0,
+    0, 0, 0, 1);
+
+export default Gates;
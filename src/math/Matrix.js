@@ -792,12 +792,15 @@ class Matrix {
     }
 
     /**
-     * Computes the eigenvalues and eigenvectors of a 2x2 matrix.
+     * Computes the eigenvalues and eigenvectors of a 2x2 matrix, or of a Hermitian matrix of any size.
      * @returns {!Array.<!{val: !Complex, vec: !Matrix}>}
      */
     eigenDecomposition() {
         if (this.width() !== 2 || this.height() !== 2) {
-            throw new Error("Not implemented: non-2x2 eigen decomposition");
+            if (!this.isApproximatelyHermitian(0.00000001)) {
+                throw new Error("Not implemented: non-2x2 eigen decomposition of a non-Hermitian matrix");
+            }
+            return this.hermitianEigenDecomposition().map(({val, vec}) => ({val: Complex.from(val), vec}));
         }
         let [[a, b],
              [c, d]] = this.rows();
@@ -832,6 +835,87 @@ class Matrix {
         });
     }
 
+    /**
+     * Computes the eigenvalues and eigenvectors of a Hermitian matrix of any size, using cyclic Jacobi rotations.
+     * @param {!number=} epsilon Iteration stops once the off-diagonal entries' squared norm falls below this fraction of
+     * the matrix's squared norm.
+     * @param {!int=} maxSweeps
+     * @returns {!Array.<!{val: !number, vec: !Matrix}>} Real eigenvalues (smallest first) and unit eigenvectors.
+     */
+    hermitianEigenDecomposition(epsilon = 1e-30, maxSweeps = 100) {
+        if (this._width !== this._height) {
+            throw new DetailedError("Expected a square matrix.", this);
+        }
+        let n = this._width;
+        let a = new Float64Array(this._buffer);
+        let v = new Float64Array(Matrix.identity(n)._buffer);
+        let offDiagonalNorm2 = () => {
+            let t = 0;
+            for (let r = 0; r < n; r++) {
+                for (let c = 0; c < n; c++) {
+                    if (r !== c) {
+                        let k = (r*n + c)*2;
+                        t += a[k]*a[k] + a[k+1]*a[k+1];
+                    }
+                }
+            }
+            return t;
+        };
+        let threshold = this.norm2() * epsilon;
+
+        for (let sweep = 0; sweep < maxSweeps && offDiagonalNorm2() > threshold; sweep++) {
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    let kpq = (p*n + q)*2;
+                    let mag = Math.sqrt(a[kpq]*a[kpq] + a[kpq+1]*a[kpq+1]);
+                    if (mag === 0) {
+                        continue;
+                    }
+                    // Phase that makes the off-diagonal entry real, then a real rotation that cancels it.
+                    let er = a[kpq] / mag;
+                    let ei = a[kpq+1] / mag;
+                    let tau = (a[(q*n + q)*2] - a[(p*n + p)*2]) / (2*mag);
+                    let t = (tau >= 0 ? 1 : -1) / (Math.abs(tau) + Math.sqrt(1 + tau*tau));
+                    let c = 1 / Math.sqrt(1 + t*t);
+                    let s = t*c;
+
+                    // a ← a V and v ← v V, where V[p][p]=c, V[p][q]=s, V[q][p]=-s e^-iφ, V[q][q]=c e^-iφ.
+                    for (let buf of [a, v]) {
+                        for (let k = 0; k < n; k++) {
+                            let i = (k*n + p)*2;
+                            let j = (k*n + q)*2;
+                            let [xr, xi, yr, yi] = [buf[i], buf[i+1], buf[j], buf[j+1]];
+                            let zr = yr*er + yi*ei;
+                            let zi = yi*er - yr*ei;
+                            buf[i] = c*xr - s*zr;
+                            buf[i+1] = c*xi - s*zi;
+                            buf[j] = s*xr + c*zr;
+                            buf[j+1] = s*xi + c*zi;
+                        }
+                    }
+                    // a ← V† a
+                    for (let k = 0; k < n; k++) {
+                        let i = (p*n + k)*2;
+                        let j = (q*n + k)*2;
+                        let [xr, xi, yr, yi] = [a[i], a[i+1], a[j], a[j+1]];
+                        let zr = yr*er - yi*ei;
+                        let zi = yi*er + yr*ei;
+                        a[i] = c*xr - s*zr;
+                        a[i+1] = c*xi - s*zi;
+                        a[j] = s*xr + c*zr;
+                        a[j+1] = s*xi + c*zi;
+                    }
+                }
+            }
+        }
+
+        let vecs = new Matrix(n, n, v);
+        return Seq.range(n).
+            map(k => ({val: a[(k*n + k)*2], vec: Matrix.col(...vecs.getColumn(k))})).
+            sortedBy(e => e.val).
+            toArray();
+    }
+
     /**
      * Lifts a numeric function so that it applies to matrices by using the eigendecomposition and applying the function
      * to the eigenvalue coefficients.
@@ -894,6 +978,72 @@ class Matrix {
             aggregate(Complex.ZERO, (a, e) => a.plus(e));
     }
 
+    /**
+     * Returns the inverse of the receiving square matrix, using Gauss-Jordan elimination with partial pivoting.
+     * @returns {!Matrix}
+     */
+    inverse() {
+        if (this._width !== this._height) {
+            throw new DetailedError("Expected a square matrix.", this);
+        }
+        let n = this._width;
+        let a = this.rows();
+        let b = Matrix.identity(n).rows();
+        for (let col = 0; col < n; col++) {
+            let pivot = Seq.range(n).skip(col).maxBy(r => a[r][col].norm2());
+            if (a[pivot][col].isEqualTo(0)) {
+                throw new DetailedError("Singular matrix.", this);
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+
+            let f = a[col][col];
+            a[col] = a[col].map(e => e.dividedBy(f));
+            b[col] = b[col].map(e => e.dividedBy(f));
+            for (let r = 0; r < n; r++) {
+                let g = a[r][col];
+                if (r === col || g.isEqualTo(0)) {
+                    continue;
+                }
+                a[r] = a[r].map((e, c) => e.minus(a[col][c].times(g)));
+                b[r] = b[r].map((e, c) => e.minus(b[col][c].times(g)));
+            }
+        }
+        return Matrix.fromRows(b);
+    }
+
+    /**
+     * Returns the matrix exponential e^M of the receiving square matrix.
+     * Scales the matrix down until a degree 6 Padé approximant is accurate, then squares the result back up.
+     * @returns {!Matrix}
+     */
+    expm() {
+        if (this._width !== this._height) {
+            throw new DetailedError("Expected a square matrix.", this);
+        }
+        let n = this._width;
+        let squarings = Math.max(0, Math.ceil(Math.log2(Math.sqrt(this.norm2()) / 0.5)));
+        let x = this.times(Math.pow(0.5, squarings));
+
+        let numerator = Matrix.identity(n);
+        let denominator = Matrix.identity(n);
+        let power = Matrix.identity(n);
+        let coefficient = 1;
+        for (let k = 1; k <= 6; k++) {
+            coefficient *= (6 - k + 1) / (k * (12 - k + 1));
+            power = power.times(x);
+            let term = power.times(coefficient);
+            numerator = numerator.plus(term);
+            denominator = k % 2 === 0 ? denominator.plus(term) : denominator.minus(term);
+        }
+
+        let result = denominator.inverse().times(numerator);
+        for (let i = 0; i < squarings; i++) {
+            result = result.times(result);
+        }
+        return result;
+    }
+
     /**
      * Given a single-qubit operation matrix U, finds φ, θ, and v=[x,y,z] that satisfy
      * U = exp(i φ) (I cos(θ/2) - v σ i sin(θ/2))
@@ -1073,11 +1223,85 @@ class Matrix {
             };
         };
 
-        if (this.width() !== 2 || this.height() !== 2) {
-            throw new Error("Not implemented: non-2x2 singular value decomposition");
+        /**
+         * One-sided Jacobi: rotates pairs of columns until they're all orthogonal, tracking the rotations in v.
+         * @param {!Matrix} m
+         * @returns {!{u: !Matrix, s: !Matrix, v: !Matrix}}
+         */
+        let svd_jacobi = m => {
+            let n = m.width();
+            let w = new Matrix(n, n, new Float64Array(m._buffer));
+            let v = Matrix.identity(n);
+            for (let sweep = 0; sweep < 100; sweep++) {
+                let rotated = false;
+                for (let p = 0; p < n; p++) {
+                    for (let q = p + 1; q < n; q++) {
+                        let colP = w.getColumn(p);
+                        let colQ = w.getColumn(q);
+                        let alpha = seq(colP).map(e => e.norm2()).sum();
+                        let beta = seq(colQ).map(e => e.norm2()).sum();
+                        let gamma = seq(colP).
+                            zip(colQ, (x, y) => x.conjugate().times(y)).
+                            aggregate(Complex.ZERO, (a, e) => a.plus(e));
+                        let mag = gamma.abs();
+                        if (mag <= 0.000000000000001 * Math.sqrt(alpha * beta)) {
+                            continue;
+                        }
+                        rotated = true;
+
+                        // Same rotation a Hermitian Jacobi step would apply to the columns' gram matrix.
+                        let phase = gamma.dividedBy(mag).conjugate();
+                        let tau = (beta - alpha) / (2 * mag);
+                        let t = (tau >= 0 ? 1 : -1) / (Math.abs(tau) + Math.sqrt(1 + tau * tau));
+                        let c = 1 / Math.sqrt(1 + t * t);
+                        let op = Matrix.square(c, t * c, phase.times(-t * c), phase.times(c));
+                        w._inline_colMix_postMultiply(p, q, op);
+                        v._inline_colMix_postMultiply(p, q, op);
+                    }
+                }
+                if (!rotated) {
+                    break;
+                }
+            }
+
+            // m = w v*, and w's columns are orthogonal with lengths equal to the singular values.
+            let sigmas = Seq.range(n).map(k => Math.sqrt(seq(w.getColumn(k)).map(e => e.norm2()).sum())).toArray();
+            let order = Seq.range(n).sortedBy(k => -sigmas[k]).toArray();
+            let uCols = order.map(k => sigmas[k] > 0.000000000001 ?
+                w.getColumn(k).map(e => e.dividedBy(sigmas[k])) :
+                undefined);
+
+            // Complete the left singular vectors of zero singular values into an orthonormal basis.
+            for (let k = 0; k < n; k++) {
+                if (uCols[k] !== undefined) {
+                    continue;
+                }
+                let candidates = Seq.range(n).map(j => {
+                    let col = Seq.range(n).map(r => Complex.from(r === j ? 1 : 0)).toArray();
+                    for (let other of uCols.filter(e => e !== undefined)) {
+                        let dot = seq(other).zip(col, (x, y) => x.conjugate().times(y)).
+                            aggregate(Complex.ZERO, (a, e) => a.plus(e));
+                        col = col.map((e, r) => e.minus(other[r].times(dot)));
+                    }
+                    return col;
+                });
+                let best = candidates.maxBy(col => seq(col).map(e => e.norm2()).sum());
+                let len = Math.sqrt(seq(best).map(e => e.norm2()).sum());
+                uCols[k] = best.map(e => e.dividedBy(len));
+            }
+
+            return {
+                u: Matrix.generate(n, n, (r, c) => uCols[c][r]),
+                s: Matrix.generate(n, n, (r, c) => r === c ? sigmas[order[r]] : 0),
+                v: Matrix.generate(n, n, (r, c) => v.cell(order[r], c).conjugate())
+            };
+        };
+
+        if (this.width() !== this.height()) {
+            throw new Error("Not implemented: non-square singular value decomposition");
         }
 
-        return svd_2x2(this);
+        return this.width() === 2 ? svd_2x2(this) : svd_jacobi(this);
     };
 
     getColumn(colIndex) {
@@ -0,0 +1,121 @@
+import Matrix from "src/math/Matrix.js"
+
+let entropyTerm = p => p <= 0 ? 0 : -p * Math.log2(p);
+
+/**
+ * Ways of quantifying how mixed a quantum state is, and how far apart two quantum states are.
+ * States are given as density matrices (or, where noted, as pure state column vectors).
+ */
+export default class Metrics {
+    /**
+     * @param {!Matrix} density
+     * @returns {!Array.<!number>} The eigenvalues of the (Hermitian) matrix, largest first.
+     */
+    static eigenvalues(density) {
+        return density.hermitianEigenDecomposition().map(e => e.val).reverse();
+    }
+
+    /**
+     * Returns the pure state that a density matrix is closest to (i.e. has the highest fidelity with): the eigenvector
+     * of its largest eigenvalue.
+     * @param {!Matrix} density
+     * @returns {!Matrix} A unit column vector, with an arbitrary global phase.
+     */
+    static dominantEigenvector(density) {
+        let decomposition = density.hermitianEigenDecomposition();
+        return decomposition[decomposition.length - 1].vec;
+    }
+
+    /**
+     * Returns Tr(ρ²), which is 1 for pure states and 1/d for the maximally mixed state.
+     * @param {!Matrix} density
+     * @returns {!number}
+     */
+    static purity(density) {
+        return density.times(density).trace().real;
+    }
+
+    /**
+     * Returns the von Neumann entropy -Tr(ρ log₂ ρ), in bits.
+     * @param {!Matrix} density
+     * @returns {!number}
+     */
+    static entropy(density) {
+        return Metrics.eigenvalues(density).map(entropyTerm).reduce((a, e) => a + e, 0);
+    }
+
+    /**
+     * Returns half the sum of the absolute eigenvalues of the difference between the given density matrices. This is
+     * the largest possible difference in the probability the two states assign to any measurement outcome.
+     * @param {!Matrix} density1
+     * @param {!Matrix} density2
+     * @returns {!number}
+     */
+    static traceDistance(density1, density2) {
+        return Metrics.eigenvalues(density1.minus(density2)).map(Math.abs).reduce((a, e) => a + e, 0) / 2;
+    }
+
+    /**
+     * Returns the Frobenius norm of the difference between the given density matrices, √Tr((ρ-σ)²).
+     * @param {!Matrix} density1
+     * @param {!Matrix} density2
+     * @returns {!number}
+     */
+    static hilbertSchmidtDistance(density1, density2) {
+        return Math.sqrt(density1.minus(density2).norm2());
+    }
+
+    /**
+     * Returns the Uhlmann fidelity (Tr √(√ρ σ √ρ))².
+     * This is 1 for identical states and 0 for states with orthogonal supports.
+     * @param {!Matrix} density1
+     * @param {!Matrix} density2
+     * @returns {!number}
+     */
+    static fidelity(density1, density2) {
+        let root = density1.liftApply(e => Math.sqrt(Math.max(e.real, 0)));
+        let rootFidelity = Metrics.eigenvalues(root.times(density2).times(root)).
+            map(e => Math.sqrt(Math.max(e, 0))).
+            reduce((a, e) => a + e, 0);
+        return Math.min(1, rootFidelity * rootFidelity);
+    }
+
+    /**
+     * Returns the fidelity ⟨ψ|ρ|ψ⟩ between a pure state and a density matrix.
+     * @param {!Matrix} column
+     * @param {!Matrix} density
+     * @returns {!number}
+     */
+    static fidelityWithPureState(column, density) {
+        return column.adjoint().times(density).times(column).trace().real;
+    }
+
+    /**
+     * Returns the quantum relative entropy S(ρ‖σ) = Tr(ρ log₂ ρ) - Tr(ρ log₂ σ), in bits.
+     * This is how many extra bits of surprise are expected when predicting ρ's measurement results as if they came
+     * from σ. It's infinite when ρ has support outside of σ's support.
+     * @param {!Matrix} density1 ρ
+     * @param {!Matrix} density2 σ
+     * @param {!number=} epsilon Eigenvalues smaller than this are treated as zero.
+     * @returns {!number}
+     */
+    static relativeEntropy(density1, density2, epsilon = 0.0000000001) {
+        let eig1 = density1.hermitianEigenDecomposition().filter(e => e.val > epsilon);
+        let eig2 = density2.hermitianEigenDecomposition();
+        let total = 0;
+        for (let {val: p, vec: u} of eig1) {
+            total -= entropyTerm(p);
+            for (let {val: q, vec: v} of eig2) {
+                let overlap = u.adjoint().times(v).trace().norm2();
+                if (overlap * p <= epsilon) {
+                    continue;
+                }
+                if (q <= epsilon) {
+                    return Infinity;
+                }
+                total -= p * overlap * Math.log2(q);
+            }
+        }
+        return Math.max(total, 0);
+    }
+}
@@ -0,0 +1,112 @@
+import Matrix from "src/math/Matrix.js"
+import Util from "src/base/Util.js"
+
+/**
+ * A single-qubit noise process, described by the Kraus operators K_k that map ρ to Σ K_k ρ K_k†.
+ */
+class NoiseChannel {
+    /**
+     * @param {!string} name
+     * @param {!Array.<!Matrix>} krausOperators 2x2 matrices satisfying Σ K_k† K_k = I.
+     */
+    constructor(name, krausOperators) {
+        Util.need(krausOperators.length > 0 &&
+            krausOperators.every(k => k instanceof Matrix && k.width() === 2 && k.height() === 2),
+            "NoiseChannel: 2x2 Kraus operators");
+        /**
+         * @type {!string}
+         */
+        this.name = name;
+        /**
+         * @type {!Array.<!Matrix>}
+         */
+        this.krausOperators = krausOperators;
+    }
+
+    /**
+     * Determines if the Kraus operators preserve trace, i.e. satisfy Σ K_k† K_k = I.
+     * @param {!number} epsilon
+     * @returns {!boolean}
+     */
+    isTracePreserving(epsilon) {
+        return this.krausOperators.
+            map(k => k.adjoint().times(k)).
+            reduce((a, e) => a.plus(e)).
+            isApproximatelyEqualTo(Matrix.identity(2), epsilon);
+    }
+
+    /**
+     * Returns the result of sending a single-qubit density matrix through the channel.
+     * @param {!Matrix} density
+     * @returns {!Matrix}
+     */
+    applyToDensity(density) {
+        return this.krausOperators.
+            map(k => k.times(density).times(k.adjoint())).
+            reduce((a, e) => a.plus(e));
+    }
+
+    /**
+     * With probability p, replaces the qubit with the maximally mixed state.
+     * @param {!number} p
+     * @returns {!NoiseChannel}
+     */
+    static depolarizing(p) {
+        Util.need(p >= 0 && p <= 1, "NoiseChannel.depolarizing: probability in [0, 1]");
+        let s = Math.sqrt(p/4);
+        return new NoiseChannel('depolarizing', [
+            Matrix.identity(2).times(Math.sqrt(1 - 3*p/4)),
+            Matrix.PAULI_X.times(s),
+            Matrix.PAULI_Y.times(s),
+            Matrix.PAULI_Z.times(s)
+        ]);
+    }
+
+    /**
+     * Decays the ON state towards the OFF state, e.g. due to energy leaking into the environment.
+     * @param {!number} gamma The probability of an ON qubit decaying.
+     * @returns {!NoiseChannel}
+     */
+    static amplitudeDamping(gamma) {
+        Util.need(gamma >= 0 && gamma <= 1, "NoiseChannel.amplitudeDamping: probability in [0, 1]");
+        return new NoiseChannel('amplitude damping', [
+            Matrix.square(1, 0, 0, Math.sqrt(1 - gamma)),
+            Matrix.square(0, Math.sqrt(gamma), 0, 0)
+        ]);
+    }
+
+    /**
+     * Shrinks the off-diagonal coherences of the qubit without changing its ON/OFF probabilities.
+     * @param {!number} lambda The probability of the environment learning whether the qubit is ON.
+     * @returns {!NoiseChannel}
+     */
+    static phaseDamping(lambda) {
+        Util.need(lambda >= 0 && lambda <= 1, "NoiseChannel.phaseDamping: probability in [0, 1]");
+        return new NoiseChannel('phase damping', [
+            Matrix.square(1, 0, 0, Math.sqrt(1 - lambda)),
+            Matrix.square(0, 0, 0, Math.sqrt(lambda))
+        ]);
+    }
+
+    /**
+     * With probability p, applies a NOT to the qubit.
+     * @param {!number} p
+     * @returns {!NoiseChannel}
+     */
+    static bitFlip(p) {
+        Util.need(p >= 0 && p <= 1, "NoiseChannel.bitFlip: probability in [0, 1]");
+        return new NoiseChannel('bit flip', [
+            Matrix.identity(2).times(Math.sqrt(1 - p)),
+            Matrix.PAULI_X.times(Math.sqrt(p))
+        ]);
+    }
+
+    /**
+     * @returns {!string}
+     */
+    toString() {
+        return `NoiseChannel(${this.name}: ${this.krausOperators.map(k => k.toString()).join(", ")})`;
+    }
+}
+
+export default NoiseChannel;
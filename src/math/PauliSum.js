@@ -0,0 +1,252 @@
+import Complex from "src/math/Complex.js"
+import DetailedError from "src/base/DetailedError.js"
+import Matrix from "src/math/Matrix.js"
+import Util from "src/base/Util.js"
+
+const TERM_PATTERN = /^([+-]?)(?:(\([^()]*\)|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?i?|i)\*?)?([IXYZ]+)/;
+
+/**
+ * @param {!int} v
+ * @returns {!int} The number of set bits in v.
+ */
+let popCount = v => {
+    let n = 0;
+    while (v !== 0) {
+        v &= v - 1;
+        n++;
+    }
+    return n;
+};
+
+/**
+ * A Pauli string's action on computational basis states: P|b⟩ = phase(b) |b ⊕ flipMask⟩.
+ * @param {!string} paulis
+ * @returns {!{flipMask: !int, phaseMask: !int, phaseOffset: !int}} The phase is i^(phaseOffset + 2·|b & phaseMask|).
+ */
+let pauliAction = paulis => {
+    let flipMask = 0;
+    let phaseMask = 0;
+    for (let q = 0; q < paulis.length; q++) {
+        if (paulis[q] === 'X' || paulis[q] === 'Y') {
+            flipMask |= 1 << q;
+        }
+        if (paulis[q] === 'Z' || paulis[q] === 'Y') {
+            phaseMask |= 1 << q;
+        }
+    }
+    // Y = iXZ
+    return {flipMask, phaseMask, phaseOffset: popCount(flipMask & phaseMask)};
+};
+
+const I_POWERS = [Complex.ONE, Complex.I, new Complex(-1, 0), new Complex(0, -1)];
+
+/**
+ * A weighted sum of Pauli strings, such as 0.5*XZI + 0.2*YYZ, stored as one coefficient per distinct string instead of
+ * as a 2ⁿ by 2ⁿ matrix.
+ *
+ * The first character of each Pauli string applies to qubit 0, the second to qubit 1, and so forth.
+ */
+class PauliSum {
+    /**
+     * @param {!int} numQubits
+     * @param {!Array.<!{coefficient: !Complex|!number, paulis: !string}>} terms Terms with the same Pauli string are
+     * combined.
+     */
+    constructor(numQubits, terms) {
+        Util.need(Number.isInteger(numQubits) && numQubits > 0, "PauliSum: numQubits must be a positive integer");
+        /**
+         * @type {!int}
+         * @private
+         */
+        this._numQubits = numQubits;
+        /**
+         * @type {!Map.<!string, !Complex>}
+         * @private
+         */
+        this._terms = new Map();
+        for (let {coefficient, paulis} of terms) {
+            if (paulis.length !== numQubits || !/^[IXYZ]*$/.test(paulis)) {
+                throw new DetailedError("Not a Pauli string over the right number of qubits.", {paulis, numQubits});
+            }
+            let c = Complex.from(coefficient);
+            this._terms.set(paulis, this._terms.has(paulis) ? this._terms.get(paulis).plus(c) : c);
+        }
+    }
+
+    /**
+     * Parses text like "0.5*XZI + 0.2*YYZ - ZZI". Coefficients can be omitted, imaginary ("2i*XY"), or complex if
+     * parenthesized ("(1+i)*XY").
+     * @param {!string} text
+     * @returns {!PauliSum}
+     * @throws
+     */
+    static parse(text) {
+        let rest = text.replace(/\s/g, "");
+        let terms = [];
+        while (rest.length > 0) {
+            let match = TERM_PATTERN.exec(rest);
+            if (match === null || (terms.length > 0 && match[1] === "")) {
+                throw new DetailedError("Not a Pauli sum.", {text, unparsed: rest});
+            }
+            let [term, sign, coefText, paulis] = match;
+            let coefficient = coefText === undefined ? Complex.ONE :
+                Complex.parse(coefText[0] === '(' ? coefText.substr(1, coefText.length - 2) : coefText);
+            terms.push({coefficient: sign === '-' ? coefficient.neg() : coefficient, paulis});
+            rest = rest.substr(term.length);
+        }
+        if (terms.length === 0) {
+            throw new DetailedError("Empty Pauli sum.", {text});
+        }
+        let numQubits = terms[0].paulis.length;
+        if (!terms.every(e => e.paulis.length === numQubits)) {
+            throw new DetailedError("Pauli strings must all have the same length.", {text});
+        }
+        return new PauliSum(numQubits, terms);
+    }
+
+    /**
+     * @param {!string} paulis
+     * @param {!Complex|!number=} coefficient
+     * @returns {!PauliSum}
+     */
+    static of(paulis, coefficient = 1) {
+        return new PauliSum(paulis.length, [{coefficient, paulis}]);
+    }
+
+    /**
+     * @returns {!int}
+     */
+    numQubits() {
+        return this._numQubits;
+    }
+
+    /**
+     * @returns {!Array.<!{coefficient: !Complex, paulis: !string}>}
+     */
+    terms() {
+        return Array.from(this._terms.entries()).map(([paulis, coefficient]) => ({coefficient, paulis}));
+    }
+
+    /**
+     * @param {!PauliSum} other
+     * @returns {!PauliSum}
+     */
+    plus(other) {
+        Util.need(other._numQubits === this._numQubits, "PauliSum.plus: same number of qubits");
+        return new PauliSum(this._numQubits, this.terms().concat(other.terms()));
+    }
+
+    /**
+     * @param {!Complex|!number} scalar
+     * @returns {!PauliSum}
+     */
+    times(scalar) {
+        return new PauliSum(
+            this._numQubits,
+            this.terms().map(({coefficient, paulis}) => ({coefficient: coefficient.times(scalar), paulis})));
+    }
+
+    /**
+     * Determines if the sum is a Hermitian operator, i.e. if all of its coefficients are real.
+     * @param {!number=} epsilon
+     * @returns {!boolean}
+     */
+    isHermitian(epsilon = 0) {
+        return this.terms().every(e => Math.abs(e.coefficient.imag) <= epsilon);
+    }
+
+    /**
+     * @returns {!Matrix} The 2ⁿ by 2ⁿ operator the sum represents.
+     */
+    toMatrix() {
+        let size = 1 << this._numQubits;
+        let buf = new Float64Array(size*size*2);
+        for (let {coefficient, paulis} of this.terms()) {
+            let {flipMask, phaseMask, phaseOffset} = pauliAction(paulis);
+            for (let b = 0; b < size; b++) {
+                let v = coefficient.times(I_POWERS[(phaseOffset + 2*popCount(b & phaseMask)) & 3]);
+                let k = ((b ^ flipMask)*size + b)*2;
+                buf[k] += v.real;
+                buf[k + 1] += v.imag;
+            }
+        }
+        return new Matrix(size, size, buf);
+    }
+
+    /**
+     * Returns ⟨ψ|P|ψ⟩ for a state vector, or Tr(ρP) for a density matrix, without building the operator's matrix.
+     * @param {!Matrix} state A column vector or a density matrix over the same number of qubits.
+     * @returns {!Complex}
+     */
+    expectation(state) {
+        let size = 1 << this._numQubits;
+        let isColumn = state.width() === 1;
+        Util.need(state.height() === size && (isColumn || state.width() === size),
+            "PauliSum.expectation: state must match the number of qubits");
+        let buf = state.rawBuffer();
+        let re = 0;
+        let im = 0;
+        for (let {coefficient, paulis} of this.terms()) {
+            let {flipMask, phaseMask, phaseOffset} = pauliAction(paulis);
+            let [tr, ti] = [0, 0];
+            for (let b = 0; b < size; b++) {
+                // ⟨ψ|P|ψ⟩ = Σ conj(ψ[b⊕f]) phase(b) ψ[b], and Tr(ρP) = Σ ρ[b][b⊕f] phase(b).
+                let xr, xi;
+                if (isColumn) {
+                    let [ar, ai] = [buf[(b ^ flipMask)*2], -buf[(b ^ flipMask)*2 + 1]];
+                    let [br, bi] = [buf[b*2], buf[b*2 + 1]];
+                    [xr, xi] = [ar*br - ai*bi, ar*bi + ai*br];
+                } else {
+                    let k = (b*size + (b ^ flipMask))*2;
+                    [xr, xi] = [buf[k], buf[k + 1]];
+                }
+                let sign = (popCount(b & phaseMask) & 1) === 0 ? 1 : -1;
+                tr += xr*sign;
+                ti += xi*sign;
+            }
+            let v = new Complex(tr, ti).times(I_POWERS[phaseOffset & 3]).times(coefficient);
+            re += v.real;
+            im += v.imag;
+        }
+        return new Complex(re, im);
+    }
+
+    /**
+     * Exponentiates a single Pauli string P (including its coefficient c) into the gate e^(-iθcP).
+     * Since P² = I, this is just I cos(θc) - iP sin(θc).
+     * @param {!number} theta
+     * @returns {!Matrix}
+     */
+    rotation(theta) {
+        let terms = this.terms();
+        if (terms.length !== 1 || !this.isHermitian()) {
+            throw new DetailedError("Only a single Pauli string with a real coefficient can be made into a rotation.",
+                {sum: this.toString()});
+        }
+        let angle = theta * terms[0].coefficient.real;
+        return Matrix.identity(1 << this._numQubits).times(Math.cos(angle)).plus(
+            PauliSum.of(terms[0].paulis).toMatrix().times(new Complex(0, -Math.sin(angle))));
+    }
+
+    /**
+     * @param {*} other
+     * @returns {!boolean}
+     */
+    isEqualTo(other) {
+        return other instanceof PauliSum &&
+            other._numQubits === this._numQubits &&
+            other._terms.size === this._terms.size &&
+            this.terms().every(e => other._terms.has(e.paulis) && other._terms.get(e.paulis).isEqualTo(e.coefficient));
+    }
+
+    /**
+     * @returns {!string}
+     */
+    toString() {
+        return this.terms().
+            map(({coefficient, paulis}) => `(${coefficient.toString()})*${paulis}`).
+            join(" + ");
+    }
+}
+
+export default PauliSum;
@@ -0,0 +1,116 @@
+import DetailedError from "src/base/DetailedError.js"
+
+/**
+ * @typedef {!{predicted: !Array.<!number>, outcome: !int}} Prediction
+ * The probability Eve assigned to each possible outcome of a measurement, and the outcome that actually happened.
+ */
+
+/**
+ * @typedef {!{
+ *     low: !number,
+ *     high: !number,
+ *     count: !int,
+ *     meanPredicted: !number,
+ *     observedFrequency: !number
+ * }} CalibrationBin
+ * The forecasts whose predicted probability fell in [low, high), with how often the forecast outcome actually happened.
+ * Empty bins have a NaN mean prediction and observed frequency.
+ */
+
+/**
+ * The smallest probability the log loss gives an outcome that happened.
+ * @type {!number}
+ */
+const LOG_LOSS_EPSILON = 0.000000001;
+
+/**
+ * @param {!Array.<!Prediction>} predictions
+ */
+let needPredictions = predictions => {
+    if (!Array.isArray(predictions) || !predictions.every(e =>
+            Array.isArray(e.predicted) &&
+            Number.isInteger(e.outcome) &&
+            e.outcome >= 0 &&
+            e.outcome < e.predicted.length)) {
+        throw new DetailedError("Need predictions with an outcome index into the predicted probabilities.",
+            {predictions});
+    }
+};
+
+/**
+ * @param {!Array.<!number>} values
+ * @returns {!number} The mean of the values, or 0 when there aren't any.
+ */
+let meanOrZero = values => values.length === 0 ? 0 : values.reduce((a, e) => a + e, 0) / values.length;
+
+/**
+ * Scores how well Eve's predicted measurement outcome probabilities matched the outcomes that actually happened.
+ *
+ * Each score is an average over the predictions, and is 0 when there are no predictions yet.
+ */
+export default class PredictionScores {
+    /**
+     * The average surprise, in bits, of the outcomes that happened. Probabilities are clamped to at least
+     * PredictionScores.LOG_LOSS_EPSILON, so an outcome Eve said was impossible (e.g. because she ignored noise) costs
+     * about 30 bits instead of making the score infinite from then on.
+     * @param {!Array.<!Prediction>} predictions
+     * @returns {!number}
+     */
+    static logLoss(predictions) {
+        needPredictions(predictions);
+        return meanOrZero(predictions.map(e => -Math.log2(Math.max(e.predicted[e.outcome], LOG_LOSS_EPSILON))));
+    }
+
+    /**
+     * The average squared distance between the predicted probabilities and the one-hot vector of the outcome that
+     * happened. Ranges from 0 (certain and right) to 2 (certain and wrong).
+     * @param {!Array.<!Prediction>} predictions
+     * @returns {!number}
+     */
+    static brierScore(predictions) {
+        needPredictions(predictions);
+        return meanOrZero(predictions.map(e => e.predicted.
+            map((p, k) => p - (k === e.outcome ? 1 : 0)).
+            reduce((a, d) => a + d*d, 0)));
+    }
+
+    /**
+     * Groups every predicted outcome probability (of every prediction) into equal-width bins, and compares each bin's
+     * average predicted probability against how often those outcomes actually happened. Well calibrated predictions
+     * have matching values in every bin.
+     * @param {!Array.<!Prediction>} predictions
+     * @param {!int=} numBins
+     * @returns {!Array.<!CalibrationBin>}
+     */
+    static calibration(predictions, numBins = 10) {
+        needPredictions(predictions);
+        if (!Number.isInteger(numBins) || numBins < 1) {
+            throw new DetailedError("Need a positive number of bins.", {numBins});
+        }
+        let bins = [];
+        for (let i = 0; i < numBins; i++) {
+            bins.push({low: i / numBins, high: (i + 1) / numBins, count: 0, predictedTotal: 0, hitCount: 0});
+        }
+        for (let {predicted, outcome} of predictions) {
+            for (let k = 0; k < predicted.length; k++) {
+                let p = Math.min(Math.max(predicted[k], 0), 1);
+                let bin = bins[Math.min(Math.floor(p * numBins), numBins - 1)];
+                bin.count += 1;
+                bin.predictedTotal += p;
+                bin.hitCount += k === outcome ? 1 : 0;
+            }
+        }
+        return bins.map(e => ({
+            low: e.low,
+            high: e.high,
+            count: e.count,
+            meanPredicted: e.count === 0 ? NaN : e.predictedTotal / e.count,
+            observedFrequency: e.count === 0 ? NaN : e.hitCount / e.count
+        }));
+    }
+}
+
+/**
+ * @type {!number}
+ */
+PredictionScores.LOG_LOSS_EPSILON = LOG_LOSS_EPSILON;
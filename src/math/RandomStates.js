@@ -0,0 +1,64 @@
+import Matrix from "src/math/Matrix.js"
+
+/**
+ * Samples quantum states and operations from standard distributions, using a seedable source of randomness.
+ */
+export default class RandomStates {
+    /**
+     * @param {!int} size
+     * @param {!Random} rng
+     * @returns {!Matrix} A square matrix with independent standard complex normal entries.
+     */
+    static ginibreMatrix(size, rng) {
+        let buf = new Float64Array(size*size*2);
+        for (let i = 0; i < buf.length; i++) {
+            buf[i] = rng.nextGaussian() * Math.sqrt(0.5);
+        }
+        return new Matrix(size, size, buf);
+    }
+
+    /**
+     * @param {!int} numQubits
+     * @param {!Random} rng
+     * @returns {!Matrix} A column vector sampled uniformly from the unit sphere of pure states (the Haar measure).
+     */
+    static haarState(numQubits, rng) {
+        let buf = new Float64Array(2 << numQubits);
+        for (let i = 0; i < buf.length; i++) {
+            buf[i] = rng.nextGaussian();
+        }
+        let col = new Matrix(1, 1 << numQubits, buf);
+        return col.times(1 / Math.sqrt(col.norm2()));
+    }
+
+    /**
+     * @param {!int} size
+     * @param {!Random} rng
+     * @returns {!Matrix} A unitary matrix sampled from the Haar measure.
+     */
+    static haarUnitary(size, rng) {
+        // The Q of a Ginibre matrix's QR decomposition is Haar-distributed once R's diagonal phases are pushed into it.
+        let {Q, R} = RandomStates.ginibreMatrix(size, rng).qrDecomposition();
+        let phases = Matrix.generate(size, size, (r, c) => r === c ? R.cell(c, r).unit() : 0);
+        return Q.times(phases);
+    }
+
+    /**
+     * Returns a random mixed state from one of the standard ensembles of density matrices.
+     * @param {!int} numQubits
+     * @param {!string} ensemble Either 'hilbert-schmidt' or 'bures'.
+     * @param {!Random} rng
+     * @returns {!Matrix}
+     */
+    static mixedState(numQubits, ensemble, rng) {
+        let d = 1 << numQubits;
+        let g = RandomStates.ginibreMatrix(d, rng);
+        if (ensemble === 'bures') {
+            g = Matrix.identity(d).plus(RandomStates.haarUnitary(d, rng)).times(g);
+        } else if (ensemble !== 'hilbert-schmidt') {
+            throw new Error("Unrecognized mixed state ensemble: " + ensemble);
+        }
+        let rho = g.times(g.adjoint());
+        return rho.times(1 / rho.trace().real);
+    }
+}
@@ -0,0 +1,67 @@
+import DetailedError from "src/base/DetailedError.js"
+
+/**
+ * @param {!Array.<!number>} values
+ */
+let needValues = values => {
+    if (!Array.isArray(values) || values.length === 0 || values.some(e => typeof e !== 'number' || isNaN(e))) {
+        throw new DetailedError("Need a non-empty array of numbers.", {values});
+    }
+};
+
+/**
+ * Summary statistics of samples, e.g. of a metric measured across many independent trials.
+ */
+export default class Statistics {
+    /**
+     * @param {!Array.<!number>} values
+     * @returns {!number}
+     */
+    static mean(values) {
+        needValues(values);
+        return values.reduce((a, e) => a + e, 0) / values.length;
+    }
+
+    /**
+     * Returns the value below which the given percentage of the samples fall, interpolating linearly between the
+     * closest ranks (so percentile 0 is the minimum and percentile 100 is the maximum).
+     * @param {!Array.<!number>} values
+     * @param {!number} percent Between 0 and 100.
+     * @returns {!number}
+     */
+    static percentile(values, percent) {
+        needValues(values);
+        if (!(percent >= 0 && percent <= 100)) {
+            throw new DetailedError("Percent must be between 0 and 100.", {percent});
+        }
+        let sorted = values.slice().sort((a, b) => a - b);
+        let rank = percent / 100 * (sorted.length - 1);
+        let lo = Math.floor(rank);
+        let hi = Math.ceil(rank);
+        if (lo === hi || sorted[lo] === sorted[hi]) {
+            return sorted[lo];
+        }
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+    }
+
+    /**
+     * @param {!Array.<!number>} values
+     * @returns {!number}
+     */
+    static median(values) {
+        return Statistics.percentile(values, 50);
+    }
+
+    /**
+     * @param {!Array.<!number>} values
+     * @returns {!number} The sample standard deviation, or 0 when there's only one sample.
+     */
+    static standardDeviation(values) {
+        let mean = Statistics.mean(values);
+        if (values.length === 1) {
+            return 0;
+        }
+        let squares = values.reduce((a, e) => a + (e - mean) * (e - mean), 0);
+        return Math.sqrt(squares / (values.length - 1));
+    }
+}
@@ -0,0 +1,186 @@
+import DebugControls from "src/ui/DebugControls.js"
+import MathPainter from "src/ui/MathPainter.js"
+import Metrics from "src/math/Metrics.js"
+import MetricsHistory from "src/ui/MetricsHistory.js"
+import Painter from "src/ui/Painter.js"
+import PredictionScores from "src/math/PredictionScores.js"
+import Rect from "src/math/Rect.js"
+import { Seq } from "src/base/Seq.js"
+
+const QUBIT_COLORS = ['#C00', '#06C', '#C80', '#909', '#0AA', '#666', '#6A0', '#C06'];
+const COMPARISON_COLORS = ['orange', 'teal', 'blue', 'magenta'];
+
+/**
+ * Draws a computer's actual and inferred states, and charts of how they've compared over time, onto a canvas.
+ */
+class ComputerView {
+    /**
+     * @param {!EveQuantumComputer} computer
+     * @param {!HTMLCanvasElement} canvas
+     * @param {!number=} cloneThreshold The clone fidelity at which Eve is considered able to clone the hidden state.
+     */
+    constructor(computer, canvas, cloneThreshold = 0.99) {
+        /**
+         * @type {!EveQuantumComputer}
+         */
+        this.computer = computer;
+        /**
+         * @type {!HTMLCanvasElement}
+         */
+        this.canvas = canvas;
+        /**
+         * Metrics sampled each time the state is drawn, for charting.
+         * @type {!MetricsHistory}
+         */
+        this.history = new MetricsHistory(500, cloneThreshold);
+        /**
+         * @type {!number}
+         */
+        this.cloneThreshold = cloneThreshold;
+    }
+
+    /**
+     * @returns {undefined|!{operationCount: !int, cloneFidelity: !number}} When Eve's clone attempt first reached the
+     * clone threshold, if it has (even if that sample has since scrolled off the charts).
+     */
+    firstCloneableSample() {
+        return this.history.firstCloneable;
+    }
+
+    draw() {
+        this.history.record(this.computer);
+        this._paint();
+    }
+
+    /**
+     * Repeatedly advances and redraws the computer, with controls for pausing, stepping forwards and backwards,
+     * changing the speed, and running several steps at once.
+     * @param {!function()} func Advances the computer by one step.
+     * @param {!number=} period Milliseconds between steps while playing.
+     * @returns {!DebugControls}
+     */
+    drawLoop(func, period=100) {
+        let controls = new DebugControls(this.computer, func, () => this.draw(), period);
+        controls.attachTo(this.canvas.ownerDocument.body);
+        this.draw();
+        controls.play();
+        return controls;
+    }
+
+    /**
+     * @private
+     */
+    _paint() {
+        let computer = this.computer;
+        let snapshot = computer.snapshot();
+        let numQubits = snapshot.numQubits;
+        let comparisons = snapshot.comparisons;
+        let chartsBottom = comparisons.length > 0 ? 1330 : 1140;
+        let canvas = this.canvas;
+        canvas.height = chartsBottom + 50;
+        canvas.width = 1000;
+        let painter = new Painter(canvas);
+
+        painter.fillRect(new Rect(0, 0, 150, 150), 'white');
+        painter.print('actual', 50, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
+        painter.print('inferred', 125, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
+        painter.print('distance', 200, 5, 'center', 'top', 'black', '12px Helvetica', 75, 50);
+        painter.print('actual (full state)', 275+250/2, 5, 'center', 'top', 'black', '12px Helvetica', 200, 50);
+        painter.print('inferred (full state)', 550+250/2, 5, 'center', 'top', 'black', '12px Helvetica', 200, 50);
+
+        let marginals = snapshot.qubitMarginals;
+        let qubitDistances = computer.qubitTraceDistances();
+        for (let k = 0; k < numQubits; k++) {
+            MathPainter.paintBlochSphere(painter, marginals[k].actual, new Rect(25, k*60 + 25, 50, 50));
+            MathPainter.paintBlochSphere(painter, marginals[k].inferred, new Rect(100, k*60 + 25, 50, 50));
+            let traceDistanceQubit = qubitDistances[k].toFixed(4);
+            painter.print(traceDistanceQubit, 180, k*60+50, 'left', 'alphabetic', 'black', '12px Helvetica', 50, 50);
+        }
+        let inferredDensity = snapshot.inferredDensity;
+        MathPainter.paintDensityMatrix(painter, snapshot.actualDensity, new Rect(275, 25, 250, 250));
+        MathPainter.paintDensityMatrix(painter, inferredDensity, new Rect(550, 25, 250, 250));
+        let probables = Metrics.eigenvalues(inferredDensity).map(e => Math.max(e, 0));
+        let dw = 250/probables.length;
+        let dh = Math.ceil(250/16);
+        painter.strokeRect(new Rect(550-0.5, 280-0.5, 250+1, dh), 'black');
+        for (let k = 0; k < probables.length; k++) {
+            let h = dh*probables[k];
+            painter.fillRect(new Rect(550+dw*k, 280+dh-h-0.5, dw, h), 'green');
+        }
+        let metrics = computer.metrics();
+        let entropyText = "Remaining Entropy: " + metrics.inferredEntropy.toFixed(2) + " bits";
+        let distanceText = "Trace Distance: " + (metrics.traceDistance*100).toFixed(1) + "%";
+        let fidelityText = "Fidelity: " + (metrics.fidelity*100).toFixed(1) + "%";
+        let relativeEntropyText = "Relative Entropy: " + metrics.relativeEntropy.toFixed(2) + " bits";
+        let hilbertSchmidtText = "Hilbert-Schmidt Distance: " + metrics.hilbertSchmidtDistance.toFixed(3);
+        let purityText = "Purity: " + metrics.inferredPurity.toFixed(3);
+        let stepText = "Operations Applied: " + snapshot.operationCount;
+        let scoreText = "Accumulated Misprediction: " + snapshot.accumulatedMisprediction.toFixed(2);
+        let predictions = computer.predictionLog();
+        let logLossText = "Log Loss: " + PredictionScores.logLoss(predictions).toFixed(3) + " bits/measurement";
+        let brierText = "Brier Score: " + PredictionScores.brierScore(predictions).toFixed(3);
+        let cloneText = "Clone Fidelity: " + (computer.attemptClone().fidelity*100).toFixed(1) + "%";
+        painter.print(entropyText, 550+250/2, 282, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(distanceText, 550+250/2, 300, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(fidelityText, 550+250/2, 318, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(relativeEntropyText, 550+250/2, 336, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(hilbertSchmidtText, 550+250/2, 354, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(purityText, 550+250/2, 372, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(stepText, 275+250/2, 282, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(scoreText, 275+250/2, 300, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(logLossText, 275+250/2, 318, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(brierText, 275+250/2, 336, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+        painter.print(cloneText, 275+250/2, 354, 'center', 'top', 'black', '12px Helvetica', 400, 50);
+
+        // Well calibrated predictions have outcomes happening as often as predicted, tracing the diagonal.
+        let calibration = PredictionScores.calibration(predictions);
+        MathPainter.paintLineChart(painter, new Rect(845, 25, 140, 140), "Calibration",
+            calibration.map(e => (e.low + e.high) / 2), [
+                {values: calibration.map(e => e.meanPredicted), color: 'gray'},
+                {values: calibration.map(e => e.observedFrequency), color: 'blue', thickness: 2}
+            ], 1);
+        painter.print("predicted vs observed", 845+140/2, 188, 'center', 'top', 'black', '12px Helvetica', 140, 20);
+
+        let history = this.history;
+        let ops = history.series(e => e.operationCount);
+        let cloneable = this.firstCloneableSample();
+        let markers = cloneable === undefined ? [] : [{
+            x: cloneable.operationCount,
+            label: "clone attempt (" + (cloneable.cloneFidelity*100).toFixed(1) + "%)",
+            color: 'purple'
+        }];
+        MathPainter.paintLineChart(painter, new Rect(75, 410, 725, 160), "Trace Distance (total, and per qubit)", ops, [
+            ...Seq.range(numQubits).map(k => ({
+                values: history.series(e => e.qubitTraceDistances[k]),
+                color: QUBIT_COLORS[k % QUBIT_COLORS.length]
+            })),
+            {values: history.series(e => e.traceDistance), color: 'black', thickness: 2}
+        ], 1, undefined, markers);
+        MathPainter.paintLineChart(painter, new Rect(75, 600, 725, 160), "Remaining Entropy (bits)", ops, [
+            {values: history.series(e => e.remainingEntropy), color: 'green', thickness: 2}
+        ], numQubits, undefined, markers);
+        MathPainter.paintLineChart(painter, new Rect(75, 790, 725, 160), "Accumulated Misprediction", ops, [
+            {values: history.series(e => e.misprediction), color: 'red', thickness: 2}
+        ], undefined, undefined, markers);
+        MathPainter.paintLineChart(painter, new Rect(75, 980, 725, 160), "Clone Fidelity (and threshold)", ops, [
+            {values: ops.map(() => this.cloneThreshold), color: 'gray'},
+            {values: history.series(e => e.cloneFidelity), color: 'purple', thickness: 2}
+        ], 1, undefined, markers);
+        if (comparisons.length > 0) {
+            let colorOf = k => COMPARISON_COLORS[k % COMPARISON_COLORS.length];
+            let legend = ["Eve (black)", ...comparisons.map((e, k) => `${e.name} (${colorOf(k)})`)].join(", ");
+            MathPainter.paintLineChart(painter, new Rect(75, 1170, 725, 160), "Trace Distance by Strategy: " + legend,
+                ops, [
+                    ...comparisons.map((_, k) => ({
+                        values: history.series(e => e.comparisonTraceDistances[k]),
+                        color: colorOf(k)
+                    })),
+                    {values: history.series(e => e.traceDistance), color: 'black', thickness: 2}
+                ], 1, undefined, markers);
+        }
+        painter.print("Operations Applied", 75+725/2, chartsBottom + 15, 'center', 'top', 'black', '12px Helvetica',
+            400, 20);
+    }
+}
+
+export default ComputerView;
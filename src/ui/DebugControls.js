@@ -0,0 +1,243 @@
+import Revision from "src/base/Revision.js"
+
+/**
+ * Plays, pauses and steps a computer through a repeated advance function, like a debugger.
+ *
+ * After each step the computer's state is checkpointed, so stepping back restores an earlier hidden state and
+ * inferred density. Stepping forward after stepping back replays the remembered checkpoints before doing anything
+ * new, so the same outcomes come up again.
+ */
+class DebugControls {
+    /**
+     * @param {!EveQuantumComputer} computer
+     * @param {!function()} advanceFunc Advances the computer by one step.
+     * @param {!function()=} onChange Called after the computer's state changes, e.g. to redraw it.
+     * @param {!number=} period Milliseconds between steps while playing.
+     * @param {!int=} maxHistory The number of checkpoints to keep for stepping back.
+     */
+    constructor(computer, advanceFunc, onChange = () => {}, period = 100, maxHistory = 1000) {
+        /**
+         * @type {!EveQuantumComputer}
+         */
+        this.computer = computer;
+        /**
+         * @type {!function()}
+         * @private
+         */
+        this._advanceFunc = advanceFunc;
+        /**
+         * @type {!function()}
+         * @private
+         */
+        this._onChange = onChange;
+        /**
+         * @type {!number}
+         * @private
+         */
+        this._period = period;
+        /**
+         * @type {!int}
+         * @private
+         */
+        this._maxHistory = maxHistory;
+        /**
+         * @type {!Revision}
+         * @private
+         */
+        this._history = new Revision(computer.checkpoint());
+        /**
+         * The number of checkpoints dropped from the start of the history.
+         * @type {!int}
+         * @private
+         */
+        this._forgottenCount = 0;
+        /**
+         * @type {undefined|*}
+         * @private
+         */
+        this._timer = undefined;
+        /**
+         * Elements to refresh when the state changes, once attachTo has been called.
+         * @type {undefined|!{playButton: !HTMLElement, status: !HTMLElement}}
+         * @private
+         */
+        this._elements = undefined;
+    }
+
+    /**
+     * @returns {!int} The number of steps between the start and the current state.
+     */
+    stepIndex() {
+        return this._forgottenCount + this._history.index;
+    }
+
+    /**
+     * @returns {!boolean}
+     */
+    isPlaying() {
+        return this._timer !== undefined;
+    }
+
+    /**
+     * @returns {!number} Milliseconds between steps while playing.
+     */
+    period() {
+        return this._period;
+    }
+
+    /**
+     * @returns {!boolean} Whether there's an earlier checkpoint to go back to.
+     */
+    canStepBack() {
+        return this._history.index > 0;
+    }
+
+    play() {
+        if (!this.isPlaying()) {
+            this._timer = setInterval(() => this.stepForward(), this._period);
+            this._changed();
+        }
+    }
+
+    pause() {
+        if (this.isPlaying()) {
+            clearInterval(this._timer);
+            this._timer = undefined;
+            this._changed();
+        }
+    }
+
+    togglePlaying() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {!number} period Milliseconds between steps while playing.
+     */
+    setPeriod(period) {
+        if (!(period > 0)) {
+            throw new Error("Period must be positive.");
+        }
+        this._period = period;
+        if (this.isPlaying()) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    /**
+     * Moves to the next checkpoint, or advances the computer if there isn't one.
+     */
+    stepForward() {
+        this._stepForwardWithoutNotifying();
+        this._changed();
+    }
+
+    /**
+     * Rewinds the computer to the previous checkpoint.
+     * @returns {!boolean} False if there was nothing to go back to.
+     */
+    stepBack() {
+        if (!this.canStepBack()) {
+            return false;
+        }
+        this.computer.restore(this._history.undo());
+        this._changed();
+        return true;
+    }
+
+    /**
+     * @param {!int} count
+     */
+    runSteps(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error("Step count must be a non-negative integer.");
+        }
+        for (let i = 0; i < count; i++) {
+            this._stepForwardWithoutNotifying();
+        }
+        this._changed();
+    }
+
+    /**
+     * @private
+     */
+    _stepForwardWithoutNotifying() {
+        if (this._history.index + 1 < this._history.history.length) {
+            this.computer.restore(this._history.redo());
+            return;
+        }
+        this._advanceFunc();
+        this._history.commit(this.computer.checkpoint());
+        this._forgottenCount += this._history.forgetOldest(this._maxHistory);
+    }
+
+    /**
+     * @private
+     */
+    _changed() {
+        this._onChange();
+        this._refreshElements();
+    }
+
+    /**
+     * @private
+     */
+    _refreshElements() {
+        if (this._elements !== undefined) {
+            this._elements.playButton.textContent = this.isPlaying() ? "Pause" : "Play";
+            this._elements.status.textContent = `Step ${this.stepIndex()}`;
+        }
+    }
+
+    /**
+     * Adds buttons for the controls to a page.
+     * @param {!HTMLElement} parent
+     */
+    attachTo(parent) {
+        let doc = parent.ownerDocument;
+        let bar = doc.createElement('div');
+        let add = (tag, props, onUse) => {
+            let element = doc.createElement(tag);
+            Object.assign(element, props);
+            if (onUse !== undefined) {
+                element.addEventListener(tag === 'input' ? 'change' : 'click', () => onUse(element));
+            }
+            bar.appendChild(element);
+            return element;
+        };
+
+        let playButton = add('button', {}, () => this.togglePlaying());
+        add('button', {textContent: "Step back"}, () => {
+            this.pause();
+            this.stepBack();
+        });
+        add('button', {textContent: "Step forward"}, () => {
+            this.pause();
+            this.stepForward();
+        });
+        let countInput = add('input', {type: 'number', min: 1, value: 10, title: "Steps to run"});
+        add('button', {textContent: "Run steps"}, () => {
+            this.pause();
+            this.runSteps(Math.max(0, Math.floor(Number(countInput.value)) || 0));
+        });
+        add('label', {textContent: " Period (ms) "});
+        add('input', {type: 'number', min: 1, value: this._period, title: "Milliseconds between steps"}, input => {
+            let period = Number(input.value);
+            if (period > 0) {
+                this.setPeriod(period);
+            }
+        });
+        let status = add('span', {});
+
+        parent.insertBefore(bar, parent.firstChild);
+        this._elements = {playButton, status};
+        this._refreshElements();
+    }
+}
+
+export default DebugControls;
@@ -253,4 +253,71 @@ export default class MathPainter {
                 drawArea.h);
         }
     }
+
+    /**
+     * Draws curves over a shared x axis, scaled so the x values span the area's width and [0, yMax] spans its height.
+     * @param {!Painter} painter
+     * @param {!Rect} drawArea
+     * @param {!string} title
+     * @param {!Array.<!number>} xs The x coordinate of each point, in increasing order.
+     * @param {!Array.<!{values: !Array.<!number>, color: !string, thickness: (undefined|!number)}>} curves Each
+     * curve has one value per x coordinate.
+     * @param {!number=} yMax Defaults to the largest value, so that the curves fill the area.
+     * @param {!string=} backgroundColor
+     * @param {!Array.<!{x: !number, label: !string, color: !string}>=} markers Events to flag with a labelled vertical
+     * line. Markers outside the range of x coordinates aren't drawn.
+     */
+    static paintLineChart(painter,
+                          drawArea,
+                          title,
+                          xs,
+                          curves,
+                          yMax = undefined,
+                          backgroundColor = '#EFE',
+                          markers = []) {
+        let finiteValues = [].concat(...curves.map(e => e.values)).filter(isFinite);
+        let top = yMax !== undefined ? yMax : Math.max(...finiteValues, 0);
+        if (!(top > 0)) {
+            top = 1;
+        }
+        let x0 = xs.length > 0 ? xs[0] : 0;
+        let xSpan = xs.length > 1 ? xs[xs.length - 1] - x0 : 1;
+        let toX = x => drawArea.x + drawArea.w * (x - x0) / (xSpan || 1);
+        let toY = v => drawArea.y + drawArea.h * (1 - Math.min(Math.max(v / top, 0), 1));
+
+        painter.fillRect(drawArea, backgroundColor);
+        painter.trace(trace => trace.grid(drawArea.x, drawArea.y, drawArea.w, drawArea.h, 10, 4)).
+            thenStroke('lightgray');
+        for (let curve of curves) {
+            painter.trace(trace => {
+                for (let i = 1; i < xs.length; i++) {
+                    let [a, b] = [curve.values[i-1], curve.values[i]];
+                    if (isFinite(a) && isFinite(b)) {
+                        trace.line(toX(xs[i-1]), toY(a), toX(xs[i]), toY(b));
+                    }
+                }
+            }).thenStroke(curve.color, curve.thickness || 1);
+        }
+        let font = '12px Helvetica';
+        for (let marker of markers) {
+            if (xs.length === 0 || marker.x < x0 || marker.x > x0 + xSpan) {
+                continue;
+            }
+            let x = toX(marker.x);
+            painter.strokeLine(new Point(x, drawArea.y), new Point(x, drawArea.y + drawArea.h), marker.color, 2);
+            painter.print(marker.label, x + 3, drawArea.y + drawArea.h - 2, 'left', 'bottom', marker.color, font,
+                drawArea.x + drawArea.w - x - 3, 20);
+        }
+        painter.strokeRect(drawArea, 'black');
+
+        painter.print(title, drawArea.x + 4, drawArea.y + 2, 'left', 'top', 'black', font, drawArea.w, 20);
+        painter.print(Format.SIMPLIFIED.formatFloat(top), drawArea.x - 4, drawArea.y, 'right', 'top', 'black', font,
+            40, 20);
+        painter.print('0', drawArea.x - 4, drawArea.y + drawArea.h, 'right', 'bottom', 'black', font, 40, 20);
+        if (xs.length > 0) {
+            let y = drawArea.y + drawArea.h + 2;
+            painter.print(String(x0), drawArea.x, y, 'left', 'top', 'black', font, 80, 20);
+            painter.print(String(xs[xs.length - 1]), drawArea.x + drawArea.w, y, 'right', 'top', 'black', font, 80, 20);
+        }
+    }
 }
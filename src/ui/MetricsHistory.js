@@ -0,0 +1,89 @@
+/**
+ * @typedef {!{
+ *     operationCount: !int,
+ *     traceDistance: !number,
+ *     remainingEntropy: !number,
+ *     misprediction: !number,
+ *     cloneFidelity: !number,
+ *     qubitTraceDistances: !Array.<!number>,
+ *     comparisonTraceDistances: !Array.<!number>
+ * }} MetricsSample
+ * The comparison trace distances are for the computer's comparison strategies, in order.
+ */
+
+/**
+ * A scrolling record of how close Eve's inferred state is to the hidden state, sampled over time for charting.
+ */
+class MetricsHistory {
+    /**
+     * @param {!int=} capacity The number of samples to keep. Older samples scroll off.
+     * @param {!number=} cloneThreshold The clone fidelity at which Eve is considered able to clone the hidden state.
+     */
+    constructor(capacity = 500, cloneThreshold = 0.99) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error("Capacity must be a positive integer.");
+        }
+        /**
+         * @type {!int}
+         */
+        this.capacity = capacity;
+        /**
+         * The recorded samples, in increasing order of operation count.
+         * @type {!Array.<!MetricsSample>}
+         */
+        this.samples = [];
+        /**
+         * @type {!number}
+         */
+        this.cloneThreshold = cloneThreshold;
+        /**
+         * When Eve's clone attempt first reached the clone threshold, if it has. Kept after the sample scrolls off.
+         * @type {undefined|!{operationCount: !int, cloneFidelity: !number}}
+         */
+        this.firstCloneable = undefined;
+    }
+
+    /**
+     * Samples the computer's current metrics.
+     *
+     * When the computer has been rewound (e.g. by stepping back), samples from its abandoned future are dropped, and so
+     * is a clone threshold crossing that happened in it.
+     * @param {!EveQuantumComputer} computer
+     */
+    record(computer) {
+        let operationCount = computer.operationCount();
+        while (this.samples.length > 0 && this.samples[this.samples.length - 1].operationCount >= operationCount) {
+            this.samples.pop();
+        }
+        if (this.firstCloneable !== undefined && this.firstCloneable.operationCount >= operationCount) {
+            this.firstCloneable = undefined;
+        }
+        let metrics = computer.metrics();
+        let cloneFidelity = computer.attemptClone().fidelity;
+        if (this.firstCloneable === undefined && cloneFidelity >= this.cloneThreshold) {
+            this.firstCloneable = {operationCount, cloneFidelity};
+        }
+        this.samples.push({
+            operationCount,
+            traceDistance: metrics.traceDistance,
+            remainingEntropy: metrics.inferredEntropy,
+            misprediction: computer.accumulatedMisprediction(),
+            cloneFidelity,
+            qubitTraceDistances: computer.qubitTraceDistances(),
+            comparisonTraceDistances: computer.comparisonMetrics().map(e => e.traceDistance)
+        });
+        if (this.samples.length > this.capacity) {
+            this.samples.splice(0, this.samples.length - this.capacity);
+        }
+    }
+
+    /**
+     * @param {!function(!MetricsSample) : !number} valueFunc
+     * @returns {!Array.<!number>} The value of each sample, oldest first.
+     */
+    series(valueFunc) {
+        return this.samples.map(valueFunc);
+    }
+}
+
+export default MetricsHistory;
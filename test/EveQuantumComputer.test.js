@@ -0,0 +1,649 @@
+import { Suite, assertThat, assertThrows } from "test/TestUtil.js"
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+
+import Complex from "src/math/Complex.js"
+import Matrix from "src/math/Matrix.js"
+import MaximumLikelihoodStrategy from "src/inference/MaximumLikelihoodStrategy.js"
+import NoiseChannel from "src/math/NoiseChannel.js"
+import PauliSum from "src/math/PauliSum.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+import Random from "src/base/Random.js"
+
+let suite = new Suite("EveQuantumComputer");
+
+let GATE = Matrix.fromAngleAxisPhaseRotation(0.3, [0.6, 0, 0.8], 0.2);
+
+// Outcome 0 is much more likely for |0⟩, but only post-selection keeps some doubt about what it means.
+let WEAK_Z = [
+    Matrix.square(Math.sqrt(0.9), 0, 0, Math.sqrt(0.1)),
+    Matrix.square(Math.sqrt(0.1), 0, 0, Math.sqrt(0.9))
+];
+
+suite.test("applyGate_matchesExpandedOperation", () => {
+    let state = Matrix.col(1, 2, new Complex(0, 3), -1, 0.5, 0, new Complex(2, -1), -3);
+    let viaGate = EveQuantumComputer.withInitialState(state);
+    let viaMatrix = EveQuantumComputer.withInitialState(state);
+
+    for (let [target, controls] of [[0, []], [2, [0]], [1, [0, 2]], [0, [1]]]) {
+        viaGate.applyGate(GATE, target, controls);
+        viaMatrix.applyOperation(viaMatrix.expandOperation(GATE, target, controls));
+        viaGate.applyGate(Matrix.HADAMARD, target);
+        viaMatrix.applyOperation(viaMatrix.expandOperation(Matrix.HADAMARD, target));
+    }
+
+    assertThat(viaGate.snapshot().hiddenState).isApproximatelyEqualTo(viaMatrix.snapshot().hiddenState);
+    assertThat(viaGate.snapshot().inferredDensity).isApproximatelyEqualTo(viaMatrix.snapshot().inferredDensity);
+    assertThat(viaGate.snapshot().operationCount).isEqualTo(viaMatrix.snapshot().operationCount);
+});
+
+suite.test("applyGate_updatesInferredDensityAfterMeasurement", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    assertThat(qpu.measureQubit(0)).isEqualTo(false);
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.applyGate(Matrix.PAULI_X, 1, [0]);
+
+    let bell = Matrix.col(1, 0, 0, 1).times(Math.sqrt(0.5));
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(bell);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.25, 0, 0, 0.25,
+        0, 0.25, 0.25, 0,
+        0, 0.25, 0.25, 0,
+        0.25, 0, 0, 0.25));
+});
+
+suite.test("applyGate_badArgs", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    assertThrows(() => qpu.applyGate(Matrix.square(1, 1, 0, 1), 0));
+    assertThrows(() => qpu.applyGate(Matrix.identity(4), 0));
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, 2));
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, -1));
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, 0, [0]));
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, 0, [5]));
+});
+
+suite.test("measureQubits", () => {
+    // |q2 q1 q0> = |101>
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 0, 0, 0, 1, 0, 0));
+    assertThat(qpu.measureQubits([0, 1, 2])).isEqualTo(5);
+    assertThat(qpu.measureQubits([2, 1, 0])).isEqualTo(5);
+    assertThat(qpu.measureQubits([1, 2])).isEqualTo(2);
+    assertThat(qpu.measureQubits([])).isEqualTo(0);
+    assertThat(qpu.snapshot().accumulatedMisprediction).isApproximatelyEqualTo(7/8);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(qpu.snapshot().hiddenState.times(
+        qpu.snapshot().hiddenState.adjoint()));
+
+    assertThrows(() => qpu.measureQubits([0, 0]));
+    assertThrows(() => qpu.measureQubits([3]));
+});
+
+suite.test("measureQubits_collapsesOnlyMeasuredQubits", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0, 0, 0, 0, 0));
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.applyGate(Matrix.PAULI_X, 1, [0]);
+    qpu.applyGate(Matrix.HADAMARD, 2);
+    let r = qpu.measureQubits([0]);
+    let expected = Matrix.col(1-r, 0, 0, r, 1-r, 0, 0, r).times(Math.sqrt(0.5));
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(expected);
+    assertThat(qpu.measureQubits([1, 0])).isEqualTo(r*3);
+});
+
+suite.test("measureQubitInBasis", () => {
+    let plus = Matrix.col(1, 1).times(Math.sqrt(0.5));
+    let minusI = Matrix.col(1, Complex.I.neg()).times(Math.sqrt(0.5));
+
+    let qpu = EveQuantumComputer.withInitialState(plus);
+    assertThat(qpu.measureQubitInBasis(0, 'X')).isEqualTo(false);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(plus);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(plus.times(plus.adjoint()));
+    assertThat(qpu.snapshot().accumulatedMisprediction).isApproximatelyEqualTo(0.5);
+
+    qpu = EveQuantumComputer.withInitialState(minusI);
+    assertThat(qpu.measureQubitInBasis(0, 'Y')).isEqualTo(true);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(minusI);
+
+    // Custom bases put the 'false' basis state in the first column.
+    qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 1));
+    assertThat(qpu.measureQubitInBasis(0, Matrix.PAULI_X)).isEqualTo(false);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(0, 1));
+
+    assertThrows(() => qpu.measureQubitInBasis(0, 'W'));
+    assertThrows(() => qpu.measureQubitInBasis(0, Matrix.square(1, 1, 0, 1)));
+    assertThrows(() => qpu.measureQubitInBasis(1, 'X'));
+});
+
+suite.test("measureProjective", () => {
+    let bell = Matrix.col(1, 0, 0, 1).times(Math.sqrt(0.5));
+    let bellProjector = bell.times(bell.adjoint());
+    let qpu = EveQuantumComputer.withInitialState(bell);
+    assertThat(qpu.measureProjective([Matrix.identity(4).minus(bellProjector), bellProjector])).isEqualTo(1);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(bell);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(bellProjector);
+    assertThat(qpu.snapshot().accumulatedMisprediction).isApproximatelyEqualTo(0.75);
+
+    assertThrows(() => qpu.measureProjective([bellProjector]));
+    assertThrows(() => qpu.measureProjective([Matrix.identity(2)]));
+    assertThrows(() => qpu.measureProjective([Matrix.identity(4).times(0.5), Matrix.identity(4).times(0.5)]));
+});
+
+suite.test("measureWithKraus_weak", () => {
+    let [c, s] = [Math.cos(0.4), Math.sin(0.4)];
+    let k0 = Matrix.square(c, 0, 0, s);
+    let k1 = Matrix.square(s, 0, 0, c);
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    let r = qpu.measureWithKraus([k0, k1]);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(1, 0));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(r === 0 ?
+        Matrix.square(c*c, 0, 0, s*s) :
+        Matrix.square(s*s, 0, 0, c*c));
+    assertThat(qpu.snapshot().accumulatedMisprediction).isApproximatelyEqualTo(c*c - 0.5);
+    assertThat(qpu.snapshot().operationCount).isEqualTo(1);
+});
+
+suite.test("measureWithKraus_sharpMatchesMeasureQubits", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 1, 0));
+    let p0 = Matrix.square(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+    let p1 = Matrix.identity(4).minus(p0);
+    assertThat(qpu.measureWithKraus([p0, p1])).isEqualTo(1);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(p1.times(0.5));
+});
+
+suite.test("measureWithKraus_badArgs", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    assertThrows(() => qpu.measureWithKraus([]));
+    assertThrows(() => qpu.measureWithKraus([Matrix.identity(4)]));
+    assertThrows(() => qpu.measureWithKraus([Matrix.identity(2), Matrix.PAULI_X]));
+    assertThrows(() => qpu.measureWithKraus([Matrix.identity(2).times(0.5)]));
+});
+
+suite.test("applyNoise_eveKnowsNoise", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 0, 1));
+    qpu.applyAmplitudeDamping(1, 1);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(0, 1, 0, 0));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.5, 0, 0, 0,
+        0, 0.5, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0));
+
+    qpu.applyBitFlip(0, 1);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(1, 0, 0, 0));
+
+    qpu.measureQubits([0, 1]);
+    qpu.applyDepolarizing(0, 1);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.5, 0, 0, 0,
+        0, 0.5, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0));
+
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.applyPhaseDamping(0, 1);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.5, 0, 0, 0,
+        0, 0.5, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0));
+    assertThat(qpu.snapshot().operationCount).isEqualTo(6);
+});
+
+suite.test("applyNoise_eveIgnoresNoise", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    qpu.setEveKnowsNoise(false);
+    assertThat(qpu.measureQubit(0)).isEqualTo(false);
+    qpu.applyBitFlip(0, 1);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+
+    // Eve is certain the qubit is OFF, so seeing it ON refutes her model and she starts over.
+    assertThat(qpu.measureQubit(0)).isEqualTo(true);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(qpu.snapshot().accumulatedMisprediction).isApproximatelyEqualTo(1.5);
+});
+
+suite.test("applyNoise_badArgs", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    assertThrows(() => qpu.applyNoise(NoiseChannel.bitFlip(0.5), 1));
+    assertThrows(() => qpu.applyNoise(Matrix.PAULI_X, 0));
+    assertThrows(() => qpu.applyNoise(new NoiseChannel('half', [Matrix.identity(2).times(0.5)]), 0));
+});
+
+suite.test("withInitialDensity", () => {
+    let qpu = EveQuantumComputer.withInitialDensity(Matrix.square(3, 0, 0, 1));
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.square(0.75, 0, 0, 0.25));
+
+    qpu.applyGate(Matrix.PAULI_X, 0);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.square(0.25, 0, 0, 0.75));
+    qpu.applyOperation(Matrix.HADAMARD);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.square(0.5, -0.25, -0.25, 0.5));
+
+    // Noise applies exactly to hidden densities.
+    qpu.applyPhaseDamping(0, 1);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    qpu.applyAmplitudeDamping(0, 0.5);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.square(0.75, 0, 0, 0.25));
+
+    let r = qpu.measureQubit(0);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(r ?
+        Matrix.square(0, 0, 0, 1) :
+        Matrix.square(1, 0, 0, 0));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(qpu.snapshot().hiddenState);
+
+    assertThat(qpu.measureWithKraus([Matrix.square(1, 0, 0, 0), Matrix.square(0, 0, 0, 1)])).isEqualTo(r ? 1 : 0);
+
+    assertThrows(() => EveQuantumComputer.withInitialDensity(Matrix.col(1, 0)));
+    assertThrows(() => EveQuantumComputer.withInitialDensity(Matrix.square(1, 1, 0, 1)));
+    assertThrows(() => EveQuantumComputer.withInitialDensity(Matrix.square(1, 0, 0, -1)));
+    // Hermitian with a valid diagonal, but with eigenvalues 1.5 and -0.5.
+    let notPositive = assertThrows(() => EveQuantumComputer.withInitialDensity(Matrix.square(0.5, 1, 1, 0.5)));
+    assertThat(notPositive.subject.message).isEqualTo("Initial density matrix must be positive semi-definite.");
+    assertThrows(() => EveQuantumComputer.withInitialState(Matrix.square(1, 0, 0, 0)));
+});
+
+suite.test("withRandomInitialDensity", () => {
+    for (let ensemble of ['hilbert-schmidt', 'bures']) {
+        let rho = EveQuantumComputer.withRandomInitialDensity(2, ensemble).snapshot().hiddenState;
+        assertThat(rho.width()).isEqualTo(4);
+        assertThat(rho.trace()).isApproximatelyEqualTo(1);
+        assertThat(rho.isApproximatelyHermitian(0.000001)).isEqualTo(true);
+        assertThat(rho.times(rho).trace().real).isLessThan(1);
+    }
+    assertThrows(() => EveQuantumComputer.withRandomInitialDensity(2, 'unknown'));
+});
+
+suite.test("seededRunsRepeat", () => {
+    let run = seed => {
+        let qpu = EveQuantumComputer.withRandomInitialState(3, new Random(seed));
+        let results = [];
+        for (let i = 0; i < 20; i++) {
+            qpu.applyGate(Matrix.HADAMARD, i % 3);
+            qpu.applyDepolarizing((i + 1) % 3, 0.2);
+            results.push(qpu.measureQubits([i % 3, (i + 2) % 3]));
+        }
+        return {results, state: qpu.snapshot().hiddenState, inferred: qpu.snapshot().inferredDensity};
+    };
+    let a = run(17);
+    let b = run(17);
+    assertThat(a.results).isEqualTo(b.results);
+    assertThat(a.state).isEqualTo(b.state);
+    assertThat(a.inferred).isEqualTo(b.inferred);
+    assertThat(run(18).state).isNotEqualTo(a.state);
+});
+
+suite.test("exportLog_replayLog", () => {
+    let qpu = EveQuantumComputer.withRandomInitialState(2, new Random(5));
+    let bell = Matrix.col(1, 0, 0, 1).times(Math.sqrt(0.5));
+    let bellProjector = bell.times(bell.adjoint());
+    let [c, s] = [Math.cos(0.3), Math.sin(0.3)];
+    for (let i = 0; i < 5; i++) {
+        qpu.applyGate(GATE, i % 2, i > 2 ? [1 - i % 2] : []);
+        qpu.measureQubits([0]);
+        qpu.applyOperation(qpu.expandOperation(Matrix.HADAMARD, 1));
+        qpu.applyDepolarizing(1, 0.3);
+        qpu.measureQubitInBasis(1, 'Y');
+        qpu.measureProjective([Matrix.identity(4).minus(bellProjector), bellProjector]);
+        qpu.measureWithKraus([
+            qpu.expandOperation(Matrix.square(c, 0, 0, s), 0),
+            qpu.expandOperation(Matrix.square(s, 0, 0, c), 0)]);
+        qpu.setEveKnowsNoise(i % 2 === 0);
+    }
+
+    let log = qpu.exportLog();
+    let replayed = EveQuantumComputer.replayLog(log);
+    assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+    assertThat(replayed.snapshot().inferredDensity).isEqualTo(qpu.snapshot().inferredDensity);
+    assertThat(replayed.snapshot().operationCount).isEqualTo(qpu.snapshot().operationCount);
+    assertThat(replayed.snapshot().accumulatedMisprediction).isEqualTo(qpu.snapshot().accumulatedMisprediction);
+    assertThat(replayed.exportLog()).isEqualTo(log);
+
+    let events = JSON.parse(log).events;
+    assertThat(events.length).isEqualTo(40);
+    assertThat(events[1].type).isEqualTo('measure');
+    assertThat(events[1].predicted).isApproximatelyEqualTo([0.5, 0.5]);
+    assertThat(events[1].actual[events[1].outcome]).isGreaterThan(0);
+});
+
+suite.test("replayLog_density", () => {
+    let qpu = EveQuantumComputer.withRandomInitialDensity(1, 'bures', new Random(3));
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.applyAmplitudeDamping(0, 0.25);
+    qpu.measureQubit(0);
+
+    let replayed = EveQuantumComputer.replayLog(qpu.exportLog());
+    assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+    assertThat(replayed.snapshot().inferredDensity).isEqualTo(qpu.snapshot().inferredDensity);
+    assertThat(JSON.parse(qpu.exportLog()).events[1].branch).isEqualTo(null);
+
+    assertThrows(() => replayed.replayEvent({type: 'unknown'}));
+});
+
+suite.test("replayLog_exactAcrossSeeds", () => {
+    for (let seed = 0; seed < 60; seed++) {
+        let empty = EveQuantumComputer.withRandomInitialState(3, new Random(seed));
+        assertThat(EveQuantumComputer.replayLog(empty.exportLog()).snapshot().hiddenState).
+            isEqualTo(empty.snapshot().hiddenState);
+
+        let pure = EveQuantumComputer.withRandomInitialState(3, new Random(seed));
+        let density = EveQuantumComputer.withRandomInitialDensity(2, 'bures', new Random(seed));
+        for (let qpu of [pure, density]) {
+            qpu.applyGate(GATE, 0, [1]);
+            qpu.measureQubit(1);
+            qpu.applyDepolarizing(0, 0.2);
+            qpu.measureQubitInBasis(0, 'X');
+            qpu.applyGate(Matrix.HADAMARD, 1);
+            qpu.measureQubits([0, 1]);
+
+            let replayed = EveQuantumComputer.replayLog(qpu.exportLog());
+            assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+            assertThat(replayed.snapshot().inferredDensity).isEqualTo(qpu.snapshot().inferredDensity);
+            assertThat(replayed.exportLog()).isEqualTo(qpu.exportLog());
+        }
+    }
+});
+
+suite.test("checkpoint_restore", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 1), new Random(4));
+    qpu.addComparisonStrategy('ml', new MaximumLikelihoodStrategy(2));
+    let start = qpu.checkpoint();
+    let log = qpu.exportLog();
+
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.measureQubit(0);
+    qpu.setEveKnowsNoise(false);
+    let later = qpu.checkpoint();
+    let laterSnapshot = qpu.snapshot();
+
+    qpu.restore(start);
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(Matrix.col(0, 1));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.identity(2).times(0.5));
+    assertThat(qpu.snapshot().operationCount).isEqualTo(0);
+    assertThat(qpu.snapshot().eveKnowsNoise).isEqualTo(true);
+    assertThat(qpu.exportLog()).isEqualTo(log);
+
+    // Checkpoints can be restored more than once, and in any order.
+    qpu.measureQubit(0);
+    qpu.restore(later);
+    assertThat(qpu.snapshot()).isEqualTo(laterSnapshot);
+    qpu.restore(start);
+    assertThat(qpu.snapshot().operationCount).isEqualTo(0);
+});
+
+suite.test("applyRandomOperation", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0), new Random(2));
+    qpu.measureQubits([0, 1]);
+    let branch = qpu.applyRandomOperation([
+        {probability: 0.25, gate: Matrix.PAULI_X, target: 0},
+        {probability: 0.75, operation: Matrix.identity(4)}
+    ]);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(branch === 0 ?
+        Matrix.col(0, 1, 0, 0) :
+        Matrix.col(1, 0, 0, 0));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.75, 0, 0, 0,
+        0, 0.25, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0));
+
+    qpu.applyRandomOperation([
+        {probability: 0.5, gate: Matrix.PAULI_X, target: 1, controls: [0]},
+        {probability: 0.5, operation: qpu.expandOperation(Matrix.PAULI_Z, 1)}
+    ]);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(
+        0.75, 0, 0, 0,
+        0, 0.125, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0.125));
+    assertThat(qpu.snapshot().operationCount).isEqualTo(3);
+
+    let replayed = EveQuantumComputer.replayLog(qpu.exportLog());
+    assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+    assertThat(replayed.snapshot().inferredDensity).isEqualTo(qpu.snapshot().inferredDensity);
+
+    assertThrows(() => qpu.applyRandomOperation([]));
+    assertThrows(() => qpu.applyRandomOperation([{probability: 0.5, operation: Matrix.identity(4)}]));
+    assertThrows(() => qpu.applyRandomOperation([{probability: 1, operation: Matrix.identity(2)}]));
+    assertThrows(() => qpu.applyRandomOperation([{probability: 1, gate: Matrix.PAULI_X, target: 2}]));
+    assertThrows(() => qpu.applyRandomOperation([{probability: 1, gate: Matrix.PAULI_X, target: 0, controls: [0]}]));
+});
+
+suite.test("metrics", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    let m = qpu.metrics();
+    assertThat(m.fidelity).isApproximatelyEqualTo(0.25);
+    assertThat(m.traceDistance).isApproximatelyEqualTo(0.75);
+    assertThat(m.hilbertSchmidtDistance).isApproximatelyEqualTo(Math.sqrt(0.75));
+    assertThat(m.relativeEntropy).isApproximatelyEqualTo(2);
+    assertThat(m.inferredPurity).isApproximatelyEqualTo(0.25);
+    assertThat(m.inferredEntropy).isApproximatelyEqualTo(2);
+
+    qpu.measureQubits([0, 1]);
+    m = qpu.metrics();
+    assertThat(m.fidelity).isApproximatelyEqualTo(1);
+    assertThat(m.traceDistance).isApproximatelyEqualTo(0);
+    assertThat(m.hilbertSchmidtDistance).isApproximatelyEqualTo(0);
+    assertThat(m.relativeEntropy).isApproximatelyEqualTo(0);
+    assertThat(m.inferredPurity).isApproximatelyEqualTo(1);
+    assertThat(m.inferredEntropy).isApproximatelyEqualTo(0);
+
+    let mixed = EveQuantumComputer.withInitialDensity(Matrix.square(0.5, 0, 0, 0.5));
+    m = mixed.metrics();
+    assertThat(m.fidelity).isApproximatelyEqualTo(1);
+    assertThat(m.relativeEntropy).isApproximatelyEqualTo(0);
+});
+
+suite.test("evolve", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    let xx = Matrix.PAULI_X.tensorProduct(Matrix.PAULI_X);
+    qpu.evolve(xx, Math.PI/4);
+    let s = Math.sqrt(0.5);
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(s, 0, 0, new Complex(0, -s)));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.identity(4).times(0.25));
+    assertThat(qpu.snapshot().operationCount).isEqualTo(1);
+
+    let sameAsRotation = EveQuantumComputer.withInitialState(Matrix.col(0.6, 0.8));
+    sameAsRotation.evolve(Matrix.PAULI_Y, 0.7);
+    let viaGate = EveQuantumComputer.withInitialState(Matrix.col(0.6, 0.8));
+    viaGate.applyGate(Matrix.fromAngleAxisPhaseRotation(1.4, [0, 1, 0]), 0);
+    assertThat(sameAsRotation.snapshot().hiddenState).isApproximatelyEqualTo(viaGate.snapshot().hiddenState);
+
+    let replayed = EveQuantumComputer.replayLog(qpu.exportLog());
+    assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+    assertThat(replayed.snapshot().inferredDensity).isEqualTo(qpu.snapshot().inferredDensity);
+
+    assertThrows(() => qpu.evolve(Matrix.PAULI_Y, 1));
+    assertThrows(() => qpu.evolve(Matrix.square(0, 1, 0, 0).tensorProduct(Matrix.identity(2)), 1));
+    assertThrows(() => qpu.evolve(xx, NaN));
+});
+
+suite.test("expectationValues", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    let zz = PauliSum.parse("ZI + 0.5*IZ");
+    assertThat(qpu.expectationValues(zz)).isApproximatelyEqualTo({actual: 1.5, inferred: 0});
+    qpu.measureQubits([0, 1]);
+    assertThat(qpu.expectationValues(zz)).isApproximatelyEqualTo({actual: 1.5, inferred: 1.5});
+
+    qpu.evolve(PauliSum.parse("XI"), Math.PI/2);
+    assertThat(qpu.expectationValues(zz)).isApproximatelyEqualTo({actual: -0.5, inferred: -0.5});
+
+    assertThrows(() => qpu.expectationValues(PauliSum.parse("Z")));
+    assertThrows(() => qpu.expectationValues(PauliSum.parse("i*ZZ")));
+    assertThrows(() => qpu.evolve(PauliSum.parse("i*ZZ"), 1));
+});
+
+suite.test("applyGate_antiControls", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0, 0, 0, 0, 0));
+    qpu.applyGate(Matrix.PAULI_X, 1, [], [0]);
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(Matrix.col(0, 0, 1, 0, 0, 0, 0, 0));
+    qpu.applyGate(Matrix.PAULI_X, 2, [1], [0]);
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(Matrix.col(0, 0, 0, 0, 0, 0, 1, 0));
+    qpu.applyGate(Matrix.PAULI_X, 0, [1], [2]);
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(Matrix.col(0, 0, 0, 0, 0, 0, 1, 0));
+
+    let viaMatrix = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0, 0, 0, 0, 0));
+    viaMatrix.applyOperation(viaMatrix.expandOperation(Matrix.PAULI_X, 1, [], [0]));
+    viaMatrix.applyOperation(viaMatrix.expandOperation(Matrix.PAULI_X, 2, [1], [0]));
+    viaMatrix.applyOperation(viaMatrix.expandOperation(Matrix.PAULI_X, 0, [1], [2]));
+    assertThat(viaMatrix.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+    assertThat(viaMatrix.snapshot().inferredDensity).isApproximatelyEqualTo(qpu.snapshot().inferredDensity);
+
+    let replayed = EveQuantumComputer.replayLog(qpu.exportLog());
+    assertThat(replayed.snapshot().hiddenState).isEqualTo(qpu.snapshot().hiddenState);
+
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, 0, [1], [1]));
+    assertThrows(() => qpu.applyGate(Matrix.PAULI_X, 0, [], [0]));
+});
+
+suite.test("qubitTraceDistances", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 1, 0));
+    assertThat(qpu.qubitTraceDistances()).isApproximatelyEqualTo([0.5, 0.5]);
+    qpu.measureQubit(1);
+    assertThat(qpu.qubitTraceDistances()).isApproximatelyEqualTo([0.5, 0]);
+});
+
+suite.test("qubitMarginalsAndCounters", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 1, 0));
+    let marginals = qpu.qubitMarginals();
+    assertThat(marginals.map(e => e.actual)).isApproximatelyEqualTo([
+        Matrix.square(1, 0, 0, 0),
+        Matrix.square(0, 0, 0, 1)
+    ]);
+    assertThat(marginals[0].inferred).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    assertThat(qpu.operationCount()).isEqualTo(0);
+    assertThat(qpu.accumulatedMisprediction()).isEqualTo(0);
+
+    qpu.measureQubit(1);
+    assertThat(qpu.operationCount()).isEqualTo(1);
+    assertThat(qpu.accumulatedMisprediction()).isApproximatelyEqualTo(0.5);
+});
+
+suite.test("snapshot", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 1));
+    let snapshot = qpu.snapshot();
+    assertThat(snapshot.numQubits).isEqualTo(1);
+    assertThat(snapshot.hiddenIsDensity).isEqualTo(false);
+    assertThat(snapshot.hiddenState).isEqualTo(Matrix.col(0, 1));
+    assertThat(snapshot.actualDensity).isEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(snapshot.inferredDensity).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    assertThat(snapshot.operationCount).isEqualTo(0);
+    assertThat(snapshot.qubitMarginals[0].actual).isEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(Object.isFrozen(snapshot)).isEqualTo(true);
+    assertThat(Object.isFrozen(snapshot.qubitMarginals)).isEqualTo(true);
+
+    // Later operations don't show up in earlier snapshots, and changing a snapshot doesn't affect the computer.
+    qpu.measureQubit(0);
+    assertThat(snapshot.inferredDensity).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    assertThat(snapshot.operationCount).isEqualTo(0);
+    qpu.snapshot().hiddenState.rawBuffer()[2] = 5;
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(Matrix.col(0, 1));
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(qpu.snapshot().operationCount).isEqualTo(1);
+
+    let mixed = EveQuantumComputer.withInitialDensity(Matrix.square(0.25, 0, 0, 0.75)).snapshot();
+    assertThat(mixed.hiddenIsDensity).isEqualTo(true);
+    assertThat(mixed.hiddenState).isEqualTo(Matrix.square(0.25, 0, 0, 0.75));
+    assertThat(mixed.actualDensity).isEqualTo(Matrix.square(0.25, 0, 0, 0.75));
+});
+
+suite.test("predictionLog", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 0, 1, 0));
+    assertThat(qpu.predictionLog()).isEqualTo([]);
+    qpu.applyGate(Matrix.PAULI_X, 0);
+    qpu.measureQubits([0, 1]);
+    qpu.measureQubit(0);
+    let log = qpu.predictionLog();
+    assertThat(log.map(e => e.outcome)).isEqualTo([3, 1]);
+    assertThat(log[0].predicted).isApproximatelyEqualTo([0.25, 0.25, 0.25, 0.25]);
+    assertThat(log[1].predicted).isApproximatelyEqualTo([0, 1]);
+
+    // The log is a copy.
+    log[0].predicted[0] = 5;
+    assertThat(qpu.predictionLog()[0].predicted).isApproximatelyEqualTo([0.25, 0.25, 0.25, 0.25]);
+});
+
+suite.test("predictionLog_capped", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    let capacity = EveQuantumComputer.PREDICTION_LOG_CAPACITY;
+    qpu.applyGate(Matrix.PAULI_X, 0);
+    qpu.measureQubit(0);
+    let checkpoint = qpu.checkpoint();
+    for (let i = 0; i < capacity * 2 + 5; i++) {
+        qpu.measureQubit(0);
+    }
+    let log = qpu.predictionLog();
+    assertThat(log.length).isEqualTo(capacity);
+    assertThat(log[0].predicted).isApproximatelyEqualTo([0, 1]);
+
+    qpu.restore(checkpoint);
+    assertThat(qpu.predictionLog().map(e => e.predicted)).isApproximatelyEqualTo([[0.5, 0.5]]);
+});
+
+suite.test("disableEventLog", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    let checkpoint = qpu.checkpoint();
+    qpu.measureQubit(0);
+    qpu.disableEventLog();
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    qpu.measureQubit(0);
+    assertThrows(() => qpu.exportLog());
+
+    // Predictions are still recorded, and rewinding doesn't bring the log back.
+    assertThat(qpu.predictionLog().length).isEqualTo(2);
+    qpu.restore(checkpoint);
+    assertThrows(() => qpu.exportLog());
+    assertThat(qpu.predictionLog()).isEqualTo([]);
+});
+
+suite.test("attemptClone", () => {
+    // Knowing nothing, Eve's guess is a computational basis state.
+    let plus = EveQuantumComputer.withInitialState(Matrix.col(1, 1).times(Math.sqrt(0.5)));
+    assertThat(plus.attemptClone().fidelity).isApproximatelyEqualTo(0.5);
+
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(0, 1));
+    qpu.measureQubit(0);
+    let {clone, fidelity} = qpu.attemptClone();
+    assertThat(clone.times(clone.adjoint())).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(fidelity).isApproximatelyEqualTo(1);
+
+    // Cloning doesn't disturb anything.
+    qpu.applyGate(Matrix.HADAMARD, 0);
+    let before = qpu.snapshot();
+    qpu.attemptClone();
+    assertThat(qpu.snapshot()).isEqualTo(before);
+
+    let mixed = EveQuantumComputer.withInitialDensity(Matrix.square(0.25, 0, 0, 0.75));
+    mixed.measureQubit(0);
+    assertThat(mixed.attemptClone().fidelity).isApproximatelyEqualTo(1);
+});
+
+suite.test("setInferenceStrategy", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0), new Random(1));
+    qpu.setInferenceStrategy(new MaximumLikelihoodStrategy(2));
+    assertThat(qpu.measureWithKraus(WEAK_Z)).isEqualTo(0);
+    assertThat(qpu.snapshot().inferredDensity).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+    assertThat(qpu.metrics().traceDistance).isApproximatelyEqualTo(0);
+
+    assertThrows(() => qpu.setInferenceStrategy(new MaximumLikelihoodStrategy(4)));
+    assertThrows(() => qpu.setInferenceStrategy(Matrix.square(1, 0, 0, 0)));
+});
+
+suite.test("addComparisonStrategy", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    qpu.addComparisonStrategy('ml', new MaximumLikelihoodStrategy(4));
+    qpu.addComparisonStrategy('same', new PostSelectionStrategy(4));
+    qpu.applyGate(Matrix.PAULI_X, 1);
+    qpu.measureQubits([0, 1]);
+    qpu.measureWithKraus(WEAK_Z.map(k => k.tensorProduct(Matrix.identity(2))));
+    qpu.applyGate(Matrix.HADAMARD, 0);
+
+    let expected = Matrix.col(0, 0, 1, 1).times(Math.sqrt(0.5));
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(expected);
+    let comparisons = qpu.comparisonMetrics();
+    assertThat(comparisons.map(e => e.name)).isEqualTo(['ml', 'same']);
+    assertThat(comparisons[0].traceDistance).isApproximatelyEqualTo(0);
+    assertThat(comparisons[0].fidelity).isApproximatelyEqualTo(1);
+    assertThat(comparisons[1].traceDistance).isApproximatelyEqualTo(qpu.metrics().traceDistance);
+    assertThat(comparisons[1].fidelity).isApproximatelyEqualTo(qpu.metrics().fidelity);
+    assertThat(qpu.snapshot().comparisons.map(e => e.name)).isEqualTo(['ml', 'same']);
+    assertThat(qpu.snapshot().comparisons[0].inferredDensity).isApproximatelyEqualTo(
+        expected.times(expected.adjoint()));
+
+    assertThrows(() => qpu.addComparisonStrategy('small', new PostSelectionStrategy(2)));
+});
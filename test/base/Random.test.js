@@ -0,0 +1,70 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import Random from "src/base/Random.js"
+
+import Seq from "src/base/Seq.js"
+
+let suite = new Suite("Random");
+
+suite.test("seedDeterminesSequence", () => {
+    let a = new Random(123);
+    let b = new Random(123);
+    let c = new Random(124);
+    let sa = Seq.range(10).map(() => a.next()).toArray();
+    let sb = Seq.range(10).map(() => b.next()).toArray();
+    let sc = Seq.range(10).map(() => c.next()).toArray();
+    assertThat(sa).isEqualTo(sb);
+    assertThat(sa).isNotEqualTo(sc);
+    assertThat(a.seed).isEqualTo(123);
+    assertThat(new Random(-1).seed).isEqualTo(0xFFFFFFFF);
+    assertThrows(() => new Random(0.5));
+});
+
+suite.test("next_range", () => {
+    let r = new Random(5);
+    let total = 0;
+    for (let i = 0; i < 1000; i++) {
+        let v = r.next();
+        assertTrue(v >= 0 && v < 1);
+        total += v;
+    }
+    assertThat(total / 1000).isApproximatelyEqualTo(0.5, 0.05);
+});
+
+suite.test("nextInt", () => {
+    let r = new Random(7);
+    let counts = [0, 0, 0];
+    for (let i = 0; i < 900; i++) {
+        counts[r.nextInt(3)] += 1;
+    }
+    for (let c of counts) {
+        assertThat(c).isApproximatelyEqualTo(300, 50);
+    }
+    assertThrows(() => r.nextInt(0));
+    assertThrows(() => r.nextInt(1.5));
+});
+
+suite.test("split", () => {
+    let a = new Random(123);
+    let b = new Random(123);
+    let sa = Seq.range(10).map(() => a.split().next()).toArray();
+    let sb = Seq.range(10).map(() => b.split().next()).toArray();
+    assertThat(sa).isEqualTo(sb);
+    assertThat(new Set(sa).size).isEqualTo(10);
+
+    // Unrelated to the generators seeded right next to the parent.
+    let child = new Random(5).split();
+    let neighbors = [4, 5, 6].map(seed => new Random(seed));
+    let childValues = Seq.range(10).map(() => child.next()).toArray();
+    for (let neighbor of neighbors) {
+        assertThat(Seq.range(10).map(() => neighbor.next()).toArray()).isNotEqualTo(childValues);
+    }
+});
+
+suite.test("nextGaussian", () => {
+    let r = new Random(11);
+    let samples = Seq.range(2000).map(() => r.nextGaussian()).toArray();
+    let mean = Seq.range(samples.length).map(i => samples[i]).sum() / samples.length;
+    let variance = Seq.range(samples.length).map(i => samples[i]*samples[i]).sum() / samples.length - mean*mean;
+    assertThat(mean).isApproximatelyEqualTo(0, 0.1);
+    assertThat(variance).isApproximatelyEqualTo(1, 0.1);
+});
@@ -0,0 +1,125 @@
+import { Suite, assertThat, assertThrows, assertTrue, assertFalse } from "test/TestUtil.js"
+import CircuitExecution from "src/circuit/CircuitExecution.js"
+
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import Complex from "src/math/Complex.js"
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import Gates from "src/math/Gates.js"
+import Matrix from "src/math/Matrix.js"
+import Random from "src/base/Random.js"
+
+let suite = new Suite("CircuitExecution");
+
+let basis = (numQubits, k) => Matrix.generate(1, 1 << numQubits, r => r === k ? 1 : 0);
+
+suite.test("step", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(2, 0));
+    let execution = qpu.execute(CircuitProgram.parse("x 0\ncx 0 1\nmeasure 1 -> b"));
+    assertFalse(execution.isFinished());
+    assertTrue(execution.step());
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(basis(2, 1));
+    assertTrue(execution.step());
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(basis(2, 3));
+    assertThat(execution.bits()).isEqualTo({});
+    assertTrue(execution.step());
+    assertThat(execution.bits()).isEqualTo({b: true});
+    assertTrue(execution.isFinished());
+    assertFalse(execution.step());
+    assertThat(execution.stepCount).isEqualTo(3);
+});
+
+suite.test("gates_matchDirectOperations", () => {
+    let start = Matrix.col(0.1, 0.2, new Complex(0.3, 0.1), 0.4, 0.5, 0.3, 0.2, 0.1);
+    start = start.times(1 / Math.sqrt(start.norm2()));
+    let viaProgram = EveQuantumComputer.withInitialState(start);
+    viaProgram.execute(CircuitProgram.parse(`
+        h 0; t 2; sdg 1
+        ry(0.2) 1; rz(0.3) 2; phase(0.4) 0
+        cy 0 1; cphase(0.5) 0 2
+        ccx 0 1 2
+        iswap 1 0; cswap 2 0 1
+        h 1 ctrl !0 2
+        swap 0 1 ctrl !2
+        qft 0 2
+    `)).run();
+
+    let direct = EveQuantumComputer.withInitialState(start);
+    let phase = phi => Matrix.square(1, 0, 0, Complex.polar(1, phi));
+    direct.applyGate(Matrix.HADAMARD, 0);
+    direct.applyGate(phase(Math.PI/4), 2);
+    direct.applyGate(phase(-Math.PI/2), 1);
+    direct.applyGate(Matrix.fromAngleAxisPhaseRotation(0.2, [0, 1, 0]), 1);
+    direct.applyGate(Matrix.fromAngleAxisPhaseRotation(0.3, [0, 0, 1]), 2);
+    direct.applyGate(phase(0.4), 0);
+    direct.applyGate(Matrix.PAULI_Y, 1, [0]);
+    direct.applyGate(phase(0.5), 2, [0]);
+    direct.applyGate(Matrix.PAULI_X, 2, [0, 1]);
+    direct.applyOperation(Gates.iSwap(3, 1, 0));
+    direct.applyOperation(Gates.fredkin(3, 2, 0, 1));
+    direct.applyGate(Matrix.HADAMARD, 1, [2], [0]);
+    direct.applyOperation(Gates.swap(3, 0, 1, [], [2]));
+    direct.applyOperation(Gates.expand(Gates.qft(2), [0, 2], 3));
+
+    assertThat(viaProgram.snapshot().hiddenState).isApproximatelyEqualTo(direct.snapshot().hiddenState);
+    assertThat(viaProgram.snapshot().inferredDensity).isApproximatelyEqualTo(direct.snapshot().inferredDensity);
+});
+
+suite.test("controlFlow", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(3, 0));
+    let execution = qpu.execute(CircuitProgram.parse(`
+        x 0
+        measure 0 -> a
+        measure 1 -> b
+        if (a & !b) x 1 else x 2
+        if (b) { x 2 } else { repeat 3 x 2 }
+        repeat 0 x 0
+        repeat 2 {
+            repeat 2 x 0
+            x 1
+        }
+    `));
+    assertThat(execution.run()).isEqualTo(13);
+    assertThat(execution.bits()).isEqualTo({a: true, b: false});
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(basis(3, 7));
+});
+
+suite.test("loop", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(1, 0));
+    let execution = qpu.execute(CircuitProgram.parse("loop { x 0 }"));
+    assertThat(execution.run(7)).isEqualTo(7);
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(basis(1, 1));
+    assertFalse(execution.isFinished());
+
+    // Loops that stop doing anything end instead of spinning forever.
+    let idle = qpu.execute(CircuitProgram.parse("measure 0 -> a\nloop { if (!a) x 0 }"));
+    assertThat(idle.run()).isEqualTo(1);
+    assertTrue(idle.isFinished());
+});
+
+suite.test("flip", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(1, 0));
+    let program = CircuitProgram.parse("flip 0 -> a; flip 1 -> b; flip 0.5 -> c");
+    let run = seed => {
+        let execution = qpu.execute(program, new Random(seed));
+        execution.run();
+        return execution.bits();
+    };
+    assertThat(run(1).a).isEqualTo(false);
+    assertThat(run(1).b).isEqualTo(true);
+    assertThat(run(5)).isEqualTo(run(5));
+});
+
+suite.test("errors", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(2, 0));
+    assertThrows(() => qpu.execute(CircuitProgram.parse("h 2")));
+    assertThrows(() => new CircuitExecution("h 0", qpu));
+    assertThrows(() => qpu.execute(CircuitProgram.parse("if (a) x 0")).step());
+});
+
+suite.test("initialBits", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(1, 0));
+    let execution = qpu.execute(new CircuitProgram(CircuitProgram.parse("if (!b) x 0").statements, 1, ["b"]));
+    assertThat(execution.bits()).isEqualTo({b: false});
+    execution.run();
+    assertThat(qpu.snapshot().hiddenState).isEqualTo(basis(1, 1));
+});
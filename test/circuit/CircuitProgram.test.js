@@ -0,0 +1,113 @@
+import { Suite, assertThat, assertThrows } from "test/TestUtil.js"
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+
+let suite = new Suite("CircuitProgram");
+
+suite.test("parse_gates", () => {
+    let p = CircuitProgram.parse(`
+        h 0
+        rx(pi/4) 2 ctrl 1 !0
+        cx 2, 3; swap 0 1  # comment
+        // another comment
+        PHASE(-pi/2 + 0.5*2) 1
+        qft 0 1 2
+    `);
+    assertThat(p.numQubits).isEqualTo(4);
+    assertThat(p.statements).isEqualTo([
+        {type: 'gate', name: 'h', params: [], qubits: [0], controls: [], antiControls: [], line: 2},
+        {type: 'gate', name: 'rx', params: [Math.PI/4], qubits: [2], controls: [1], antiControls: [0], line: 3},
+        {type: 'gate', name: 'cx', params: [], qubits: [2, 3], controls: [], antiControls: [], line: 4},
+        {type: 'gate', name: 'swap', params: [], qubits: [0, 1], controls: [], antiControls: [], line: 4},
+        {type: 'gate', name: 'phase', params: [-Math.PI/2 + 1], qubits: [1], controls: [], antiControls: [], line: 6},
+        {type: 'gate', name: 'qft', params: [], qubits: [0, 1, 2], controls: [], antiControls: [], line: 7}
+    ]);
+});
+
+suite.test("parse_classical", () => {
+    let p = CircuitProgram.parse(`
+        qubits 5
+        measure 3 -> r
+        measure 0
+        flip 0.25 -> coin
+        if (r ^ !coin) x 3
+        if ((r & coin) | !r) {
+            z 0
+        }
+        else y 1
+        repeat 3 { h 0 }
+        loop {
+            h 1
+        }
+    `);
+    assertThat(p.numQubits).isEqualTo(5);
+    let x3 = {type: 'gate', name: 'x', params: [], qubits: [3], controls: [], antiControls: [], line: 6};
+    assertThat(p.statements).isEqualTo([
+        {type: 'measure', qubit: 3, bit: 'r', line: 3},
+        {type: 'measure', qubit: 0, bit: null, line: 4},
+        {type: 'flip', probability: 0.25, bit: 'coin', line: 5},
+        {
+            type: 'if',
+            condition: {
+                type: 'xor',
+                left: {type: 'bit', name: 'r'},
+                right: {type: 'not', operand: {type: 'bit', name: 'coin'}}
+            },
+            then: [x3],
+            otherwise: [],
+            line: 6
+        },
+        {
+            type: 'if',
+            condition: {
+                type: 'or',
+                left: {type: 'and', left: {type: 'bit', name: 'r'}, right: {type: 'bit', name: 'coin'}},
+                right: {type: 'not', operand: {type: 'bit', name: 'r'}}
+            },
+            then: [{type: 'gate', name: 'z', params: [], qubits: [0], controls: [], antiControls: [], line: 8}],
+            otherwise: [{type: 'gate', name: 'y', params: [], qubits: [1], controls: [], antiControls: [], line: 10}],
+            line: 7
+        },
+        {
+            type: 'repeat',
+            count: 3,
+            body: [{type: 'gate', name: 'h', params: [], qubits: [0], controls: [], antiControls: [], line: 11}],
+            line: 11
+        },
+        {
+            type: 'repeat',
+            count: Infinity,
+            body: [{type: 'gate', name: 'h', params: [], qubits: [1], controls: [], antiControls: [], line: 13}],
+            line: 12
+        }
+    ]);
+});
+
+suite.test("parse_errors", () => {
+    assertThrows(() => CircuitProgram.parse("frob 0"));
+    assertThrows(() => CircuitProgram.parse("h"));
+    assertThrows(() => CircuitProgram.parse("h 0 1"));
+    assertThrows(() => CircuitProgram.parse("cx 0 0"));
+    assertThrows(() => CircuitProgram.parse("x 0 ctrl 0"));
+    assertThrows(() => CircuitProgram.parse("rx 0"));
+    assertThrows(() => CircuitProgram.parse("h(1) 0"));
+    assertThrows(() => CircuitProgram.parse("measure 0 ->"));
+    assertThrows(() => CircuitProgram.parse("flip 2 -> c"));
+    assertThrows(() => CircuitProgram.parse("if (c x 0"));
+    assertThrows(() => CircuitProgram.parse("repeat 2 { h 0"));
+    assertThrows(() => CircuitProgram.parse("h 0 }"));
+    assertThrows(() => CircuitProgram.parse("h 0 @"));
+    assertThrows(() => CircuitProgram.parse("repeat 1.5 h 0"));
+});
+
+suite.test("parse_empty", () => {
+    let p = CircuitProgram.parse("  # nothing\n");
+    assertThat(p.statements).isEqualTo([]);
+    assertThat(p.numQubits).isEqualTo(1);
+});
+
+suite.test("parseExpression", () => {
+    assertThat(CircuitProgram.parseExpression("-pi/4")).isEqualTo(-Math.PI/4);
+    assertThat(CircuitProgram.parseExpression(" 2*(0.5 + 1) ")).isEqualTo(3);
+    assertThrows(() => CircuitProgram.parseExpression("1 2"));
+    assertThrows(() => CircuitProgram.parseExpression(""));
+});
@@ -0,0 +1,169 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import QasmImporter from "src/circuit/QasmImporter.js"
+
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import Complex from "src/math/Complex.js"
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("QasmImporter");
+
+let basis = (numQubits, k) => Matrix.generate(1, 1 << numQubits, r => r === k ? 1 : 0);
+
+let HEADER = 'OPENQASM 2.0;\ninclude "qelib1.inc";\n';
+
+suite.test("parse_registers", () => {
+    let program = QasmImporter.parse(HEADER + "qreg a[2];\nqreg b[3];\ncreg c[2];\ncreg d[1];\nx b[1];");
+    assertTrue(program instanceof CircuitProgram);
+    assertThat(program.numQubits).isEqualTo(5);
+    assertThat(program.initialBits).isEqualTo(["c[0]", "c[1]", "d[0]"]);
+    assertThat(program.statements).isEqualTo([
+        {type: 'gate', name: 'x', params: [], qubits: [3], controls: [], antiControls: [], line: 7}
+    ]);
+});
+
+suite.test("parse_gateMapping", () => {
+    let program = QasmImporter.parse(HEADER + `
+        qreg q[3];
+        cx q[0],q[1];
+        ccx q[2], q[0], q[1];
+        u2(0, pi) q[2];
+        cu1(pi/2) q[1],q[0];
+        barrier q;
+        id q[0];
+    `);
+    let summary = program.statements.map(e => [e.name, e.params, e.qubits, e.controls]);
+    assertThat(summary).isEqualTo([
+        ['x', [], [1], [0]],
+        ['x', [], [1], [2, 0]],
+        ['u3', [Math.PI/2, 0, Math.PI], [2], []],
+        ['phase', [Math.PI/2], [0], [1]],
+        ['i', [], [0], []]
+    ]);
+});
+
+suite.test("parse_expressions", () => {
+    let program = QasmImporter.parse(HEADER + "qreg q[1];\nrz(-pi/4 + 2*0.5^2 - sin(pi/2)) q[0];\nrx(-(1+1)*3) q;");
+    assertThat(program.statements[0].params[0]).isApproximatelyEqualTo(-Math.PI/4 + 0.5 - 1);
+    assertThat(program.statements[1].params).isEqualTo([-6]);
+});
+
+suite.test("parse_broadcast", () => {
+    let program = QasmImporter.parse(HEADER + "qreg a[2];\nqreg b[2];\ncreg c[2];\nh a;\ncx a,b;\ncx a[0],b;\n" +
+        "measure b -> c;");
+    let summary = program.statements.map(e => e.type === 'gate' ? [e.name, e.qubits, e.controls] : [e.qubit, e.bit]);
+    assertThat(summary).isEqualTo([
+        ['h', [0], []],
+        ['h', [1], []],
+        ['x', [2], [0]],
+        ['x', [3], [1]],
+        ['x', [2], [0]],
+        ['x', [3], [0]],
+        [2, 'c[0]'],
+        [3, 'c[1]']
+    ]);
+});
+
+suite.test("parse_if", () => {
+    let program = QasmImporter.parse(HEADER + "qreg q[1];\ncreg c[2];\nif(c==2) x q[0];");
+    let bit = name => ({type: 'bit', name});
+    assertThat(program.statements).isEqualTo([{
+        type: 'if',
+        condition: {type: 'and', left: {type: 'not', operand: bit('c[0]')}, right: bit('c[1]')},
+        then: [{type: 'gate', name: 'x', params: [], qubits: [0], controls: [], antiControls: [], line: 5}],
+        otherwise: [],
+        line: 5
+    }]);
+});
+
+suite.test("parse_gateDefinitions", () => {
+    let program = QasmImporter.parse(HEADER + `
+        qreg q[2];
+        gate twist(theta, phi) a, b {
+            rz(theta/2) a;
+            barrier a, b;
+            cx a, b;
+            ry(phi - theta) b;
+        }
+        gate twice(t) x, y { twist(t, 2*t) y, x; twist(t, t) x, y; }
+        twice(pi) q[0], q[1];
+    `);
+    let summary = program.statements.map(e => [e.name, e.params, e.qubits, e.controls, e.line]);
+    assertThat(summary).isEqualTo([
+        ['rz', [Math.PI/2], [1], [], 12],
+        ['x', [], [0], [1], 12],
+        ['ry', [Math.PI], [0], [], 12],
+        ['rz', [Math.PI/2], [0], [], 12],
+        ['x', [], [1], [0], 12],
+        ['ry', [0], [1], [], 12]
+    ]);
+});
+
+suite.test("parse_errors", () => {
+    assertThrows(() => QasmImporter.parse("qreg q[1];"));
+    assertThrows(() => QasmImporter.parse("OPENQASM 3.0;\nqreg q[1];"));
+    assertThrows(() => QasmImporter.parse('OPENQASM 2.0;\ninclude "other.inc";\nqreg q[1];'));
+    assertThrows(() => QasmImporter.parse(HEADER));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nx r[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nx q[1];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[2];\ncx q[0],q[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[2];\nqreg r[3];\ncx q,r;"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nfoo q[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nrx q[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nrx(theta) q[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nreset q[0];"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nopaque g a;"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\ncreg c[1];\nmeasure q -> d;"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\nx q[0]"));
+    assertThrows(() => QasmImporter.parse(HEADER + "qreg q[0];\nqreg r[1];"));
+
+    // An empty creg would leave nothing for a condition to check.
+    let emptyCreg = assertThrows(() => QasmImporter.parse(HEADER + "qreg q[1];\ncreg c[0];\nif(c==0) x q[0];"));
+    assertThat(emptyCreg.subject.message).isEqualTo("Register 'c' must have at least one bit. (line 4, at '0')");
+});
+
+suite.test("execute_teleportation", () => {
+    let program = QasmImporter.parse(HEADER + `
+        qreg q[3];
+        creg a[1];
+        creg b[1];
+        h q[1];
+        cx q[1],q[2];
+        cx q[0],q[1];
+        h q[0];
+        measure q[0] -> a[0];
+        measure q[1] -> b[0];
+        if(b==1) x q[2];
+        if(a==1) z q[2];
+    `);
+    let payload = Matrix.col(0.6, new Complex(0, 0.8));
+    for (let i = 0; i < 4; i++) {
+        let qpu = EveQuantumComputer.withInitialState(basis(2, 0).tensorProduct(payload));
+        let execution = qpu.execute(program);
+        execution.run();
+        let bits = execution.bits();
+        let k = (bits["a[0]"] ? 1 : 0) | (bits["b[0]"] ? 2 : 0);
+        assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(payload.tensorProduct(basis(2, k)));
+    }
+});
+
+suite.test("execute_matchesQelibDefinitions", () => {
+    let start = Matrix.col(0.1, 0.2, new Complex(0.3, 0.1), 0.4);
+    start = start.times(1 / Math.sqrt(start.norm2()));
+    let run = text => {
+        let qpu = EveQuantumComputer.withInitialState(start);
+        qpu.execute(QasmImporter.parse(HEADER + "qreg q[2];\n" + text)).run();
+        return qpu.snapshot().hiddenState;
+    };
+
+    assertThat(run("rzz(0.7) q[0],q[1];")).isApproximatelyEqualTo(
+        run("cx q[0],q[1]; u1(0.7) q[1]; cx q[0],q[1];"));
+    assertThat(run("rxx(0.7) q[0],q[1];")).isApproximatelyEqualTo(
+        run("u3(pi/2,0.7,0) q[0]; h q[1]; cx q[0],q[1]; u1(-0.7) q[1]; cx q[0],q[1]; h q[1]; u2(-pi,pi-0.7) q[0];"));
+    assertThat(run("sx q[0]; sx q[0];")).isApproximatelyEqualTo(run("x q[0];"));
+    assertThat(run("sx q[1]; sxdg q[1];")).isApproximatelyEqualTo(start);
+    assertThat(run("u3(pi,0,pi) q[0];")).isApproximatelyEqualTo(run("x q[0];"));
+    assertThat(run("u3(pi/2,0,pi) q[1];")).isApproximatelyEqualTo(run("h q[1];"));
+    assertThat(run("u1(pi/4) q[0];")).isApproximatelyEqualTo(run("t q[0];"));
+    assertThat(run("cu3(pi,0,pi) q[1],q[0];")).isApproximatelyEqualTo(run("cx q[1],q[0];"));
+});
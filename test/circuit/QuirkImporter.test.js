@@ -0,0 +1,144 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import QuirkImporter from "src/circuit/QuirkImporter.js"
+
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import Complex from "src/math/Complex.js"
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("QuirkImporter");
+
+let basis = (numQubits, k) => Matrix.generate(1, 1 << numQubits, r => r === k ? 1 : 0);
+
+let summarize = program => program.statements.map(e => e.type === 'measure' ?
+    ['measure', e.qubit] :
+    [e.name, e.params, e.qubits, e.controls, e.antiControls]);
+
+suite.test("parse_example", () => {
+    let program = QuirkImporter.parse('{"cols":[["H"],["•","X"],["Measure"]]}');
+    assertTrue(program instanceof CircuitProgram);
+    assertThat(program.numQubits).isEqualTo(2);
+    assertThat(program.statements).isEqualTo([
+        {type: 'gate', name: 'h', params: [], qubits: [0], controls: [], antiControls: [], line: 0},
+        {type: 'gate', name: 'x', params: [], qubits: [1], controls: [0], antiControls: [], line: 0},
+        {type: 'measure', qubit: 0, bit: null, line: 0}
+    ]);
+});
+
+suite.test("parse_columns", () => {
+    let program = QuirkImporter.parse({cols: [
+        [1, "Z^½", "Chance", "…", "Y^-⅛"],
+        ["◦", "Swap", "•", "Swap"],
+        [{id: "Rzft", arg: "pi/2"}, {id: "X^ft", arg: 0.25}, "Bloch"],
+        ["QFT3", 1, 1, "•"],
+        ["H", "H", "◦"]
+    ]});
+    assertThat(program.numQubits).isEqualTo(5);
+    assertThat(summarize(program)).isEqualTo([
+        ['s', [], [1], [], []],
+        ['ypow', [-1/8], [4], [], []],
+        ['swap', [], [1, 3], [2], [0]],
+        ['rz', [Math.PI/2], [0], [], []],
+        ['xpow', [0.25], [1], [], []],
+        ['qft', [], [0, 1, 2], [3], []],
+        ['h', [], [0], [], [2]],
+        ['h', [], [1], [], [2]]
+    ]);
+});
+
+suite.test("parse_initAndCustomGates", () => {
+    let program = QuirkImporter.parse({
+        init: [0, "+", 1],
+        cols: [[1, "~pair"], ["•", "~pair"]],
+        gates: [{id: "~pair", circuit: {cols: [["H"], ["•", "X"]]}}]
+    });
+    assertThat(program.numQubits).isEqualTo(3);
+    assertThat(summarize(program)).isEqualTo([
+        ['h', [], [1], [], []],
+        ['x', [], [2], [], []],
+        ['h', [], [1], [], []],
+        ['x', [], [2], [1], []],
+        ['h', [], [1], [0], []],
+        ['x', [], [2], [1, 0], []]
+    ]);
+});
+
+suite.test("parse_errors", () => {
+    assertThrows(() => QuirkImporter.parse("not json"));
+    assertThrows(() => QuirkImporter.parse("null"));
+    assertThrows(() => QuirkImporter.parse({cols: [["Unknown"]]}));
+    assertThrows(() => QuirkImporter.parse({cols: [["Swap"]]}));
+    assertThrows(() => QuirkImporter.parse({cols: [["•", "Measure"]]}));
+    assertThrows(() => QuirkImporter.parse({cols: [[{id: "Rxft"}]]}));
+    assertThrows(() => QuirkImporter.parse({cols: "H"}));
+    assertThrows(() => QuirkImporter.parse({init: ["?"], cols: []}));
+    assertThrows(() => QuirkImporter.parse({cols: [], gates: [{id: "~m", matrix: "{{1,0},{0,1}}"}]}));
+});
+
+suite.test("parse_recursiveCustomGates", () => {
+    let itself = assertThrows(() => QuirkImporter.parse({
+        cols: [["H", "~loop"]],
+        gates: [{id: "~loop", circuit: {cols: [["X"], [1, "~loop"]]}}]
+    }));
+    assertThat(itself.subject.message).isEqualTo(
+        "Custom gate '~loop' uses itself (~loop → ~loop), at column 1, row 1 of '~loop'.");
+
+    let eachOther = assertThrows(() => QuirkImporter.parse({
+        cols: [["~a"]],
+        gates: [
+            {id: "~a", circuit: {cols: [["~b"]]}},
+            {id: "~b", circuit: {cols: [["H"], ["~a"]]}}
+        ]
+    }));
+    assertThat(eachOther.subject.message).isEqualTo(
+        "Custom gate '~a' uses itself (~a → ~b → ~a), at column 1, row 0 of '~b'.");
+
+    // Using the same gate twice, or nesting different gates, is fine.
+    let nested = QuirkImporter.parse({
+        cols: [["~outer"], ["~outer"]],
+        gates: [
+            {id: "~inner", circuit: {cols: [["H"]]}},
+            {id: "~outer", circuit: {cols: [["~inner"], ["~inner"]]}}
+        ]
+    });
+    assertThat(nested.statements.length).isEqualTo(4);
+});
+
+suite.test("parse_timeDependentGates", () => {
+    // Quirk's own default argument for the formula rotations depends on time.
+    let rotation = assertThrows(() => QuirkImporter.parse({cols: [[{id: "Rxft", arg: "pi t^2"}]]}));
+    assertThat(rotation.subject.message).isEqualTo("Time-dependent gates are not supported (formula 'pi t^2' uses t).");
+    for (let id of ["X^t", "Y^-t", "e^iZt", "e^-iXt"]) {
+        let error = assertThrows(() => QuirkImporter.parse({cols: [[1, id]]}));
+        assertThat(error.subject.message).isEqualTo(`Time-dependent gates are not supported ('${id}').`);
+    }
+
+    // Constant formulas are still fine.
+    assertThat(summarize(QuirkImporter.parse({cols: [[{id: "Ryft", arg: "2*pi/3"}]]}))).
+        isEqualTo([['ry', [2*Math.PI/3], [0], [], []]]);
+});
+
+suite.test("execute_matchesQuirkMatrices", () => {
+    let start = Matrix.col(0.1, 0.2, new Complex(0.3, 0.1), 0.4);
+    start = start.times(1 / Math.sqrt(start.norm2()));
+    let run = (cols, gate) => {
+        let qpu = EveQuantumComputer.withInitialState(start);
+        qpu.execute(QuirkImporter.parse({cols})).run();
+        let expected = EveQuantumComputer.withInitialState(start);
+        expected.applyGate(gate, 1, [0]);
+        assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(expected.snapshot().hiddenState);
+    };
+
+    let half = new Complex(0.5, 0.5);
+    run([["•", "Y^½"]], Matrix.square(half, half.neg(), half, half));
+    run([["•", "X^½"]], Matrix.square(half, half.conjugate(), half.conjugate(), half));
+    run([["•", "Z^⅓"]], Matrix.square(1, 0, 0, Complex.polar(1, Math.PI/3)));
+    run([["•", {id: "Z^ft", arg: "0.5"}]], Matrix.square(1, 0, 0, Complex.I));
+    run([["•", {id: "Ryft", arg: "π"}]], Matrix.square(0, -1, 1, 0));
+});
+
+suite.test("execute_bellPair", () => {
+    let qpu = EveQuantumComputer.withInitialState(basis(2, 0));
+    qpu.execute(QuirkImporter.parse('{"cols":[["H"],["•","X"]]}')).run();
+    assertThat(qpu.snapshot().hiddenState).isApproximatelyEqualTo(Matrix.col(1, 0, 0, 1).times(Math.sqrt(0.5)));
+});
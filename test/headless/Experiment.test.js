@@ -0,0 +1,97 @@
+import { Suite, assertThat, assertThrows } from "test/TestUtil.js"
+import Experiment from "src/headless/Experiment.js"
+
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+import HeadlessRunner from "src/headless/HeadlessRunner.js"
+import Statistics from "src/math/Statistics.js"
+
+let suite = new Suite("Experiment");
+
+let MEASURE_BOTH = CircuitProgram.parse("h 0\nmeasure 0\nmeasure 1");
+
+suite.test("run", () => {
+    let result = Experiment.run({programFactory: () => MEASURE_BOTH, steps: 2, trials: 5, seed: 10});
+    assertThat(result.steps).isEqualTo([0, 1, 2]);
+    assertThat(result.trials.length).isEqualTo(5);
+    assertThat(result.trials[3]).isEqualTo(HeadlessRunner.run(MEASURE_BOTH, {steps: 2, seed: 13}));
+    assertThat(Object.keys(result.curves)).isEqualTo(['traceDistance', 'misprediction']);
+
+    let misprediction = result.curves.misprediction;
+    let final = result.trials.map(rows => rows[2].misprediction);
+    assertThat(misprediction.mean[0]).isEqualTo(0);
+    assertThat(misprediction.mean[2]).isApproximatelyEqualTo(Statistics.mean(final));
+    assertThat(misprediction.median[2]).isApproximatelyEqualTo(Statistics.median(final));
+    assertThat(misprediction.percentiles['90'][2]).isApproximatelyEqualTo(Statistics.percentile(final, 90));
+    assertThat(Object.keys(misprediction.percentiles)).isEqualTo(['10', '90']);
+
+    // Measuring every qubit in the computational basis leaves Eve knowing the state exactly.
+    assertThat(result.curves.traceDistance.percentiles['90'][1]).isApproximatelyEqualTo(0);
+
+    // Repeatable.
+    assertThat(Experiment.run({programFactory: () => MEASURE_BOTH, steps: 2, trials: 5, seed: 10})).
+        isEqualTo(result);
+});
+
+suite.test("run_options", () => {
+    let trialsSeen = [];
+    let result = Experiment.run({
+        programFactory: trial => {
+            trialsSeen.push(trial);
+            return CircuitProgram.parse(`ry(${trial}) 0\nmeasure 0`);
+        },
+        numQubits: 3,
+        steps: 1,
+        trials: 3,
+        metrics: ['inferredEntropy'],
+        percentiles: [0, 100]
+    });
+    assertThat(trialsSeen).isEqualTo([0, 1, 2]);
+    assertThat(Object.keys(result.curves)).isEqualTo(['inferredEntropy']);
+    assertThat(result.curves.inferredEntropy.percentiles['0']).isApproximatelyEqualTo([3, 2]);
+    assertThat(result.curves.inferredEntropy.percentiles['100']).isApproximatelyEqualTo([3, 2]);
+
+    assertThrows(() => Experiment.run({programFactory: () => MEASURE_BOTH, steps: 1, trials: 0}));
+    assertThrows(() => Experiment.run({programFactory: () => MEASURE_BOTH, steps: -1, trials: 1}));
+    assertThrows(() => Experiment.run({programFactory: () => "h 0", steps: 1, trials: 1}));
+    assertThrows(() => Experiment.run({steps: 1, trials: 1}));
+    assertThrows(() => Experiment.run({programFactory: () => MEASURE_BOTH, steps: 1, trials: 1, metrics: ['x']}));
+});
+
+suite.test("run_runLimit", () => {
+    let looping = CircuitProgram.parse("loop { h 0\nmeasure 0 }");
+    let run = runLimit => Experiment.run({
+        programFactory: () => looping,
+        steps: 2,
+        trials: 2,
+        runLimit,
+        metrics: ['operations']
+    });
+    assertThat(run(6).curves.operations.mean).isEqualTo([0, 6, 12]);
+    assertThat(run(undefined).curves.operations.mean).isEqualTo([0, 1000, 2000]);
+});
+
+suite.test("sweep", () => {
+    let results = Experiment.sweep([1, 2], n => ({
+        programFactory: () => MEASURE_BOTH,
+        numQubits: 2 + n,
+        steps: 1,
+        trials: 2,
+        metrics: ['inferredEntropy']
+    }));
+    assertThat(results.map(e => e.parameter)).isEqualTo([1, 2]);
+    assertThat(results.map(e => e.result.curves.inferredEntropy.mean)).isApproximatelyEqualTo([[3, 1], [4, 2]]);
+});
+
+suite.test("toCsv", () => {
+    let csv = Experiment.toCsv({
+        steps: [0, 1],
+        trials: [],
+        curves: {
+            traceDistance: {mean: [0.5, 0.25], median: [0.5, 0.2], percentiles: {'10': [0.4, 0.1], '90': [0.6, 0.3]}}
+        }
+    });
+    assertThat(csv).isEqualTo(
+        "step,traceDistance.mean,traceDistance.median,traceDistance.p10,traceDistance.p90\n" +
+        "0,0.5,0.5,0.4,0.6\n" +
+        "1,0.25,0.2,0.1,0.3\n");
+});
@@ -0,0 +1,148 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import HeadlessRunner from "src/headless/HeadlessRunner.js"
+
+import CircuitProgram from "src/circuit/CircuitProgram.js"
+
+let suite = new Suite("HeadlessRunner");
+
+suite.test("loadProgram", () => {
+    let qasm = HeadlessRunner.loadProgram("a.qasm", 'OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[3];\nh q[2];');
+    let quirk = HeadlessRunner.loadProgram("b.JSON", '{"cols":[["H","•","X"]]}');
+    let text = HeadlessRunner.loadProgram("c.txt", "h 1");
+    assertThat([qasm, quirk, text].map(e => e.numQubits)).isEqualTo([3, 3, 2]);
+    assertTrue(text instanceof CircuitProgram);
+    assertThrows(() => HeadlessRunner.loadProgram("d.qasm", "h 1"));
+});
+
+suite.test("run", () => {
+    let program = CircuitProgram.parse("h 0\nmeasure 0\nmeasure 1");
+    let rows = HeadlessRunner.run(program, {steps: 3, seed: 5});
+    assertThat(rows.map(e => e.step)).isEqualTo([0, 1, 2, 3]);
+    assertThat(rows.map(e => e.operations)).isEqualTo([0, 3, 6, 9]);
+    assertThat(Object.keys(rows[0])).isEqualTo(HeadlessRunner.COLUMNS);
+    assertThat(rows[0].misprediction).isEqualTo(0);
+    assertThat(rows[0].inferredEntropy).isApproximatelyEqualTo(2);
+    assertThat(rows[3].inferredEntropy).isApproximatelyEqualTo(0);
+    assertThat(rows[3].fidelity).isApproximatelyEqualTo(1);
+    assertThat(rows[3].cloneFidelity).isApproximatelyEqualTo(1);
+
+    // The seed determines everything.
+    assertThat(HeadlessRunner.run(program, {steps: 3, seed: 5})).isEqualTo(rows);
+
+    let mixed = HeadlessRunner.run(program, {steps: 0, seed: 5, qubits: 3, initial: 'mixed'});
+    assertThat(mixed.length).isEqualTo(1);
+    assertThat(mixed[0].inferredEntropy).isApproximatelyEqualTo(3);
+    assertThrows(() => HeadlessRunner.run(program, {qubits: 1}));
+    assertThrows(() => HeadlessRunner.run(program, {initial: 'other'}));
+});
+
+suite.test("run_strategies", () => {
+    let program = CircuitProgram.parse("h 0\nmeasure 1\nmeasure 0");
+    let runs = HeadlessRunner.STRATEGIES.map(strategy => HeadlessRunner.run(program, {steps: 2, seed: 7, strategy}));
+    assertThat(HeadlessRunner.STRATEGIES).isEqualTo(['post-selection', 'maximum-likelihood', 'particle-filter']);
+
+    // Every strategy knows the state once all of it has been measured.
+    for (let rows of runs) {
+        assertThat(rows.map(e => e.operations)).isEqualTo([0, 3, 6]);
+        assertThat(rows[2].fidelity).isApproximatelyEqualTo(1);
+    }
+    assertThat(HeadlessRunner.run(program, {steps: 2, seed: 7, strategy: 'particle-filter'})).isEqualTo(runs[2]);
+    assertThrows(() => HeadlessRunner.run(program, {strategy: 'guess'}));
+});
+
+suite.test("run_predictionScores", () => {
+    // Eve can't predict the first measurement, but knows the result of every measurement after it.
+    let rows = HeadlessRunner.run(CircuitProgram.parse("measure 0\nmeasure 0"), {steps: 2, seed: 1});
+    assertThat(rows.map(e => e.logLoss)).isApproximatelyEqualTo([0, 0.5, 0.25]);
+    assertThat(rows.map(e => e.brierScore)).isApproximatelyEqualTo([0, 0.25, 0.125]);
+});
+
+suite.test("calibration", () => {
+    let bins = HeadlessRunner.calibration(CircuitProgram.parse("measure 0\nmeasure 0"), {steps: 2, seed: 1}, 2);
+    assertThat(bins.map(e => Object.keys(e))).isEqualTo([HeadlessRunner.CALIBRATION_COLUMNS,
+        HeadlessRunner.CALIBRATION_COLUMNS]);
+    // Three certain predictions of what happened, three of what didn't, and two coin flips.
+    assertThat(bins.map(e => e.count)).isEqualTo([3, 5]);
+    assertThat(bins.map(e => e.observedFrequency)).isApproximatelyEqualTo([0, 0.8]);
+});
+
+suite.test("format", () => {
+    let row = k => ({
+        step: k,
+        operations: 2*k,
+        fidelity: 0.5,
+        traceDistance: 0.25,
+        hilbertSchmidtDistance: 0.125,
+        relativeEntropy: Infinity,
+        inferredPurity: 1,
+        inferredEntropy: 0,
+        misprediction: 1.5,
+        logLoss: 0.75,
+        brierScore: 0.5,
+        cloneFidelity: 0.875
+    });
+    assertThat(HeadlessRunner.format([row(0), row(1)], 'csv')).isEqualTo(
+        "step,operations,fidelity,traceDistance,hilbertSchmidtDistance,relativeEntropy,inferredPurity," +
+            "inferredEntropy,misprediction,logLoss,brierScore,cloneFidelity\n" +
+        "0,0,0.5,0.25,0.125,Infinity,1,0,1.5,0.75,0.5,0.875\n" +
+        "1,2,0.5,0.25,0.125,Infinity,1,0,1.5,0.75,0.5,0.875\n");
+    let json = JSON.parse(HeadlessRunner.format([row(3)], 'json'));
+    assertThat(json[0].step).isEqualTo(3);
+    assertThat(json[0].relativeEntropy).isEqualTo(null);
+    assertThat(HeadlessRunner.format([{a: 1, b: NaN}], 'csv', ['b', 'a'])).isEqualTo("b,a\nNaN,1\n");
+    assertThrows(() => HeadlessRunner.format([], 'xml'));
+});
+
+suite.test("parseArgs", () => {
+    assertThat(HeadlessRunner.parseArgs(["prog.txt"])).isEqualTo(
+        {file: "prog.txt", steps: 100, seed: undefined, qubits: undefined, initial: 'pure', format: 'csv',
+            report: 'steps', bins: 10, strategy: 'post-selection', runLimit: 1000});
+    assertThat(HeadlessRunner.parseArgs(
+        ["--steps", "7", "p.qasm", "--seed", "3", "--qubits", "4", "--initial", "mixed", "--format", "json",
+            "--report", "calibration", "--bins", "5", "--strategy", "particle-filter", "--run-limit", "20"])).
+        isEqualTo({file: "p.qasm", steps: 7, seed: 3, qubits: 4, initial: 'mixed', format: 'json',
+            report: 'calibration', bins: 5, strategy: 'particle-filter', runLimit: 20});
+    assertThrows(() => HeadlessRunner.parseArgs([]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "b"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--steps"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--steps", "-1"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--bogus", "1"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--format", "xml"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--report", "other"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--bins", "0"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--strategy", "guess"]));
+    assertThrows(() => HeadlessRunner.parseArgs(["a", "--run-limit", "0"]));
+});
+
+suite.test("main", () => {
+    let out = [];
+    let files = {"p.txt": "x 0\nmeasure 0"};
+    let code = HeadlessRunner.main(["p.txt", "--steps", "2", "--seed", "1"], f => files[f], e => out.push(e));
+    assertThat(code).isEqualTo(0);
+    let lines = out.join('').trim().split('\n');
+    assertThat(lines.length).isEqualTo(4);
+    assertThat(lines[3].split(',').slice(0, 2)).isEqualTo(["2", "4"]);
+
+    out = [];
+    code = HeadlessRunner.main(["p.txt", "--report", "calibration", "--bins", "4"], f => files[f], e => out.push(e));
+    assertThat(code).isEqualTo(0);
+    lines = out.join('').trim().split('\n');
+    assertThat(lines[0]).isEqualTo("low,high,count,meanPredicted,observedFrequency");
+    assertThat(lines.length).isEqualTo(5);
+
+    // Programs that loop forever are cut off at the end of each run.
+    out = [];
+    files["loop.txt"] = "loop { h 0 }";
+    code = HeadlessRunner.main(["loop.txt", "--steps", "2", "--run-limit", "5"], f => files[f], e => out.push(e));
+    assertThat(code).isEqualTo(0);
+    lines = out.join('').trim().split('\n');
+    assertThat(lines.slice(1).map(e => e.split(',')[1])).isEqualTo(["0", "5", "10"]);
+    out = [];
+    assertThat(HeadlessRunner.main(["loop.txt", "--steps", "1"], f => files[f], e => out.push(e))).isEqualTo(0);
+    assertThat(out.join('').trim().split('\n')[2].split(',')[1]).isEqualTo("1000");
+
+    out = [];
+    assertThat(HeadlessRunner.main(["--help"], f => files[f], e => out.push(e))).isEqualTo(0);
+    assertTrue(out.join('').startsWith("Usage"));
+    assertThat(HeadlessRunner.main([], f => files[f], e => out.push(e))).isEqualTo(1);
+});
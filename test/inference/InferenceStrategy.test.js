@@ -0,0 +1,13 @@
+import { Suite, assertThrows } from "test/TestUtil.js"
+import InferenceStrategy from "src/inference/InferenceStrategy.js"
+
+let suite = new Suite("InferenceStrategy");
+
+suite.test("methodsMustBeOverridden", () => {
+    let strategy = new InferenceStrategy();
+    assertThrows(() => strategy.estimate());
+    assertThrows(() => strategy.applyChannel(rho => rho));
+    assertThrows(() => strategy.predict({probabilities: () => [1], collapse: rho => rho}));
+    assertThrows(() => strategy.observe({probabilities: () => [1], collapse: rho => rho}, 0));
+    assertThrows(() => strategy.copy());
+});
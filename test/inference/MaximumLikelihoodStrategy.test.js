@@ -0,0 +1,92 @@
+import { Suite, assertThat } from "test/TestUtil.js"
+import MaximumLikelihoodStrategy from "src/inference/MaximumLikelihoodStrategy.js"
+
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("MaximumLikelihoodStrategy");
+
+let measureZ = {
+    probabilities: rho => [rho.cell(0, 0).real, rho.cell(1, 1).real],
+    collapse: (rho, k) => Matrix.generate(2, 2, (r, c) => r === k && c === k ? rho.cell(c, r) : 0)
+};
+let hadamard = rho => Matrix.HADAMARD.times(rho).times(Matrix.HADAMARD);
+
+// Outcome 0 is nine times as likely for |0⟩ as for |1⟩, but doesn't disturb superpositions much.
+let weakKraus = [
+    Matrix.square(Math.sqrt(0.9), 0, 0, Math.sqrt(0.1)),
+    Matrix.square(Math.sqrt(0.1), 0, 0, Math.sqrt(0.9))
+];
+let weakZ = {
+    probabilities: rho => weakKraus.map(k => k.times(rho).times(k.adjoint()).trace().real),
+    collapse: (rho, k) => weakKraus[k].times(rho).times(weakKraus[k].adjoint())
+};
+
+suite.test("estimate_isMostLikelyStartingStatePushedThroughRecord", () => {
+    let strategy = new MaximumLikelihoodStrategy(2);
+    // Without any data, every state is equally likely and the estimate is the maximally mixed state.
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.identity(2).times(0.5));
+
+    // Post-selection would infer a 90/10 mixture, but the most likely starting state is |0⟩.
+    strategy.observe(weakZ, 0);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+    assertThat(strategy.predict(weakZ)).isApproximatelyEqualTo([0.9, 0.1]);
+
+    strategy.applyChannel(hadamard);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0.5, 0.5, 0.5, 0.5));
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("observe_usesWholeRecord", () => {
+    // Two weak outcomes favoring |1⟩ outweigh one favoring |0⟩.
+    let strategy = new MaximumLikelihoodStrategy(2);
+    strategy.observe(weakZ, 0);
+    strategy.observe(weakZ, 1);
+    strategy.observe(weakZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+
+    // The likelihood is kept scaled, so long records don't underflow.
+    for (let i = 0; i < 2000; i++) {
+        strategy.observe(weakZ, 1);
+    }
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("estimate_tiesStayMixed", () => {
+    // Opposite weak outcomes make |0⟩ and |1⟩ equally likely starting states, so neither is picked over the other.
+    let strategy = new MaximumLikelihoodStrategy(2);
+    strategy.observe(weakZ, 0);
+    strategy.observe(weakZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.identity(2).times(0.5));
+    assertThat(strategy.predict(weakZ)).isApproximatelyEqualTo([0.5, 0.5]);
+});
+
+suite.test("estimate_nearTieIsStillDecided", () => {
+    // A barely informative outcome breaks an exact tie. Iterating towards the maximum would take many thousands of
+    // steps to notice, but the maximum is |0⟩ all the same.
+    let barely = Matrix.square(Math.sqrt(0.5001), 0, 0, Math.sqrt(0.4999));
+    let strategy = new MaximumLikelihoodStrategy(2);
+    strategy.observe(weakZ, 0);
+    strategy.observe(weakZ, 1);
+    strategy.observe({
+        probabilities: rho => [barely.times(rho).times(barely).trace().real],
+        collapse: rho => barely.times(rho).times(barely)
+    }, 0);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+});
+
+suite.test("observe_refuted", () => {
+    let strategy = new MaximumLikelihoodStrategy(2);
+    strategy.observe(measureZ, 0);
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("copy", () => {
+    let strategy = new MaximumLikelihoodStrategy(2);
+    strategy.observe(measureZ, 0);
+    let copy = strategy.copy();
+    strategy.applyChannel(hadamard);
+    assertThat(copy.estimate()).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0.5, 0.5, 0.5, 0.5));
+});
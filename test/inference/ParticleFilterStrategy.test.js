@@ -0,0 +1,93 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import ParticleFilterStrategy from "src/inference/ParticleFilterStrategy.js"
+
+import Matrix from "src/math/Matrix.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+import Random from "src/base/Random.js"
+
+let suite = new Suite("ParticleFilterStrategy");
+
+let measureZ = {
+    probabilities: rho => [rho.cell(0, 0).real, rho.cell(1, 1).real],
+    collapse: (rho, k) => Matrix.generate(2, 2, (r, c) => r === k && c === k ? rho.cell(c, r) : 0)
+};
+let weakKraus = [
+    Matrix.square(Math.sqrt(0.9), 0, 0, Math.sqrt(0.1)),
+    Matrix.square(Math.sqrt(0.1), 0, 0, Math.sqrt(0.9))
+];
+let weakZ = {
+    probabilities: rho => weakKraus.map(k => k.times(rho).times(k.adjoint()).trace().real),
+    collapse: (rho, k) => weakKraus[k].times(rho).times(weakKraus[k].adjoint())
+};
+
+suite.test("conditions", () => {
+    let strategy = new ParticleFilterStrategy(2, 50, new Random(1));
+    let predicted = strategy.predict(measureZ);
+    assertThat(predicted[0] + predicted[1]).isApproximatelyEqualTo(1);
+    assertThat(strategy.estimate().trace()).isApproximatelyEqualTo(1);
+
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+    assertThat(strategy.predict(measureZ)).isApproximatelyEqualTo([0, 1]);
+
+    assertThrows(() => new ParticleFilterStrategy(2, 0));
+});
+
+suite.test("approachesPostSelection", () => {
+    let filter = new ParticleFilterStrategy(2, 2000, new Random(2));
+    let exact = new PostSelectionStrategy(2);
+    let hadamard = rho => Matrix.HADAMARD.times(rho).times(Matrix.HADAMARD);
+    for (let outcome of [0, 0, 1, 0]) {
+        filter.observe(weakZ, outcome);
+        exact.observe(weakZ, outcome);
+        filter.applyChannel(hadamard);
+        exact.applyChannel(hadamard);
+    }
+    assertThat(filter.estimate()).isApproximatelyEqualTo(exact.estimate(), 0.05);
+    assertThat(filter.estimate().trace()).isApproximatelyEqualTo(1);
+});
+
+suite.test("observe_refuted", () => {
+    let strategy = new ParticleFilterStrategy(2, 10, new Random(3));
+    strategy.observe(measureZ, 0);
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("observe_refutedEvenAfterReset", () => {
+    // No state can produce outcome 1, so every particle is refuted, including the fresh ones.
+    let neverOne = {
+        probabilities: rho => [rho.trace().real, 0],
+        collapse: (rho, k) => k === 0 ? rho : Matrix.zero(2, 2)
+    };
+    let strategy = new ParticleFilterStrategy(2, 10, new Random(6));
+    strategy.observe(neverOne, 1);
+    let estimate = strategy.estimate();
+    assertThat(estimate.trace()).isApproximatelyEqualTo(1);
+    assertTrue(estimate.isApproximatelyHermitian(0.000001));
+    assertTrue(strategy.predict(measureZ).every(p => p >= 0 && p <= 1));
+
+    // Later observations still work.
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("seeded", () => {
+    let run = () => {
+        let strategy = new ParticleFilterStrategy(2, 20, new Random(4));
+        for (let outcome of [0, 1, 1, 0, 1, 1, 1]) {
+            strategy.observe(weakZ, outcome);
+        }
+        return strategy.estimate();
+    };
+    assertThat(run()).isEqualTo(run());
+});
+
+suite.test("copy", () => {
+    let strategy = new ParticleFilterStrategy(2, 10, new Random(5));
+    let copy = strategy.copy();
+    let before = strategy.estimate();
+    strategy.observe(measureZ, 0);
+    assertThat(copy.estimate()).isEqualTo(before);
+    assertThat(strategy.copy().estimate()).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+});
@@ -0,0 +1,39 @@
+import { Suite, assertThat } from "test/TestUtil.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("PostSelectionStrategy");
+
+let measureZ = {
+    probabilities: rho => [rho.cell(0, 0).real, rho.cell(1, 1).real],
+    collapse: (rho, k) => Matrix.generate(2, 2, (r, c) => r === k && c === k ? rho.cell(c, r) : 0)
+};
+let hadamard = rho => Matrix.HADAMARD.times(rho).times(Matrix.HADAMARD);
+
+suite.test("conditions", () => {
+    let strategy = new PostSelectionStrategy(2);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    assertThat(strategy.predict(measureZ)).isApproximatelyEqualTo([0.5, 0.5]);
+
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+    strategy.applyChannel(hadamard);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0.5, -0.5, -0.5, 0.5));
+    assertThat(strategy.predict(measureZ)).isApproximatelyEqualTo([0.5, 0.5]);
+});
+
+suite.test("observe_refuted", () => {
+    let strategy = new PostSelectionStrategy(2);
+    strategy.observe(measureZ, 0);
+    strategy.observe(measureZ, 1);
+    assertThat(strategy.estimate()).isApproximatelyEqualTo(Matrix.square(0, 0, 0, 1));
+});
+
+suite.test("copy", () => {
+    let strategy = new PostSelectionStrategy(2);
+    let copy = strategy.copy();
+    strategy.observe(measureZ, 0);
+    assertThat(copy.estimate()).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.5));
+    assertThat(strategy.copy().estimate()).isApproximatelyEqualTo(Matrix.square(1, 0, 0, 0));
+});
@@ -0,0 +1,116 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import Gates from "src/math/Gates.js"
+
+import Complex from "src/math/Complex.js"
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("Gates");
+
+let i = Complex.I;
+
+suite.test("controlify", () => {
+    let xx = Matrix.PAULI_X.tensorProduct(Matrix.PAULI_X);
+    assertThat(Gates.controlify(Matrix.identity(2).tensorProduct(Matrix.PAULI_X), 2)).isEqualTo(Matrix.square(
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 0, 1,
+        0, 0, 1, 0));
+    assertThat(Gates.controlify(Matrix.identity(2).tensorProduct(Matrix.PAULI_X), 2, 0)).isEqualTo(Matrix.square(
+        0, 1, 0, 0,
+        1, 0, 0, 0,
+        0, 0, 1, 0,
+        0, 0, 0, 1));
+    assertThat(Gates.controlify(xx, 0)).isEqualTo(xx);
+});
+
+suite.test("expand", () => {
+    assertThat(Gates.expand(Matrix.PAULI_X, [0], 2)).isEqualTo(Matrix.identity(2).tensorProduct(Matrix.PAULI_X));
+    assertThat(Gates.expand(Matrix.PAULI_X, [1], 2)).isEqualTo(Matrix.PAULI_X.tensorProduct(Matrix.identity(2)));
+    assertThat(Gates.expand(Matrix.PAULI_X, [1], 2, [0])).isEqualTo(Matrix.square(
+        1, 0, 0, 0,
+        0, 0, 0, 1,
+        0, 0, 1, 0,
+        0, 1, 0, 0));
+    assertThat(Gates.expand(Matrix.PAULI_X, [1], 2, [], [0])).isEqualTo(Matrix.square(
+        0, 0, 1, 0,
+        0, 1, 0, 0,
+        1, 0, 0, 0,
+        0, 0, 0, 1));
+
+    // Multi-qubit operations on non-adjacent targets, in either order.
+    let zy = Matrix.PAULI_Z.tensorProduct(Matrix.PAULI_Y);
+    assertThat(Gates.expand(zy, [0, 2], 3)).isEqualTo(
+        Matrix.PAULI_Z.tensorProduct(Matrix.identity(2)).tensorProduct(Matrix.PAULI_Y));
+    assertThat(Gates.expand(zy, [2, 0], 3)).isEqualTo(
+        Matrix.PAULI_Y.tensorProduct(Matrix.identity(2)).tensorProduct(Matrix.PAULI_Z));
+
+    assertThrows(() => Gates.expand(zy, [0], 3));
+    assertThrows(() => Gates.expand(zy, [0, 0], 3));
+    assertThrows(() => Gates.expand(zy, [0, 3], 3));
+    assertThrows(() => Gates.expand(Matrix.PAULI_X, [0], 3, [1], [1]));
+});
+
+suite.test("swap", () => {
+    assertThat(Gates.swap(2, 0, 1)).isEqualTo(Matrix.square(
+        1, 0, 0, 0,
+        0, 0, 1, 0,
+        0, 1, 0, 0,
+        0, 0, 0, 1));
+    assertThat(Gates.swap(3, 0, 2)).isEqualTo(Matrix.fromWireSwap(3, 0, 2));
+    assertThat(Gates.swap(3, 0, 1, [], [2])).isEqualTo(Gates.controlify(Matrix.fromWireSwap(3, 0, 1), 4, 0));
+    assertThrows(() => Gates.swap(2, 0, 0));
+    assertThrows(() => Gates.swap(2, 0, 1, [1]));
+});
+
+suite.test("iSwap", () => {
+    assertThat(Gates.iSwap(2, 0, 1)).isEqualTo(Gates.I_SWAP);
+    assertThat(Gates.iSwap(2, 1, 0)).isEqualTo(Gates.I_SWAP);
+    assertTrue(Gates.iSwap(3, 2, 0).isUnitary(0.000001));
+});
+
+suite.test("toffoli", () => {
+    let t = Gates.toffoli(3, 0, 1, 2);
+    for (let k = 0; k < 8; k++) {
+        let expected = k >= 3 && (k & 3) === 3 ? k ^ 4 : k;
+        assertThat(t.times(Matrix.generate(1, 8, r => r === k ? 1 : 0))).isEqualTo(
+            Matrix.generate(1, 8, r => r === expected ? 1 : 0));
+    }
+});
+
+suite.test("fredkin", () => {
+    assertThat(Gates.fredkin(3, 2, 0, 1)).isEqualTo(Gates.controlify(Matrix.fromWireSwap(3, 0, 1), 4));
+});
+
+suite.test("controlledPhase", () => {
+    assertThat(Gates.controlledPhase(2, 0, 1)).isApproximatelyEqualTo(Matrix.square(
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 1, 0,
+        0, 0, 0, -1));
+    assertThat(Gates.controlledPhase(2, 1, 0, Math.PI/2)).isApproximatelyEqualTo(Matrix.square(
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 1, 0,
+        0, 0, 0, i));
+});
+
+suite.test("qft", () => {
+    assertThat(Gates.qft(1)).isApproximatelyEqualTo(Matrix.HADAMARD);
+    let s = 0.5;
+    assertThat(Gates.qft(2)).isApproximatelyEqualTo(Matrix.square(
+        1, 1, 1, 1,
+        1, i, -1, i.times(-1),
+        1, -1, 1, -1,
+        1, i.times(-1), -1, i).times(s));
+    assertTrue(Gates.qft(3).isUnitary(0.000001));
+    assertThat(Gates.qft(3).times(Gates.inverseQft(3))).isApproximatelyEqualTo(Matrix.identity(8));
+
+    // A sub-range leaves other qubits alone.
+    assertThat(Gates.qft(3, 1, 1)).isApproximatelyEqualTo(Gates.expand(Matrix.HADAMARD, [1], 3));
+    assertThat(Gates.qft(4, 1, 2)).isApproximatelyEqualTo(
+        Matrix.identity(2).tensorProduct(Gates.qft(2)).tensorProduct(Matrix.identity(2)));
+    assertThat(Gates.inverseQft(4, 2)).isApproximatelyEqualTo(
+        Gates.inverseQft(2).tensorProduct(Matrix.identity(4)));
+
+    assertThrows(() => Gates.qft(2, 2));
+});
@@ -512,6 +512,55 @@ suite.test("closestUnitary_2x2", () => {
         isApproximatelyEqualTo(Matrix.square(1, 0, 0, Complex.I.times(-1)));
 });
 
+suite.test("singularValueDecomposition", () => {
+    let z = Matrix.zero(3, 3).singularValueDecomposition();
+    assertTrue(z.u.isUnitary(0.000001));
+    assertThat(z.s).isApproximatelyEqualTo(Matrix.zero(3, 3));
+    assertTrue(z.v.isUnitary(0.000001));
+
+    let m = Matrix.square(
+        1, Complex.I.times(2), 3, 0,
+        4, 5, 0, new Complex(1, -1),
+        0, 0, 2, 2,
+        -1, Complex.I, 0, 3);
+    let d = m.singularValueDecomposition();
+    assertTrue(d.u.isUnitary(0.000001));
+    assertTrue(d.v.isUnitary(0.000001));
+    assertThat(d.u.times(d.s).times(d.v)).isApproximatelyEqualTo(m);
+    let sigmas = Seq.range(4).map(k => d.s.cell(k, k).real).toArray();
+    assertThat(sigmas).isEqualTo(sigmas.slice().sort((a, b) => b - a));
+    let expectedSquares = m.adjoint().times(m).hermitianEigenDecomposition().map(e => e.val).reverse();
+    assertThat(sigmas.map(e => e*e)).isApproximatelyEqualTo(expectedSquares, 0.00001);
+
+    // Rank deficient.
+    let r = Matrix.col(1, Complex.I, 0).times(Matrix.row(2, 0, 1));
+    let rd = r.singularValueDecomposition();
+    assertTrue(rd.u.isUnitary(0.000001));
+    assertThat(rd.s).isApproximatelyEqualTo(Matrix.square(Math.sqrt(10), 0, 0, 0, 0, 0, 0, 0, 0));
+    assertThat(rd.u.times(rd.s).times(rd.v)).isApproximatelyEqualTo(r);
+
+    assertThrows(() => Matrix.col(1, 2).singularValueDecomposition());
+});
+
+suite.test("closestUnitary", () => {
+    let cnot = Matrix.square(
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 0, 1,
+        0, 0, 1, 0);
+    assertThat(cnot.closestUnitary()).isApproximatelyEqualTo(cnot);
+    assertThat(cnot.times(3).closestUnitary()).isApproximatelyEqualTo(cnot);
+
+    let drifted = cnot.plus(Matrix.generate(4, 4, (r, c) => new Complex(0.001 * (r - c), 0.0005 * (r + c))));
+    assertFalse(drifted.isUnitary(0.000001));
+    let repaired = drifted.closestUnitary();
+    assertTrue(repaired.isUnitary(0.000001));
+    assertThat(repaired).isApproximatelyEqualTo(cnot, 0.01);
+
+    assertThat(Matrix.identity(8).times(Complex.I).closestUnitary()).isApproximatelyEqualTo(
+        Matrix.identity(8).times(Complex.I));
+});
+
 suite.test("eigenDecomposition", () => {
     let s = Math.sqrt(0.5);
     let z = Math.sqrt(2);
@@ -541,6 +590,84 @@ suite.test("eigenDecomposition", () => {
     ]);
 });
 
+suite.test("eigenDecomposition_hermitian", () => {
+    let h = Matrix.square(
+        2, new Complex(0, 1), 0,
+        new Complex(0, -1), 2, 0,
+        0, 0, 5);
+    let decomposition = h.eigenDecomposition();
+    assertThat(decomposition.map(e => e.val)).isApproximatelyEqualTo([1, 3, 5]);
+    for (let {val, vec} of decomposition) {
+        assertThat(h.times(vec)).isApproximatelyEqualTo(vec.times(val));
+    }
+
+    assertThrows(() => Matrix.square(1, 1, 0, 0, 1, 1, 0, 0, 1).eigenDecomposition());
+});
+
+suite.test("hermitianEigenDecomposition", () => {
+    assertThat(Matrix.identity(3).hermitianEigenDecomposition()).isEqualTo([
+        {val: 1, vec: Matrix.col(1, 0, 0)},
+        {val: 1, vec: Matrix.col(0, 1, 0)},
+        {val: 1, vec: Matrix.col(0, 0, 1)}
+    ]);
+    assertThat(Matrix.PAULI_Y.hermitianEigenDecomposition().map(e => e.val)).isApproximatelyEqualTo([-1, 1]);
+
+    // A degenerate spectrum hidden behind a non-trivial change of basis.
+    let u = Matrix.HADAMARD.tensorProduct(Matrix.fromAngleAxisPhaseRotation(1, [0, 0.6, 0.8])).
+        tensorProduct(Matrix.square(1, 0, 0, Complex.I));
+    let d = Matrix.generate(8, 8, (r, c) => r === c ? [0.5, 0.25, 0.25, 0, 0, 0, 0, 0][r] : 0);
+    let h = u.times(d).times(u.adjoint());
+    let decomposition = h.hermitianEigenDecomposition();
+    assertThat(decomposition.map(e => e.val)).isApproximatelyEqualTo([0, 0, 0, 0, 0, 0.25, 0.25, 0.5]);
+    let reconstructed = Matrix.zero(8, 8);
+    for (let {val, vec} of decomposition) {
+        assertThat(vec.norm2()).isApproximatelyEqualTo(1);
+        assertThat(h.times(vec)).isApproximatelyEqualTo(vec.times(val));
+        reconstructed = reconstructed.plus(vec.times(vec.adjoint()).times(val));
+    }
+    assertThat(reconstructed).isApproximatelyEqualTo(h);
+
+    assertThrows(() => Matrix.col(1, 2).hermitianEigenDecomposition());
+});
+
+suite.test("inverse", () => {
+    assertThat(Matrix.identity(3).inverse()).isEqualTo(Matrix.identity(3));
+    assertThat(Matrix.square(2, 0, 0, 4).inverse()).isApproximatelyEqualTo(Matrix.square(0.5, 0, 0, 0.25));
+    assertThat(Matrix.PAULI_Y.inverse()).isApproximatelyEqualTo(Matrix.PAULI_Y);
+
+    let m = Matrix.square(
+        0, 1, 2,
+        Complex.I, 0, 3,
+        1, new Complex(1, -1), 0);
+    assertThat(m.times(m.inverse())).isApproximatelyEqualTo(Matrix.identity(3));
+    assertThat(m.inverse().times(m)).isApproximatelyEqualTo(Matrix.identity(3));
+
+    assertThrows(() => Matrix.square(1, 2, 2, 4).inverse());
+    assertThrows(() => Matrix.col(1, 2).inverse());
+});
+
+suite.test("expm", () => {
+    let i = Complex.I;
+    assertThat(Matrix.zero(3, 3).expm()).isApproximatelyEqualTo(Matrix.identity(3));
+    assertThat(Matrix.square(1, 0, 0, -2).expm()).isApproximatelyEqualTo(Matrix.square(Math.E, 0, 0, Math.exp(-2)));
+    assertThat(Matrix.square(0, 1, 0, 0).expm()).isApproximatelyEqualTo(Matrix.square(1, 1, 0, 1));
+    assertThat(Matrix.PAULI_X.times(i.times(Math.PI/2)).expm()).isApproximatelyEqualTo(Matrix.PAULI_X.times(i));
+
+    // Agrees with the angle-axis parameterization of single-qubit rotations.
+    let axis = [0.6, 0, 0.8];
+    let generator = Matrix.PAULI_X.times(axis[0]).plus(Matrix.PAULI_Z.times(axis[2]));
+    assertThat(generator.times(i.times(-3/2)).expm()).isApproximatelyEqualTo(
+        Matrix.fromAngleAxisPhaseRotation(3, axis));
+
+    // Large norms are handled by scaling and squaring.
+    let xx = Matrix.PAULI_X.tensorProduct(Matrix.PAULI_X);
+    assertThat(xx.times(i.times(-25)).expm()).isApproximatelyEqualTo(
+        Matrix.identity(4).times(Math.cos(25)).plus(xx.times(i.times(-Math.sin(25)))));
+    assertThat(xx.times(i.times(-25)).expm()).isApproximatelyEqualTo(xx.liftApply(c => c.times(i.times(-25)).exp()));
+
+    assertThrows(() => Matrix.col(1, 2).expm());
+});
+
 suite.test("liftApply", () => {
     let i = Complex.I;
     let mi = Complex.I.times(-1);
@@ -574,6 +701,11 @@ suite.test("liftApply", () => {
 
     assertThat(Matrix.PAULI_Z.liftApply(tPow(0.5))).isApproximatelyEqualTo(Matrix.square(1, 0, 0, i));
     assertThat(Matrix.PAULI_Z.liftApply(tPow(-0.5))).isApproximatelyEqualTo(Matrix.square(1, 0, 0, mi));
+
+    let xx = Matrix.PAULI_X.tensorProduct(Matrix.PAULI_X);
+    assertThat(xx.liftApply(tExpi(Math.PI/2))).isApproximatelyEqualTo(xx.times(i));
+    let mixed = Matrix.square(0.5, 0.25, 0.25, 0.5).tensorProduct(Matrix.square(0.75, 0, 0, 0.25));
+    assertThat(mixed.liftApply(tPow(0.5)).times(mixed.liftApply(tPow(0.5)))).isApproximatelyEqualTo(mixed);
 });
 
 suite.test("trace", () => {
@@ -0,0 +1,114 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import Metrics from "src/math/Metrics.js"
+
+import Complex from "src/math/Complex.js"
+import Matrix from "src/math/Matrix.js"
+import Random from "src/base/Random.js"
+import RandomStates from "src/math/RandomStates.js"
+
+let suite = new Suite("Metrics");
+
+let pureDensity = col => col.times(col.adjoint());
+let zero = pureDensity(Matrix.col(1, 0));
+let one = pureDensity(Matrix.col(0, 1));
+let plus = pureDensity(Matrix.col(Math.sqrt(0.5), Math.sqrt(0.5)));
+let mixed = Matrix.identity(2).times(0.5);
+
+suite.test("eigenvalues", () => {
+    assertThat(Metrics.eigenvalues(Matrix.square(2, 0, 0, 3))).isApproximatelyEqualTo([3, 2]);
+    assertThat(Metrics.eigenvalues(Matrix.PAULI_Y)).isApproximatelyEqualTo([1, -1]);
+    assertThat(Metrics.eigenvalues(plus)).isApproximatelyEqualTo([1, 0]);
+
+    let rng = new Random(5);
+    let u = RandomStates.haarUnitary(8, rng);
+    let d = Matrix.generate(8, 8, (r, c) => r === c ? r - 3.5 : 0);
+    assertThat(Metrics.eigenvalues(u.times(d).times(u.adjoint()))).isApproximatelyEqualTo(
+        [3.5, 2.5, 1.5, 0.5, -0.5, -1.5, -2.5, -3.5]);
+
+    assertThrows(() => Metrics.eigenvalues(Matrix.col(1, 0)));
+});
+
+suite.test("dominantEigenvector", () => {
+    let overlap = (a, b) => a.adjoint().times(b).trace().norm2();
+    assertThat(overlap(Metrics.dominantEigenvector(Matrix.square(0.25, 0, 0, 0.75)), Matrix.col(0, 1))).
+        isApproximatelyEqualTo(1);
+    assertThat(overlap(Metrics.dominantEigenvector(plus), Matrix.col(1, 1).times(Math.sqrt(0.5)))).
+        isApproximatelyEqualTo(1);
+
+    let psi = RandomStates.haarState(3, new Random(2));
+    let rho = pureDensity(psi).times(0.6).plus(Matrix.identity(8).times(0.05));
+    let guess = Metrics.dominantEigenvector(rho);
+    assertThat(guess.adjoint().times(guess).trace()).isApproximatelyEqualTo(1);
+    assertThat(overlap(guess, psi)).isApproximatelyEqualTo(1);
+});
+
+suite.test("purity", () => {
+    assertThat(Metrics.purity(zero)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.purity(plus)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.purity(mixed)).isApproximatelyEqualTo(0.5);
+    assertThat(Metrics.purity(Matrix.identity(8).times(1/8))).isApproximatelyEqualTo(1/8);
+});
+
+suite.test("entropy", () => {
+    assertThat(Metrics.entropy(zero)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.entropy(plus)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.entropy(mixed)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.entropy(Matrix.identity(8).times(1/8))).isApproximatelyEqualTo(3);
+    assertThat(Metrics.entropy(Matrix.square(0.75, 0, 0, 0.25))).isApproximatelyEqualTo(
+        -0.75*Math.log2(0.75) - 0.25*Math.log2(0.25));
+});
+
+suite.test("traceDistance", () => {
+    assertThat(Metrics.traceDistance(zero, zero)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.traceDistance(zero, one)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.traceDistance(zero, mixed)).isApproximatelyEqualTo(0.5);
+    assertThat(Metrics.traceDistance(zero, plus)).isApproximatelyEqualTo(Math.sqrt(0.5));
+});
+
+suite.test("hilbertSchmidtDistance", () => {
+    assertThat(Metrics.hilbertSchmidtDistance(zero, zero)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.hilbertSchmidtDistance(zero, one)).isApproximatelyEqualTo(Math.sqrt(2));
+    assertThat(Metrics.hilbertSchmidtDistance(zero, mixed)).isApproximatelyEqualTo(Math.sqrt(0.5));
+});
+
+suite.test("fidelity", () => {
+    assertThat(Metrics.fidelity(zero, zero)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.fidelity(zero, one)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.fidelity(zero, plus)).isApproximatelyEqualTo(0.5);
+    assertThat(Metrics.fidelity(mixed, mixed)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.fidelity(zero, mixed)).isApproximatelyEqualTo(0.5);
+
+    let rng = new Random(7);
+    let a = RandomStates.mixedState(2, 'hilbert-schmidt', rng);
+    let b = RandomStates.mixedState(2, 'hilbert-schmidt', rng);
+    assertThat(Metrics.fidelity(a, b)).isApproximatelyEqualTo(Metrics.fidelity(b, a));
+    assertThat(Metrics.fidelity(a, a)).isApproximatelyEqualTo(1);
+
+    let psi = RandomStates.haarState(2, rng);
+    assertThat(Metrics.fidelity(pureDensity(psi), b)).isApproximatelyEqualTo(
+        Metrics.fidelityWithPureState(psi, b));
+});
+
+suite.test("fidelityWithPureState", () => {
+    assertThat(Metrics.fidelityWithPureState(Matrix.col(1, 0), zero)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.fidelityWithPureState(Matrix.col(1, 0), one)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.fidelityWithPureState(Matrix.col(1, 0), mixed)).isApproximatelyEqualTo(0.5);
+    assertThat(Metrics.fidelityWithPureState(Matrix.col(Math.sqrt(0.5), new Complex(0, Math.sqrt(0.5))), plus)).
+        isApproximatelyEqualTo(0.5);
+});
+
+suite.test("relativeEntropy", () => {
+    assertThat(Metrics.relativeEntropy(zero, zero)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.relativeEntropy(mixed, mixed)).isApproximatelyEqualTo(0);
+    assertThat(Metrics.relativeEntropy(zero, mixed)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.relativeEntropy(plus, mixed)).isApproximatelyEqualTo(1);
+    assertThat(Metrics.relativeEntropy(zero.tensorPower(3), Matrix.identity(8).times(1/8))).isApproximatelyEqualTo(3);
+    assertThat(Metrics.relativeEntropy(zero, one)).isEqualTo(Infinity);
+    assertThat(Metrics.relativeEntropy(mixed, zero)).isEqualTo(Infinity);
+
+    // Classical case reduces to the Kullback-Leibler divergence.
+    let p = Matrix.square(0.75, 0, 0, 0.25);
+    let q = Matrix.square(0.5, 0, 0, 0.5);
+    assertThat(Metrics.relativeEntropy(p, q)).isApproximatelyEqualTo(
+        0.75*Math.log2(0.75/0.5) + 0.25*Math.log2(0.25/0.5));
+});
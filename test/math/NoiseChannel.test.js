@@ -0,0 +1,53 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import NoiseChannel from "src/math/NoiseChannel.js"
+
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("NoiseChannel");
+
+suite.test("isTracePreserving", () => {
+    for (let p of [0, 0.1, 0.5, 1]) {
+        assertTrue(NoiseChannel.depolarizing(p).isTracePreserving(0.000001));
+        assertTrue(NoiseChannel.amplitudeDamping(p).isTracePreserving(0.000001));
+        assertTrue(NoiseChannel.phaseDamping(p).isTracePreserving(0.000001));
+        assertTrue(NoiseChannel.bitFlip(p).isTracePreserving(0.000001));
+    }
+    assertThat(new NoiseChannel('half', [Matrix.identity(2).times(0.5)]).isTracePreserving(0.000001)).
+        isEqualTo(false);
+});
+
+suite.test("applyToDensity", () => {
+    let plus = Matrix.square(1, 1, 1, 1).times(0.5);
+    let on = Matrix.square(0, 0, 0, 1);
+
+    assertThat(NoiseChannel.depolarizing(1).applyToDensity(plus)).isApproximatelyEqualTo(Matrix.identity(2).times(0.5));
+    assertThat(NoiseChannel.depolarizing(0.5).applyToDensity(on)).isApproximatelyEqualTo(Matrix.square(
+        0.25, 0,
+        0, 0.75));
+
+    assertThat(NoiseChannel.amplitudeDamping(0.25).applyToDensity(on)).isApproximatelyEqualTo(Matrix.square(
+        0.25, 0,
+        0, 0.75));
+    assertThat(NoiseChannel.amplitudeDamping(1).applyToDensity(plus)).isApproximatelyEqualTo(Matrix.square(
+        1, 0,
+        0, 0));
+
+    assertThat(NoiseChannel.phaseDamping(0.75).applyToDensity(plus)).isApproximatelyEqualTo(Matrix.square(
+        0.5, 0.25,
+        0.25, 0.5));
+    assertThat(NoiseChannel.phaseDamping(0.75).applyToDensity(on)).isApproximatelyEqualTo(on);
+
+    assertThat(NoiseChannel.bitFlip(0.25).applyToDensity(on)).isApproximatelyEqualTo(Matrix.square(
+        0.25, 0,
+        0, 0.75));
+    assertThat(NoiseChannel.bitFlip(0.25).applyToDensity(plus)).isApproximatelyEqualTo(plus);
+});
+
+suite.test("badArgs", () => {
+    assertThrows(() => NoiseChannel.depolarizing(-0.1));
+    assertThrows(() => NoiseChannel.amplitudeDamping(1.1));
+    assertThrows(() => NoiseChannel.phaseDamping(2));
+    assertThrows(() => NoiseChannel.bitFlip(-1));
+    assertThrows(() => new NoiseChannel('bad', []));
+    assertThrows(() => new NoiseChannel('bad', [Matrix.identity(4)]));
+});
@@ -0,0 +1,98 @@
+import { Suite, assertThat, assertThrows, assertTrue, assertFalse } from "test/TestUtil.js"
+import PauliSum from "src/math/PauliSum.js"
+
+import Complex from "src/math/Complex.js"
+import Matrix from "src/math/Matrix.js"
+
+let suite = new Suite("PauliSum");
+
+suite.test("parse", () => {
+    assertThat(PauliSum.parse("XZI").terms()).isEqualTo([{coefficient: Complex.ONE, paulis: "XZI"}]);
+    assertThat(PauliSum.parse("0.5*XZI + 0.2*YYZ").terms()).isEqualTo([
+        {coefficient: Complex.from(0.5), paulis: "XZI"},
+        {coefficient: Complex.from(0.2), paulis: "YYZ"}
+    ]);
+    assertThat(PauliSum.parse("-XX - 2i*YY + (1-i)*ZZ + 1e-3 ZI").terms()).isEqualTo([
+        {coefficient: Complex.from(-1), paulis: "XX"},
+        {coefficient: new Complex(0, -2), paulis: "YY"},
+        {coefficient: new Complex(1, -1), paulis: "ZZ"},
+        {coefficient: Complex.from(0.001), paulis: "ZI"}
+    ]);
+    assertThat(PauliSum.parse("X + 2X - .5*X").terms()).isEqualTo([{coefficient: Complex.from(2.5), paulis: "X"}]);
+
+    assertThrows(() => PauliSum.parse(""));
+    assertThrows(() => PauliSum.parse("XX + Z"));
+    assertThrows(() => PauliSum.parse("XA"));
+    assertThrows(() => PauliSum.parse("XX 2*ZZ"));
+    assertThrows(() => PauliSum.parse("0.5*"));
+});
+
+suite.test("toMatrix", () => {
+    assertThat(PauliSum.parse("X").toMatrix()).isEqualTo(Matrix.PAULI_X);
+    assertThat(PauliSum.parse("Y").toMatrix()).isEqualTo(Matrix.PAULI_Y);
+    assertThat(PauliSum.parse("Z").toMatrix()).isEqualTo(Matrix.PAULI_Z);
+    assertThat(PauliSum.parse("I").toMatrix()).isEqualTo(Matrix.identity(2));
+
+    // The first character applies to qubit 0, which is the least significant bit of the matrix's indices.
+    assertThat(PauliSum.parse("XZY").toMatrix()).isEqualTo(
+        Matrix.PAULI_Y.tensorProduct(Matrix.PAULI_Z).tensorProduct(Matrix.PAULI_X));
+    assertThat(PauliSum.parse("XI").toMatrix()).isEqualTo(Matrix.identity(2).tensorProduct(Matrix.PAULI_X));
+
+    assertThat(PauliSum.parse("0.5*XZI + 0.2*YYZ").toMatrix()).isApproximatelyEqualTo(
+        Matrix.identity(2).tensorProduct(Matrix.PAULI_Z).tensorProduct(Matrix.PAULI_X).times(0.5).plus(
+        Matrix.PAULI_Z.tensorProduct(Matrix.PAULI_Y).tensorProduct(Matrix.PAULI_Y).times(0.2)));
+    assertThat(PauliSum.parse("XX - YY").toMatrix()).isApproximatelyEqualTo(Matrix.square(
+        0, 0, 0, 2,
+        0, 0, 0, 0,
+        0, 0, 0, 0,
+        2, 0, 0, 0));
+});
+
+suite.test("plus_times", () => {
+    let a = PauliSum.parse("XY + ZZ");
+    let b = PauliSum.parse("2*ZZ - IX");
+    assertTrue(a.plus(b).isEqualTo(PauliSum.parse("XY + 3*ZZ - IX")));
+    assertTrue(a.times(Complex.I).isEqualTo(PauliSum.parse("i*XY + i*ZZ")));
+    assertFalse(a.isEqualTo(b));
+    assertThrows(() => a.plus(PauliSum.parse("X")));
+});
+
+suite.test("isHermitian", () => {
+    assertTrue(PauliSum.parse("XY - 0.5*ZZ").isHermitian());
+    assertFalse(PauliSum.parse("XY + i*ZZ").isHermitian());
+});
+
+suite.test("expectation", () => {
+    let s = Math.sqrt(0.5);
+    let bell = Matrix.col(s, 0, 0, s);
+    for (let text of ["XX", "YY", "ZZ", "ZI", "0.5*XX + 0.25*YZ - ZZ", "i*XY", "(2-i)*YX + IZ"]) {
+        let p = PauliSum.parse(text);
+        let m = p.toMatrix();
+        assertThat(p.expectation(bell)).isApproximatelyEqualTo(bell.adjoint().times(m).times(bell).trace());
+
+        let rho = Matrix.square(
+            0.4, 0.1, new Complex(0, 0.1), 0,
+            0.1, 0.3, 0, 0.05,
+            new Complex(0, -0.1), 0, 0.2, 0,
+            0, 0.05, 0, 0.1);
+        assertThat(p.expectation(rho)).isApproximatelyEqualTo(rho.times(m).trace());
+    }
+    assertThat(PauliSum.parse("XX").expectation(bell)).isApproximatelyEqualTo(1);
+    assertThat(PauliSum.parse("YY").expectation(bell)).isApproximatelyEqualTo(-1);
+    assertThrows(() => PauliSum.parse("X").expectation(bell));
+});
+
+suite.test("rotation", () => {
+    assertThat(PauliSum.parse("X").rotation(Math.PI/2)).isApproximatelyEqualTo(
+        Matrix.PAULI_X.times(new Complex(0, -1)));
+    assertThat(PauliSum.parse("Y").rotation(0.35)).isApproximatelyEqualTo(
+        Matrix.fromAngleAxisPhaseRotation(0.7, [0, 1, 0]));
+    assertThat(PauliSum.parse("0.5*ZX").rotation(3)).isApproximatelyEqualTo(
+        PauliSum.parse("ZX").toMatrix().times(new Complex(0, -1.5)).expm());
+    assertThrows(() => PauliSum.parse("X + Z").rotation(1));
+    assertThrows(() => PauliSum.parse("i*X").rotation(1));
+});
+
+suite.test("toString", () => {
+    assertThat(PauliSum.parse("XY - 0.5*ZZ").toString()).isEqualTo("(1)*XY + (-½)*ZZ");
+});
@@ -0,0 +1,61 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import PredictionScores from "src/math/PredictionScores.js"
+
+let suite = new Suite("PredictionScores");
+
+suite.test("logLoss", () => {
+    assertThat(PredictionScores.logLoss([])).isEqualTo(0);
+    assertThat(PredictionScores.logLoss([{predicted: [0.5, 0.5], outcome: 1}])).isEqualTo(1);
+    assertThat(PredictionScores.logLoss([
+        {predicted: [1, 0], outcome: 0},
+        {predicted: [0.25, 0.25, 0.5], outcome: 0}
+    ])).isEqualTo(1);
+
+    // Refuted predictions are costly, but don't drown out everything else.
+    let refuted = -Math.log2(PredictionScores.LOG_LOSS_EPSILON);
+    assertThat(PredictionScores.logLoss([{predicted: [1, 0], outcome: 1}])).isApproximatelyEqualTo(refuted);
+    assertThat(PredictionScores.logLoss([
+        {predicted: [1, 0], outcome: 1},
+        {predicted: [0.5, 0.5], outcome: 0},
+        {predicted: [1, 0], outcome: 0}
+    ])).isApproximatelyEqualTo((refuted + 1) / 3);
+    assertThat(PredictionScores.logLoss([{predicted: [1, -0.000001], outcome: 1}])).isApproximatelyEqualTo(refuted);
+
+    assertThrows(() => PredictionScores.logLoss([{predicted: [1, 0], outcome: 2}]));
+    assertThrows(() => PredictionScores.logLoss([{predicted: [1, 0]}]));
+    assertThrows(() => PredictionScores.logLoss(null));
+});
+
+suite.test("brierScore", () => {
+    assertThat(PredictionScores.brierScore([])).isEqualTo(0);
+    assertThat(PredictionScores.brierScore([{predicted: [1, 0], outcome: 0}])).isEqualTo(0);
+    assertThat(PredictionScores.brierScore([{predicted: [1, 0], outcome: 1}])).isEqualTo(2);
+    assertThat(PredictionScores.brierScore([
+        {predicted: [0.5, 0.5], outcome: 0},
+        {predicted: [0.25, 0.75], outcome: 1}
+    ])).isEqualTo((0.5 + 0.125) / 2);
+    assertThrows(() => PredictionScores.brierScore([{predicted: [1, 0], outcome: -1}]));
+});
+
+suite.test("calibration", () => {
+    let bins = PredictionScores.calibration([
+        {predicted: [0.3, 0.7], outcome: 1},
+        {predicted: [0.2, 0.8], outcome: 0},
+        {predicted: [0, 1], outcome: 1}
+    ], 4);
+    assertThat(bins.map(e => [e.low, e.high, e.count])).isEqualTo([
+        [0, 0.25, 2],
+        [0.25, 0.5, 1],
+        [0.5, 0.75, 1],
+        [0.75, 1, 2]
+    ]);
+    assertThat(bins.map(e => e.meanPredicted)).isApproximatelyEqualTo([0.1, 0.3, 0.7, 0.9]);
+    assertThat(bins.map(e => e.observedFrequency)).isEqualTo([0.5, 0, 1, 0.5]);
+
+    let empty = PredictionScores.calibration([]);
+    assertThat(empty.length).isEqualTo(10);
+    assertThat(empty[0].count).isEqualTo(0);
+    assertTrue(isNaN(empty[0].meanPredicted));
+    assertTrue(isNaN(empty[0].observedFrequency));
+    assertThrows(() => PredictionScores.calibration([], 0));
+});
@@ -0,0 +1,42 @@
+import { Suite, assertThat, assertThrows, assertTrue } from "test/TestUtil.js"
+import RandomStates from "src/math/RandomStates.js"
+
+import Random from "src/base/Random.js"
+
+let suite = new Suite("RandomStates");
+
+suite.test("haarState", () => {
+    let state = RandomStates.haarState(3, new Random(1));
+    assertThat(state.width()).isEqualTo(1);
+    assertThat(state.height()).isEqualTo(8);
+    assertThat(state.norm2()).isApproximatelyEqualTo(1);
+    assertThat(RandomStates.haarState(3, new Random(1))).isEqualTo(state);
+    assertThat(RandomStates.haarState(3, new Random(2))).isNotEqualTo(state);
+
+    // Haar-random states put 1/d of their weight on each basis state, on average.
+    let rng = new Random(3);
+    let total = 0;
+    for (let i = 0; i < 500; i++) {
+        total += RandomStates.haarState(2, rng).cell(0, 0).norm2();
+    }
+    assertThat(total / 500).isApproximatelyEqualTo(0.25, 0.03);
+});
+
+suite.test("haarUnitary", () => {
+    let rng = new Random(4);
+    for (let size of [1, 2, 4]) {
+        assertTrue(RandomStates.haarUnitary(size, rng).isUnitary(0.000001));
+    }
+    assertThat(RandomStates.haarUnitary(4, new Random(5))).isEqualTo(RandomStates.haarUnitary(4, new Random(5)));
+});
+
+suite.test("mixedState", () => {
+    let rng = new Random(6);
+    for (let ensemble of ['hilbert-schmidt', 'bures']) {
+        let rho = RandomStates.mixedState(2, ensemble, rng);
+        assertThat(rho.trace()).isApproximatelyEqualTo(1);
+        assertTrue(rho.isApproximatelyHermitian(0.000001));
+        assertThat(rho.times(rho).trace().real).isLessThan(1);
+    }
+    assertThrows(() => RandomStates.mixedState(2, 'unknown', rng));
+});
@@ -0,0 +1,34 @@
+import { Suite, assertThat, assertThrows } from "test/TestUtil.js"
+import Statistics from "src/math/Statistics.js"
+
+let suite = new Suite("Statistics");
+
+suite.test("mean", () => {
+    assertThat(Statistics.mean([2])).isEqualTo(2);
+    assertThat(Statistics.mean([1, 2, 3, 6])).isEqualTo(3);
+    assertThrows(() => Statistics.mean([]));
+    assertThrows(() => Statistics.mean([1, NaN]));
+});
+
+suite.test("percentile", () => {
+    let values = [5, 1, 4, 2, 3];
+    assertThat(Statistics.percentile(values, 0)).isEqualTo(1);
+    assertThat(Statistics.percentile(values, 100)).isEqualTo(5);
+    assertThat(Statistics.percentile(values, 50)).isEqualTo(3);
+    assertThat(Statistics.percentile(values, 10)).isApproximatelyEqualTo(1.4);
+    assertThat(Statistics.percentile([0, 10], 75)).isEqualTo(7.5);
+    assertThat(Statistics.percentile([1, Infinity, Infinity], 75)).isEqualTo(Infinity);
+    assertThat(values).isEqualTo([5, 1, 4, 2, 3]);
+    assertThrows(() => Statistics.percentile(values, 101));
+    assertThrows(() => Statistics.percentile(values, -1));
+});
+
+suite.test("median", () => {
+    assertThat(Statistics.median([3, 1, 2])).isEqualTo(2);
+    assertThat(Statistics.median([4, 1, 2, 3])).isEqualTo(2.5);
+});
+
+suite.test("standardDeviation", () => {
+    assertThat(Statistics.standardDeviation([7])).isEqualTo(0);
+    assertThat(Statistics.standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).isApproximatelyEqualTo(Math.sqrt(32/7));
+});
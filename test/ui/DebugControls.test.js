@@ -0,0 +1,108 @@
+import { Suite, assertThat, assertThrows, assertTrue, assertFalse } from "test/TestUtil.js"
+import DebugControls from "src/ui/DebugControls.js"
+
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import Matrix from "src/math/Matrix.js"
+import Random from "src/base/Random.js"
+
+let suite = new Suite("DebugControls");
+
+let makeControls = (maxHistory = 1000) => {
+    let qpu = EveQuantumComputer.withRandomInitialState(2, new Random(5));
+    let advance = () => {
+        qpu.applyGate(Matrix.HADAMARD, 0);
+        qpu.applyGate(Matrix.PAULI_X, 1, [0]);
+        qpu.measureQubit(1);
+    };
+    let changeCount = 0;
+    let controls = new DebugControls(qpu, advance, () => changeCount++, 100, maxHistory);
+    return {qpu, controls, changes: () => changeCount};
+};
+
+let stateOf = qpu => ({
+    hidden: qpu.snapshot().hiddenState,
+    inferred: qpu.snapshot().inferredDensity,
+    log: qpu.exportLog()
+});
+
+suite.test("stepForwardAndBack", () => {
+    let {qpu, controls, changes} = makeControls();
+    let start = stateOf(qpu);
+    assertFalse(controls.canStepBack());
+    assertFalse(controls.stepBack());
+
+    controls.stepForward();
+    let afterOne = stateOf(qpu);
+    controls.stepForward();
+    let afterTwo = stateOf(qpu);
+    assertThat(controls.stepIndex()).isEqualTo(2);
+    assertThat(changes()).isEqualTo(2);
+    assertThat(afterTwo.log).isNotEqualTo(afterOne.log);
+
+    assertTrue(controls.stepBack());
+    assertThat(stateOf(qpu)).isEqualTo(afterOne);
+    assertTrue(controls.stepBack());
+    assertThat(stateOf(qpu)).isEqualTo(start);
+    assertThat(controls.stepIndex()).isEqualTo(0);
+
+    // Going forward again revisits the same states, instead of sampling new outcomes.
+    controls.stepForward();
+    controls.stepForward();
+    assertThat(stateOf(qpu)).isEqualTo(afterTwo);
+    controls.stepForward();
+    assertThat(controls.stepIndex()).isEqualTo(3);
+});
+
+suite.test("stepBack_thenDiverge", () => {
+    let {qpu, controls} = makeControls();
+    controls.runSteps(3);
+    controls.stepBack();
+    controls.stepBack();
+    qpu.applyGate(Matrix.PAULI_Z, 0);
+    controls.runSteps(0);
+    assertThat(controls.stepIndex()).isEqualTo(1);
+
+    // The restored checkpoints must not be corrupted by changes made to the computer after restoring them.
+    controls.stepBack();
+    let start = stateOf(qpu);
+    controls.stepForward();
+    controls.stepBack();
+    assertThat(stateOf(qpu)).isEqualTo(start);
+});
+
+suite.test("runSteps", () => {
+    let {qpu, controls, changes} = makeControls();
+    controls.runSteps(5);
+    assertThat(controls.stepIndex()).isEqualTo(5);
+    assertThat(changes()).isEqualTo(1);
+    assertThat(JSON.parse(qpu.exportLog()).events.length).isEqualTo(15);
+    assertThrows(() => controls.runSteps(-1));
+    assertThrows(() => controls.runSteps(1.5));
+});
+
+suite.test("maxHistory", () => {
+    let {controls} = makeControls(3);
+    controls.runSteps(10);
+    assertThat(controls.stepIndex()).isEqualTo(10);
+    assertTrue(controls.stepBack());
+    assertTrue(controls.stepBack());
+    assertFalse(controls.stepBack());
+    assertThat(controls.stepIndex()).isEqualTo(8);
+});
+
+suite.test("playAndPause", () => {
+    let {controls, changes} = makeControls();
+    assertFalse(controls.isPlaying());
+    controls.play();
+    assertTrue(controls.isPlaying());
+    controls.setPeriod(50);
+    assertThat(controls.period()).isEqualTo(50);
+    assertTrue(controls.isPlaying());
+    controls.togglePlaying();
+    assertFalse(controls.isPlaying());
+    controls.pause();
+    assertFalse(controls.isPlaying());
+    assertThat(controls.stepIndex()).isEqualTo(0);
+    assertTrue(changes() >= 2);
+    assertThrows(() => controls.setPeriod(0));
+});
@@ -0,0 +1,75 @@
+import { Suite, assertThat, assertThrows } from "test/TestUtil.js"
+import MetricsHistory from "src/ui/MetricsHistory.js"
+
+import EveQuantumComputer from "src/EveQuantumComputer.js"
+import Matrix from "src/math/Matrix.js"
+import PostSelectionStrategy from "src/inference/PostSelectionStrategy.js"
+
+let suite = new Suite("MetricsHistory");
+
+suite.test("record", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0, 0, 0));
+    qpu.addComparisonStrategy('same', new PostSelectionStrategy(4));
+    let history = new MetricsHistory();
+    history.record(qpu);
+    qpu.measureQubit(0);
+    history.record(qpu);
+
+    assertThat(history.series(e => e.operationCount)).isEqualTo([0, 1]);
+    assertThat(history.series(e => e.misprediction)).isApproximatelyEqualTo([0, 0.5]);
+    assertThat(history.series(e => e.remainingEntropy)).isApproximatelyEqualTo([2, 1]);
+    assertThat(history.samples[0].traceDistance).isApproximatelyEqualTo(0.75);
+    assertThat(history.samples[1].qubitTraceDistances).isApproximatelyEqualTo([0, 0.5]);
+    assertThat(history.series(e => e.comparisonTraceDistances[0])).isApproximatelyEqualTo(
+        history.series(e => e.traceDistance));
+
+    // Once Eve has seen every qubit, her clone is perfect.
+    qpu.measureQubit(1);
+    history.record(qpu);
+    assertThat(history.samples[2].cloneFidelity).isApproximatelyEqualTo(1);
+});
+
+suite.test("record_scrollsAndRewinds", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    let history = new MetricsHistory(3);
+    for (let i = 0; i < 5; i++) {
+        qpu.applyGate(Matrix.HADAMARD, 0);
+        history.record(qpu);
+    }
+    assertThat(history.series(e => e.operationCount)).isEqualTo([3, 4, 5]);
+
+    // Recording an earlier operation count (e.g. after stepping back) drops the samples that came after it.
+    let rewound = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    for (let i = 0; i < 4; i++) {
+        rewound.applyGate(Matrix.HADAMARD, 0);
+    }
+    history.record(rewound);
+    assertThat(history.series(e => e.operationCount)).isEqualTo([3, 4]);
+
+    assertThrows(() => new MetricsHistory(0));
+});
+
+suite.test("record_firstCloneable", () => {
+    let qpu = EveQuantumComputer.withInitialState(Matrix.col(1, 0));
+    let history = new MetricsHistory(2);
+    history.record(qpu);
+    assertThat(history.firstCloneable).isEqualTo(undefined);
+
+    // Measuring tells Eve the state, so her clone reaches the threshold.
+    qpu.measureQubit(0);
+    history.record(qpu);
+    assertThat(history.firstCloneable.operationCount).isEqualTo(1);
+    assertThat(history.firstCloneable.cloneFidelity).isApproximatelyEqualTo(1);
+
+    // The crossing is remembered after its sample scrolls off.
+    for (let i = 0; i < 3; i++) {
+        qpu.applyGate(Matrix.PAULI_X, 0);
+        history.record(qpu);
+    }
+    assertThat(history.series(e => e.operationCount)).isEqualTo([3, 4]);
+    assertThat(history.firstCloneable.operationCount).isEqualTo(1);
+
+    // Stepping back to before the crossing forgets it.
+    history.record(EveQuantumComputer.withInitialState(Matrix.col(1, 0)));
+    assertThat(history.firstCloneable).isEqualTo(undefined);
+});